@@ -1,11 +1,26 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 
+// How long a connection waits for another connection's write to finish before
+// failing with SQLITE_BUSY. Crawl jobs index through their own connection.
+const BUSY_TIMEOUT_MS = 30000;
+
 module.exports = async function() {
   const DB_PATH = path.resolve(__dirname, '../complyai-search.db');
   const db = new sqlite3.Database(DB_PATH);
+  db.configure('busyTimeout', BUSY_TIMEOUT_MS);
   console.log(DB_PATH);
   
+  // Columns added after the initial schema. ALTER TABLE has no IF NOT EXISTS,
+  // so an existing column shows up as a "duplicate column" error we can ignore.
+  const addColumn = (table, column, definition) => {
+    db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+      if (err && !/duplicate column/i.test(err.message)) {
+        console.error(`[DB] Failed to add ${table}.${column}:`, err.message);
+      }
+    });
+  };
+
   await new Promise((resolve, reject) => {
     db.serialize(() => {
       db.run('PRAGMA foreign_keys = ON');
@@ -38,7 +53,193 @@ module.exports = async function() {
         suggestion TEXT,
         embedding TEXT,
         FOREIGN KEY(page_id) REFERENCES pages(id) ON DELETE CASCADE
-      )`, (err) => {
+      )`);
+
+      db.run(`CREATE TABLE IF NOT EXISTS scan_jobs (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL DEFAULT 'scan',
+        status TEXT NOT NULL DEFAULT 'queued',
+        payload TEXT,
+        progress INTEGER DEFAULT 0,
+        stage TEXT,
+        result TEXT,
+        error TEXT,
+        attempts INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        started_at DATETIME,
+        finished_at DATETIME
+      )`);
+
+      db.run(`CREATE TABLE IF NOT EXISTS auth_profiles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        secrets TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+      db.run(`CREATE TABLE IF NOT EXISTS rule_profiles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        config TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+      db.run(`CREATE TABLE IF NOT EXISTS journeys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        start_url TEXT,
+        steps TEXT NOT NULL,
+        auth_profile_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(auth_profile_id) REFERENCES auth_profiles(id) ON DELETE SET NULL
+      )`);
+
+      db.run(`CREATE TABLE IF NOT EXISTS journey_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        journey_id INTEGER NOT NULL,
+        job_id TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(journey_id) REFERENCES journeys(id) ON DELETE CASCADE
+      )`);
+
+      // axe "incomplete" results awaiting a human decision
+      db.run(`CREATE TABLE IF NOT EXISTS review_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        page_id INTEGER NOT NULL,
+        url TEXT NOT NULL,
+        rule_id TEXT NOT NULL,
+        description TEXT,
+        message TEXT,
+        severity TEXT,
+        help_url TEXT,
+        selector TEXT,
+        html TEXT,
+        screenshot TEXT,
+        status TEXT NOT NULL DEFAULT 'open',
+        reviewer TEXT,
+        note TEXT,
+        violation_row_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        reviewed_at DATETIME
+      )`);
+
+      // HAR snapshots recorded during scans, replayable offline
+      db.run(`CREATE TABLE IF NOT EXISTS archives (
+        id TEXT PRIMARY KEY,
+        page_id INTEGER,
+        job_id TEXT,
+        url TEXT NOT NULL,
+        path TEXT NOT NULL,
+        browser_type TEXT,
+        size INTEGER,
+        entries INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+      // Per-phase timings (JSON, in ms), page weight and element count of each stored scan
+      db.run(`CREATE TABLE IF NOT EXISTS scan_profiles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        page_id INTEGER,
+        job_id TEXT,
+        url TEXT NOT NULL,
+        domain TEXT,
+        browser_type TEXT,
+        total_ms INTEGER,
+        timings TEXT NOT NULL,
+        page_weight INTEGER,
+        request_count INTEGER,
+        element_count INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+      // Site crawls that survive restarts: a session with its settings and
+      // last report, and every URL it discovered with crawl and scan state
+      db.run(`CREATE TABLE IF NOT EXISTS crawl_sessions (
+        id TEXT PRIMARY KEY,
+        domain TEXT NOT NULL,
+        start_url TEXT NOT NULL,
+        mode TEXT NOT NULL DEFAULT 'crawl',
+        status TEXT NOT NULL DEFAULT 'queued',
+        options TEXT,
+        auth_profile_id INTEGER,
+        job_id TEXT,
+        report TEXT,
+        result TEXT,
+        error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        finished_at DATETIME
+      )`);
+
+      // status: queued, crawled, skipped, failed or document (linked PDF/DOCX);
+      // scan_status: NULL until indexed, then scanned or failed
+      db.run(`CREATE TABLE IF NOT EXISTS crawl_urls (
+        session_id TEXT NOT NULL,
+        url TEXT NOT NULL,
+        depth INTEGER DEFAULT 0,
+        from_url TEXT,
+        status TEXT NOT NULL DEFAULT 'queued',
+        reason TEXT,
+        error TEXT,
+        page_url TEXT,
+        title TEXT,
+        info TEXT,
+        scan_status TEXT,
+        scan_error TEXT,
+        risk_score REAL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (session_id, url),
+        FOREIGN KEY(session_id) REFERENCES crawl_sessions(id) ON DELETE CASCADE
+      )`);
+
+      // Page templates of a site from its last sampled indexing: how many
+      // pages each has, the samples scanned and the findings attributed to all
+      db.run(`CREATE TABLE IF NOT EXISTS page_templates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        domain TEXT NOT NULL,
+        template_key TEXT NOT NULL,
+        url_pattern TEXT,
+        fingerprint TEXT,
+        page_count INTEGER NOT NULL,
+        sample_urls TEXT,
+        risk_score REAL,
+        findings TEXT,
+        confidence TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+      addColumn('violations', 'screenshot', 'TEXT');
+      addColumn('websites', 'source_type', "TEXT DEFAULT 'crawl'");
+      // NULL for web pages, 'pdf' or 'docx' for linked documents
+      addColumn('pages', 'document_type', 'TEXT');
+      // Sampling confidence of a score estimated from template samples
+      addColumn('websites', 'sampling', 'TEXT');
+      // Hash of the page content when indexed, for incremental re-indexing,
+      // and when re-indexing found the page gone (NULL while it exists)
+      addColumn('pages', 'content_hash', 'TEXT');
+      addColumn('pages', 'removed_at', 'DATETIME');
+      // Outcome of a finished journey run, kept with the journey itself
+      addColumn('journey_runs', 'status', 'TEXT');
+      addColumn('journey_runs', 'violation_count', 'INTEGER');
+      addColumn('journey_runs', 'result', 'TEXT');
+
+      db.run(`CREATE INDEX IF NOT EXISTS idx_review_items_url
+        ON review_items(url, status)`);
+
+      db.run(`CREATE INDEX IF NOT EXISTS idx_archives_url
+        ON archives(url, created_at)`);
+
+      db.run(`CREATE INDEX IF NOT EXISTS idx_scan_profiles_domain
+        ON scan_profiles(domain, created_at)`);
+
+      db.run(`CREATE INDEX IF NOT EXISTS idx_crawl_urls_status
+        ON crawl_urls(session_id, status)`);
+
+      db.run(`CREATE INDEX IF NOT EXISTS idx_page_templates_domain
+        ON page_templates(domain)`);
+
+      db.run(`CREATE INDEX IF NOT EXISTS idx_scan_jobs_status
+        ON scan_jobs(status, created_at)`, (err) => {
         if (err) reject(err);
         else resolve(db);
       });
@@ -46,4 +247,6 @@ module.exports = async function() {
   });
   
   return db;
-};
\ No newline at end of file
+};
+
+module.exports.BUSY_TIMEOUT_MS = BUSY_TIMEOUT_MS;
@@ -4,13 +4,42 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
-const { scanPage, enhanceResults } = require('./scanner/axeScanner');
-const { generatePDFReport } = require('./utils/pdfGenerator');
+const { scanPage, scanAcrossBrowsers, enhanceResults, SUPPORTED_BROWSERS } = require('./scanner/axeScanner');
+const { browserPool } = require('./scanner/browserPool');
+const { generatePDFReport, generateSiteReport } = require('./utils/pdfGenerator');
 const SearchEngine = require('./services/searchEngine');
 const fs = require('fs');
 const sqlite3 = require('sqlite3').verbose();
 const initializeDatabase = require('./db/schema');
+const { BUSY_TIMEOUT_MS } = initializeDatabase;
 const searchRoutes = require('./routes/searchRoutes');
+const ScanQueue = require('./services/scanQueue');
+const AuthProfileStore = require('./services/authProfiles');
+const authProfileRoutes = require('./routes/authProfileRoutes');
+const RuleProfileStore = require('./services/ruleProfiles');
+const ruleProfileRoutes = require('./routes/ruleProfileRoutes');
+const { redactSecrets, profileAllowsUrl } = require('./scanner/authContext');
+const { resolveViewports } = require('./scanner/viewports');
+const { resolveScreenshotPath, removeReplacedScreenshots } = require('./scanner/screenshots');
+const requireApiKey = require('./middleware/requireApiKey');
+const { saveLocalSource, localSourceUrl, scanLocalSource, removeLocalSource } = require('./scanner/localSource');
+const { runJourney } = require('./scanner/journeyRunner');
+const { documentTypeFor, checkDocument } = require('./scanner/documentChecker');
+const JourneyStore = require('./services/journeyStore');
+const journeyRoutes = require('./routes/journeyRoutes');
+const ReviewItemStore = require('./services/reviewItems');
+const reviewRoutes = require('./routes/reviewRoutes');
+const ArchiveStore = require('./services/archiveStore');
+const archiveRoutes = require('./routes/archiveRoutes');
+const ruleRoutes = require('./routes/ruleRoutes');
+const ScanProfileStore = require('./services/scanProfiles');
+const statsRoutes = require('./routes/statsRoutes');
+const CrawlSessionStore = require('./services/crawlSessions');
+const crawlRoutes = require('./routes/crawlRoutes');
+const AIIndexer = require('./services/indexer');
+const { createPhaseTimer, addTimings, formatDuration } = require('./scanner/profiling');
+const { loadPlugins } = require('./scanner/plugins');
+const { builtInRuleIds } = require('./scanner/ruleConfig');
 const { format } = require('date-fns');
 
 const PORT = process.env.PORT || 5000;
@@ -18,6 +47,10 @@ const PORT = process.env.PORT || 5000;
 // Initialize Express app
 const app = express();
 let searchEngine;
+let scanQueue;
+
+// Organisation-specific rules from the plugin directory
+loadPlugins({ reservedIds: builtInRuleIds() });
 
 // Middleware
 app.use(cors({
@@ -42,42 +75,91 @@ app.get('/api/health', (req, res) => {
     status: 'healthy',
     version: '1.0.0',
     uptime: process.uptime(),
-    database: 'connected'
+    database: 'connected',
+    browserPool: browserPool.stats()
   });
 });
 
-// Single page scan endpoint
+// Single page scan endpoint - queues the scan and returns a job id immediately
 app.post('/api/scan', async (req, res) => {
   try {
-    const { url, generateReport = false } = req.body;
+    const { 
+      url, 
+      generateReport = false, 
+      browserType, 
+      browsers, 
+      authProfileId, 
+      ruleProfile, 
+      ruleConfig, 
+      viewports,
+      screenshots = true,
+      recordArchive = false,
+      media = false
+    } = req.body;
     if (!url) return res.status(400).json({ error: 'URL required' });
 
-    console.log(`[SCAN] Starting scan for: ${url}`);
-    
-    // 1. Perform the scan
-    const scanResults = await scanPage(url);
-    const enhancedResults = await enhanceResults(scanResults);
-    enhancedResults.scanDuration = enhancedResults.scanDuration || 'Not measured';
-    
-    // 2. Store results in database
-    console.log('[DB] Storing scan results...');
-    await storeScanResults(url, enhancedResults);
-    
-    // 3. Generate report if requested
-    if (generateReport) {
-      const reportPath = path.join(__dirname, '../reports', `report_${Date.now()}.pdf`);
-      await generatePDFReport(enhancedResults, reportPath);
-      enhancedResults.pdfUrl = `/reports/${path.basename(reportPath)}`;
+    if (viewports !== undefined) {
+      try {
+        if (!Array.isArray(viewports) || viewports.length === 0) throw new Error('viewports must be a non-empty array');
+        resolveViewports(viewports);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
     }
 
-    res.json({
+    // Resolve the rule set now so the job runs exactly what was requested
+    const resolvedRules = await req.app.locals.ruleProfiles.resolve({ ruleProfile, ruleConfig });
+    if (resolvedRules.errors.length > 0) {
+      return res.status(400).json({ error: resolvedRules.errors.join('; ') });
+    }
+
+    if (authProfileId) {
+      const authProfile = await req.app.locals.authProfiles.describe(authProfileId);
+      if (!authProfile) return res.status(400).json({ error: `Authentication profile ${authProfileId} not found` });
+      if (!profileAllowsUrl(authProfile, url)) {
+        return res.status(400).json({ error: `Authentication profile ${authProfileId} cannot be used for ${url}` });
+      }
+    }
+
+    // Passing several browsers switches the scan into cross-browser comparison mode
+    const requestedBrowsers = [].concat(browsers || [], browserType || []);
+    const unsupported = requestedBrowsers.filter(b => !SUPPORTED_BROWSERS.includes(String(b).toLowerCase()));
+    if (unsupported.length > 0) {
+      return res.status(400).json({ 
+        error: `Unsupported browser(s): ${unsupported.join(', ')}. Use ${SUPPORTED_BROWSERS.join(', ')}` 
+      });
+    }
+    if (browsers !== undefined && (!Array.isArray(browsers) || browsers.length === 0)) {
+      return res.status(400).json({ error: 'browsers must be a non-empty array' });
+    }
+    if (recordArchive && browsers !== undefined) {
+      return res.status(400).json({ error: 'recordArchive is only supported for single-browser scans' });
+    }
+
+    // Only the profile id is queued; secrets stay encrypted until the worker needs them
+    const jobId = await scanQueue.enqueue('scan', { 
+      url, 
+      generateReport, 
+      browserType, 
+      browsers, 
+      authProfileId, 
+      ruleConfig: resolvedRules.config,
+      viewports,
+      screenshots,
+      recordArchive: recordArchive === true,
+      media: media === true
+    });
+    console.log(`[SCAN] Queued scan ${jobId} for: ${url}`);
+
+    res.status(202).json({
       success: true,
-      url,
-      ...enhancedResults,
-      message: 'Scan completed and results stored'
+      jobId,
+      status: 'queued',
+      statusUrl: `/api/scans/${jobId}`,
+      message: 'Scan queued'
     });
   } catch (error) {
-    console.error('Scan failed:', error);
+    console.error('Failed to queue scan:', error);
     res.status(500).json({ 
       success: false,
       error: error.message,
@@ -86,8 +168,139 @@ app.post('/api/scan', async (req, res) => {
   }
 });
 
+// Scan an HTML string, an uploaded .html file or a zipped static site.
+// Send JSON ({ html, name }) or the raw file as text/html or application/zip.
+app.post('/api/scan/local', 
+  express.raw({ 
+    type: ['text/html', 'application/zip', 'application/x-zip-compressed'], 
+    limit: '50mb' 
+  }), 
+  async (req, res) => {
+    try {
+      const options = Buffer.isBuffer(req.body) ? req.query : req.body;
+      const { generateReport = false, browserType, ruleProfile, ruleConfig, viewports, screenshots = true, media = false } = options;
+
+      let source;
+      if (Buffer.isBuffer(req.body)) {
+        const isZip = req.is('application/zip', 'application/x-zip-compressed');
+        if (req.body.length === 0) return res.status(400).json({ error: 'Uploaded file is empty' });
+        source = { kind: isZip ? 'zip' : 'file', name: req.query.name, content: req.body };
+      } else if (typeof req.body.html === 'string' && req.body.html.trim()) {
+        source = { kind: 'html', name: req.body.name, content: req.body.html };
+      } else {
+        return res.status(400).json({ 
+          error: 'Provide an html string, or upload a file as text/html or application/zip' 
+        });
+      }
+
+      if (browserType && !SUPPORTED_BROWSERS.includes(String(browserType).toLowerCase())) {
+        return res.status(400).json({ error: `Unsupported browser: ${browserType}` });
+      }
+      const viewportList = typeof viewports === 'string' ? viewports.split(',') : viewports;
+      if (viewportList !== undefined) {
+        try {
+          resolveViewports(viewportList);
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+      }
+
+      const resolvedRules = await req.app.locals.ruleProfiles.resolve({ ruleProfile, ruleConfig });
+      if (resolvedRules.errors.length > 0) {
+        return res.status(400).json({ error: resolvedRules.errors.join('; ') });
+      }
+
+      let localSource;
+      try {
+        localSource = saveLocalSource(source);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      let jobId;
+      try {
+        jobId = await scanQueue.enqueue('scan', {
+          localSource,
+          generateReport: generateReport === true || generateReport === 'true',
+          browserType,
+          ruleConfig: resolvedRules.config,
+          viewports: viewportList,
+          screenshots: screenshots !== false && screenshots !== 'false',
+          media: media === true || media === 'true'
+        });
+      } catch (error) {
+        removeLocalSource(localSource.id);
+        throw error;
+      }
+      console.log(`[SCAN] Queued local ${localSource.kind} scan ${jobId} (${localSource.name})`);
+
+      res.status(202).json({
+        success: true,
+        jobId,
+        status: 'queued',
+        statusUrl: `/api/scans/${jobId}`,
+        message: 'Local source scan queued'
+      });
+    } catch (error) {
+      console.error('Failed to queue local scan:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// Scan job status, progress and results
+app.get('/api/scans/:jobId', async (req, res) => {
+  try {
+    const job = await scanQueue.getJob(req.params.jobId);
+    if (!job) return res.status(404).json({ error: 'Scan job not found' });
+
+    res.json({
+      success: true,
+      jobId: job.id,
+      type: job.type,
+      status: job.status,
+      progress: job.progress,
+      stage: job.stage,
+      url: job.payload.url || (job.payload.localSource && `local:${job.payload.localSource.name}`),
+      journeyId: job.payload.journeyId,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      error: job.error || undefined,
+      results: job.status === 'completed' ? job.result : undefined
+    });
+  } catch (error) {
+    console.error('Failed to load scan job:', error);
+    res.status(500).json({ error: 'Failed to load scan job' });
+  }
+});
+
+// Cancel a queued or running scan job
+app.delete('/api/scans/:jobId', async (req, res) => {
+  try {
+    const status = await scanQueue.cancel(req.params.jobId);
+    if (!status) return res.status(404).json({ error: 'Scan job not found' });
+
+    // A queued local source scan never runs, so its files are removed here
+    const { localSource } = (await scanQueue.getJob(req.params.jobId)).payload;
+    if (status === 'cancelled' && localSource) removeLocalSource(localSource.id);
+
+    if (status !== 'cancelled') {
+      return res.status(409).json({ 
+        error: `Scan job already ${status}`,
+        status
+      });
+    }
+
+    res.json({ success: true, jobId: req.params.jobId, status });
+  } catch (error) {
+    console.error('Failed to cancel scan job:', error);
+    res.status(500).json({ error: 'Failed to cancel scan job' });
+  }
+});
+
 // New endpoint for PDF generation from last scan
-app.post('/api/generate-pdf-from-last-scan', async (req, res) => {
+app.post('/api/generate-pdf-from-last-scan', requireApiKey, async (req, res) => {
   try {
     const lastResults = req.app.locals.lastScanResults;
     if (!lastResults) {
@@ -140,11 +353,49 @@ app.post('/api/generate-pdf-from-last-scan', async (req, res) => {
   }
 });
 
-// Serve PDF reports
-app.use('/reports', express.static(path.join(__dirname, '../reports')));
+// Serve PDF reports; they embed screenshots, so they need the API key as well
+app.use('/reports', requireApiKey, express.static(path.join(__dirname, '../reports')));
+
+// Annotated violation screenshots (may show content from behind a login)
+app.get('/api/screenshots/:scanId/:file', requireApiKey, (req, res) => {
+  const { scanId, file } = req.params;
+  if (!/^[\w-]+$/.test(scanId) || !/^[\w-]+\.png$/.test(file)) {
+    return res.status(400).json({ error: 'Invalid screenshot reference' });
+  }
+
+  const filePath = resolveScreenshotPath(`${scanId}/${file}`);
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'Screenshot not found' });
+  }
+  res.sendFile(filePath);
+});
 
 // Search routes
-app.use('/api/search', searchRoutes(searchEngine));
+app.use('/api/search', searchRoutes());
+
+// Authentication profiles for scanning pages behind a login
+app.use('/api/auth-profiles', authProfileRoutes());
+
+// Named rule configurations (WCAG level/version, tags, disabled rules, selectors)
+app.use('/api/rule-profiles', ruleProfileRoutes());
+
+// Saved multi-step user journeys, audited at each checkpoint
+app.use('/api/journeys', journeyRoutes());
+
+// Manual review of results axe could not decide ("incomplete")
+app.use('/api/review-items', reviewRoutes());
+
+// Recorded HAR snapshots and offline re-scans of them
+app.use('/api/archives', archiveRoutes());
+
+// Built-in and plugin rules with their status
+app.use('/api/rules', ruleRoutes());
+
+// Aggregated scan timings and page profiles
+app.use('/api/stats', statsRoutes());
+
+// Resumable site crawls: start, pause, resume and inspect
+app.use('/api/crawls', crawlRoutes());
 
 // Add test data endpoint
 app.post('/api/add-test-data', async (req, res) => {
@@ -237,13 +488,30 @@ async function startServer() {
     
     // 2. Create search engine instance
     searchEngine = new SearchEngine(db);
+    app.locals.searchEngine = searchEngine;
+    app.locals.authProfiles = new AuthProfileStore(db);
+    app.locals.ruleProfiles = new RuleProfileStore(db);
+    app.locals.journeys = new JourneyStore(db);
+    app.locals.reviewItems = new ReviewItemStore(db);
+    app.locals.archives = new ArchiveStore(db);
+    app.locals.scanProfiles = new ScanProfileStore(db);
+    app.locals.crawlSessions = new CrawlSessionStore(db);
 
     // 3. Ensure reports directory exists
     const reportsDir = path.join(__dirname, '../reports');
     require('fs').mkdirSync(reportsDir, { recursive: true });
     console.log('Reports directory ready');
+
+    // 4. Start scan worker, picking up jobs interrupted by a restart
+    scanQueue = new ScanQueue(db);
+    scanQueue.register('scan', runScanJob);
+    scanQueue.register('journey', runJourneyJob);
+    scanQueue.register('crawl', runCrawlJob);
+    app.locals.scanQueue = scanQueue;
+    await scanQueue.recover();
+    scanQueue.start();
     
-    // 4. Start server
+    // 5. Start server
     app.listen(PORT, (err) => {
       if (err) {
         console.error(`Failed to start server on port ${PORT}:`, err);
@@ -258,32 +526,289 @@ async function startServer() {
   }
 }
 
-// Store scan results in database
-async function storeScanResults(url, scanData) {
+// Run a queued scan. An uploaded local source is removed however the job ends.
+async function runScanJob(job, context) {
+  const { localSource } = job.payload;
+  try {
+    return await scanJob(job, context);
+  } finally {
+    if (localSource) removeLocalSource(localSource.id);
+  }
+}
+
+// Scan, enhance, store and optionally render a PDF
+async function scanJob(job, { setProgress, throwIfCancelled }) {
+  const { 
+    generateReport = false, 
+    browserType, 
+    browsers, 
+    authProfileId, 
+    ruleConfig, 
+    viewports, 
+    screenshots,
+    localSource,
+    recordArchive,
+    replayArchiveId,
+    media
+  } = job.payload;
+  const url = localSource ? localSourceUrl(localSource) : job.payload.url;
+  const documentType = localSource ? null : documentTypeFor(url);
+  console.log(`[SCAN] Starting scan for: ${url}`);
+
+  const authProfile = await loadAuthProfile(authProfileId, url);
+  const replay = replayArchiveId ? await app.locals.archives.get(replayArchiveId) : null;
+  if (replayArchiveId && !replay) throw new Error(`Archive ${replayArchiveId} no longer exists`);
+
+  // 1. Perform the scan
+  await setProgress(5, 'scanning');
+  let scanResults;
+  if (localSource) {
+    scanResults = await scanLocalSource(localSource, { browserType, ruleConfig, viewports, screenshots, media });
+  } else if (documentType) {
+    // Linked PDF/DOCX files are downloaded and checked offline
+    scanResults = authProfile
+      ? await browserPool.withPage(url, { authProfile }, (page, context) => checkDocument(url, { context, ruleConfig }))
+      : await checkDocument(url, { ruleConfig });
+  } else if (browsers) {
+    scanResults = await scanAcrossBrowsers(url, { browsers, authProfile, ruleConfig, viewports, screenshots, media });
+  } else {
+    scanResults = await scanPage(url, {
+      browserType,
+      authProfile,
+      ruleConfig,
+      viewports,
+      screenshots,
+      media,
+      recordArchive,
+      replayArchive: replay?.path
+    });
+  }
+  throwIfCancelled();
+
+  // Enhancement, storage and the report are timed on top of the scan's own phases
+  const timer = createPhaseTimer();
+  const timings = () => addTimings(scanResults.timings, timer.summary());
+
+  await setProgress(40, 'enhancing');
+  // Strip any profile secret the page may have echoed before it goes to OpenAI, the database or a report
+  const enhancedResults = await timer.time('enhancement', async () =>
+    enhanceResults(redactSecrets(scanResults, authProfile)));
+  if (authProfile) enhancedResults.authProfile = { id: authProfile.id, name: authProfile.name };
+  enhancedResults.timings = timings();
+  enhancedResults.scanDuration = formatDuration(enhancedResults.timings.total);
+  throwIfCancelled();
+
+  // 2. Store results in database. A replay re-audits an old snapshot, so it
+  // stays with its job and never replaces the page's live results.
+  if (replay) {
+    enhancedResults.replayOf = { archiveId: replay.id, recordedAt: replay.createdAt, pageId: replay.pageId };
+  } else {
+    await setProgress(80, 'storing');
+    console.log('[DB] Storing scan results...');
+    // Local sources get their own website entry so they never mix with crawled domains
+    const domain = localSource ? `local:${localSource.name}` : new URL(url).hostname;
+    const pageId = await timer.time('storage', async () => {
+      const id = await storeScanResults(url, enhancedResults, localSource ? {
+        domain,
+        sourceType: 'local'
+      } : { documentType });
+      enhancedResults.reviewItems = await app.locals.reviewItems.replaceForPage(id, url, enhancedResults.incomplete);
+      return id;
+    });
+
+    if (enhancedResults.archive) {
+      enhancedResults.archive = await app.locals.archives.create({
+        ...enhancedResults.archive,
+        pageId,
+        jobId: job.id,
+        url,
+        browserType: browserType || 'chromium'
+      });
+    }
+
+    await app.locals.scanProfiles.record({
+      pageId,
+      jobId: job.id,
+      url,
+      domain,
+      browserType: browsers ? browsers.join(',') : browserType || 'chromium',
+      timings: timings(),
+      pageWeight: enhancedResults.pageWeight,
+      elementCount: enhancedResults.elementCount
+    }).catch(error => console.warn('[DB] Failed to store scan profile:', error.message));
+  }
+
+  // 3. Generate report if requested
+  if (generateReport) {
+    await setProgress(90, 'generating report');
+    enhancedResults.timings = timings();
+    enhancedResults.pdfUrl = await timer.time('report', () => writeReport({ url, ...enhancedResults }));
+  }
+
+  enhancedResults.timings = timings();
+  enhancedResults.scanDuration = formatDuration(enhancedResults.timings.total);
+  app.locals.lastScanResults = { url, ...enhancedResults };
+  return { url, ...enhancedResults };
+}
+
+// Run a saved user journey, auditing each checkpoint step
+async function runJourneyJob(job, { setProgress, throwIfCancelled }) {
+  const { journeyId, generateReport = false, browserType, ruleConfig, screenshots } = job.payload;
+  const journey = await app.locals.journeys.get(journeyId);
+  if (!journey) throw new Error(`Journey ${journeyId} no longer exists`);
+
+  const url = journey.startUrl || journey.steps[0].url;
+  const authProfile = await loadAuthProfile(journey.authProfileId, url);
+
+  // 1. Walk the journey; progress follows the steps
+  await setProgress(5, 'running journey');
+  const journeyResults = await runJourney(journey, {
+    browserType,
+    authProfile,
+    ruleConfig,
+    screenshots,
+    onStep: (step, total) => setProgress(5 + Math.round((step / total) * 55), `step ${step} of ${total}`)
+  });
+  throwIfCancelled();
+
+  // 2. AI suggestions for each unique violation across all steps
+  await setProgress(60, 'enhancing');
+  const enhancedResults = await enhanceResults(redactSecrets(journeyResults, authProfile));
+  if (authProfile) enhancedResults.authProfile = { id: authProfile.id, name: authProfile.name };
+  throwIfCancelled();
+
+  // 3. Generate report if requested
+  if (generateReport) {
+    await setProgress(90, 'generating report');
+    enhancedResults.pdfUrl = await writeReport({ url, ...enhancedResults });
+  }
+
+  // 4. Keep the run's results with the journey
+  await app.locals.journeys.recordResult(job.id, { url, ...enhancedResults })
+    .catch(error => console.warn('[DB] Failed to store journey results:', error.message));
+
+  return { url, ...enhancedResults };
+}
+
+// Crawl and index a site for a crawl session. Progress is saved as it goes, so
+// a paused session, or one interrupted by a restart, continues where it stopped
+async function runCrawlJob(job, { setProgress, throwIfCancelled }) {
+  const { sessionId } = job.payload;
+  const crawlSessions = app.locals.crawlSessions;
+  const session = await crawlSessions.get(sessionId);
+  if (!session) throw new Error(`Crawl session ${sessionId} no longer exists`);
+  if (session.status === 'paused') return { sessionId, status: 'paused' };
+
+  await crawlSessions.update(sessionId, { status: 'running', jobId: job.id, error: null });
   const db = new sqlite3.Database(path.resolve(__dirname, '../complyai-search.db'));
+  db.configure('busyTimeout', BUSY_TIMEOUT_MS);
+
+  try {
+    const authProfile = await loadAuthProfile(session.authProfileId, session.startUrl);
+    const indexer = new AIIndexer(db);
+    const { samplesPerTemplate, templateDistance, incremental, generateReport, ruleConfig, media, ...crawl } = session.options;
+
+    await setProgress(5, session.mode === 'sitemap' ? 'listing pages' : 'crawling');
+    const result = await indexer.indexWebsite(session.startUrl, {
+      authProfile,
+      ruleConfig,
+      media: media === true,
+      jobId: job.id,
+      mode: session.mode,
+      crawl,
+      sampling: samplesPerTemplate ? { perTemplate: samplesPerTemplate, maxDistance: templateDistance } : null,
+      incremental: incremental !== false,
+      session: crawlSessions.open(sessionId),
+      onProgress: async (done, total) => {
+        throwIfCancelled();
+        await setProgress(10 + Math.round((done / total) * 85), `indexed ${done} of ${total} pages`);
+      }
+    });
+
+    const { crawl: report, ...summary } = result;
+    const status = result.paused ? 'paused' : 'completed';
+    if (generateReport && !result.paused) {
+      await setProgress(95, 'generating report');
+      const reportPath = path.join(__dirname, '../reports', `site_report_${Date.now()}.pdf`);
+      await generateSiteReport({ url: session.startUrl, indexedAt: new Date().toISOString(), ...result }, reportPath);
+      summary.pdfUrl = `/reports/${path.basename(reportPath)}`;
+    }
+    // A pause that arrives after the indexer's last check wins over
+    // 'completed'; the results are kept either way
+    await crawlSessions.update(sessionId, { report, result: summary });
+    const finalStatus = await crawlSessions.transition(sessionId, ['running'], status)
+      ? status
+      : (await crawlSessions.get(sessionId))?.status;
+    console.log(`[CRAWL] Session ${sessionId} ${finalStatus}`);
+    return { sessionId, status: finalStatus, ...summary };
+  } catch (error) {
+    // Likewise a paused session stays paused, with the error noted
+    await crawlSessions.update(sessionId, { error: error.message });
+    await crawlSessions.transition(sessionId, ['running'], 'failed');
+    throw error;
+  } finally {
+    db.close();
+  }
+}
+
+// The profile a job runs with; refused when the job's URL is outside its origins
+async function loadAuthProfile(authProfileId, url) {
+  if (!authProfileId) return null;
+  const authProfile = await app.locals.authProfiles.get(authProfileId);
+  if (!authProfile) throw new Error(`Authentication profile ${authProfileId} no longer exists`);
+  if (!profileAllowsUrl(authProfile, url)) {
+    throw new Error(`Authentication profile ${authProfileId} cannot be used for ${url}`);
+  }
+  return authProfile;
+}
+
+// Render a PDF report into the reports directory and return its public URL
+async function writeReport(results) {
+  const reportPath = path.join(__dirname, '../reports', `report_${Date.now()}.pdf`);
+  await generatePDFReport(results, reportPath);
+  return `/reports/${path.basename(reportPath)}`;
+}
+
+// Store scan results in database, resolving to the page id
+async function storeScanResults(url, scanData, { domain = new URL(url).hostname, sourceType = 'crawl', documentType = null } = {}) {
+  const db = new sqlite3.Database(path.resolve(__dirname, '../complyai-search.db'));
+  db.configure('busyTimeout', BUSY_TIMEOUT_MS);
   
   try {
-    await new Promise((resolve, reject) => {
+    // Embeddings are fetched before the transaction so it is not held open while OpenAI answers
+    const violations = scanData.violations || [];
+    const embeddings = [];
+    for (const violation of violations) {
+      embeddings.push(await searchEngine.generateEmbedding(violation.description));
+    }
+
+    // Screenshots of the result this one replaces are deleted once it is stored
+    const previous = await new Promise((resolve, reject) => {
+      db.get('SELECT scan_data FROM pages WHERE url = ?', [url], (err, row) => err ? reject(err) : resolve(row));
+    });
+
+    const pageId = await new Promise((resolve, reject) => {
       db.serialize(() => {
         db.run('BEGIN TRANSACTION');
 
-        // 1. Insert/Update website
-        const domain = new URL(url).hostname;
+        // 1. Insert/Update website, keeping its id so the site's other pages stay attached
         db.run(
-          `INSERT OR REPLACE INTO websites (domain, compliance_score) VALUES (?, ?)`,
-          [domain, 100 - Math.min(scanData.metrics.riskScore, 100)],
+          `INSERT INTO websites (domain, compliance_score, source_type) VALUES (?, ?, ?)
+           ON CONFLICT(domain) DO UPDATE SET
+             compliance_score = excluded.compliance_score, source_type = excluded.source_type`,
+          [domain, 100 - Math.min(scanData.metrics.riskScore, 100), sourceType],
           function(err) {
             if (err) reject(err);
             
             // 2. Insert/Update page
             db.run(
               `INSERT OR REPLACE INTO pages 
-              (website_id, url, title, risk_score, scan_data)
+              (website_id, url, title, risk_score, scan_data, document_type)
               VALUES (
                 (SELECT id FROM websites WHERE domain = ?),
-                ?, ?, ?, ?
+                ?, ?, ?, ?, ?
               )`,
-              [domain, url, scanData.pageTitle || url, scanData.metrics.riskScore, JSON.stringify(scanData)],
+              [domain, url, scanData.pageTitle || url, scanData.metrics.riskScore, JSON.stringify(scanData), documentType],
               function(err) {
                 if (err) reject(err);
                 const pageId = this.lastID;
@@ -292,18 +817,15 @@ async function storeScanResults(url, scanData) {
                 db.run(
                   'DELETE FROM violations WHERE page_id = ?',
                   [pageId],
-                  async function(err) {
+                  function(err) {
                     if (err) reject(err);
 
                     // 4. Insert new violations
-                    const violations = scanData.violations || [];
-                    for (const violation of violations) {
-                      const embedding = await new SearchEngine(db).generateEmbedding(violation.description);
-                      
+                    violations.forEach((violation, i) => {
                       db.run(
                         `INSERT INTO violations 
-                        (page_id, violation_id, description, severity, html, suggestion, embedding)
-                        VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                        (page_id, violation_id, description, severity, html, suggestion, embedding, screenshot)
+                        VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
                         [
                           pageId,
                           violation.id,
@@ -311,13 +833,14 @@ async function storeScanResults(url, scanData) {
                           violation.severity,
                           violation.nodes[0]?.html || '',
                           violation.suggestion?.suggestion || '',
-                          JSON.stringify(embedding)
+                          JSON.stringify(embeddings[i]),
+                          violation.nodes[0]?.screenshot?.path || null
                         ]
                       );
-                    }
+                    });
                     db.run('COMMIT', (err) => {
                       if (err) reject(err);
-                      else resolve();
+                      else resolve(pageId);
                     });
                   }
                 );
@@ -329,6 +852,8 @@ async function storeScanResults(url, scanData) {
     });
     
     console.log(`[DB] Successfully stored results for ${url}`);
+    removeReplacedScreenshots(previous?.scan_data, scanData);
+    return pageId;
   } catch (error) {
     console.error('[DB] Error storing scan results:', error);
     throw error;
@@ -337,57 +862,96 @@ async function storeScanResults(url, scanData) {
   }
 }
 
-// Generate PDF endpoint
-app.post('/api/generate-pdf', async (req, res) => {
+// Report data sent by a client, with fallbacks for missing fields. Screenshot
+// references are dropped: stored screenshots are only reported from a stored
+// scan (see /api/generate-pdf), never from paths a client sends.
+function reportDataFromRequest(data) {
+  data = withoutScreenshots(data);
+  return {
+    url: data.url || 'Unknown URL',
+    scannedAt: data.scannedAt || new Date().toISOString(),
+    scanDuration: data.scanDuration || 'Not measured',
+    timings: data.timings && typeof data.timings === 'object' ? data.timings : undefined,
+    pageWeight: data.pageWeight && typeof data.pageWeight === 'object' ? data.pageWeight : undefined,
+    metrics: {
+      riskScore: data.metrics?.riskScore || 0,
+      violationCount: data.metrics?.violationCount || 0,
+      severityBreakdown: data.metrics?.severityBreakdown || {
+        critical: 0,
+        high: 0,
+        medium: 0,
+        low: 0
+      },
+      elementsScanned: data.metrics?.elementsScanned || 0
+    },
+    violations: Array.isArray(data.violations) 
+      ? data.violations.map(v => ({
+          id: v.id || 'unknown',
+          description: v.description || 'No description available',
+          severity: v.severity || 'medium',
+          nodes: Array.isArray(v.nodes) ? v.nodes : [{
+            html: v.html || '<div>No HTML available</div>'
+          }],
+          suggestion: {
+            suggestion: v.suggestion?.suggestion || 'No suggestion available'
+          }
+        }))
+      : [],
+    document: data.document,
+    documentType: data.documentType,
+    viewports: Array.isArray(data.viewports) ? data.viewports : undefined,
+    browserComparison: data.browserComparison,
+    keyboardIssues: Array.isArray(data.keyboardIssues) ? data.keyboardIssues : [],
+    screenReaderIssues: Array.isArray(data.screenReaderIssues) 
+      ? data.screenReaderIssues.map(issue => ({
+          type: issue.type || 'screenreader-issue',
+          message: issue.message || 'No message available',
+          element: issue.element || 'Unknown element',
+          selector: issue.selector,
+          html: issue.html,
+          suggestion: issue.suggestion || issue.parsedSuggestion || {
+            suggestion: 'No suggestion available'
+          }
+        }))
+      : [],
+    screenReaderTranscript: Array.isArray(data.screenReaderTranscript) ? data.screenReaderTranscript : [],
+    media: data.media && Array.isArray(data.media.issues) ? data.media : undefined,
+    reviewItems: Array.isArray(data.reviewItems) ? data.reviewItems : undefined,
+    incomplete: Array.isArray(data.incomplete) ? data.incomplete : []
+  };
+}
+
+// A copy of client-sent scan data without any screenshot references
+function withoutScreenshots(value) {
+  if (Array.isArray(value)) return value.map(withoutScreenshots);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value)
+    .filter(([key]) => key !== 'screenshot' && key !== 'screenshots')
+    .map(([key, item]) => [key, withoutScreenshots(item)]));
+}
+
+// Generate a PDF from scan data ({ data }) or from a stored scan job
+// ({ jobId }). Only the latter includes screenshots, so it needs the API key.
+app.post('/api/generate-pdf', (req, res, next) => req.body?.jobId ? requireApiKey(req, res, next) : next(), async (req, res) => {
   try {
-    const { data } = req.body;
+    const { data, jobId } = req.body;
     
     // Validate input data structure first
-    if (!data) {
-      return res.status(400).json({ error: 'Scan data is required' });
+    if (!data && !jobId) {
+      return res.status(400).json({ error: 'Scan data or a jobId is required' });
     }
 
-    // Create validatedData with proper fallbacks
-    const validatedData = {
-      url: data.url || 'Unknown URL',
-      scannedAt: data.scannedAt || new Date().toISOString(),
-      scanDuration: data.scanDuration || 'Not measured',
-      metrics: {
-        riskScore: data.metrics?.riskScore || 0,
-        violationCount: data.metrics?.violationCount || 0,
-        severityBreakdown: data.metrics?.severityBreakdown || {
-          critical: 0,
-          high: 0,
-          medium: 0,
-          low: 0
-        },
-        elementsScanned: data.metrics?.elementsScanned || 0
-      },
-      violations: Array.isArray(data.violations) 
-        ? data.violations.map(v => ({
-            id: v.id || 'unknown',
-            description: v.description || 'No description available',
-            severity: v.severity || 'medium',
-            nodes: Array.isArray(v.nodes) ? v.nodes : [{
-              html: v.html || '<div>No HTML available</div>'
-            }],
-            suggestion: {
-              suggestion: v.suggestion?.suggestion || 'No suggestion available'
-            }
-          }))
-        : [],
-      keyboardIssues: Array.isArray(data.keyboardIssues) ? data.keyboardIssues : [],
-      screenReaderIssues: Array.isArray(data.screenReaderIssues) 
-        ? data.screenReaderIssues.map(issue => ({
-            type: issue.type || 'screenreader-issue',
-            message: issue.message || 'No message available',
-            element: issue.element || 'Unknown element',
-            suggestion: issue.suggestion || issue.parsedSuggestion || {
-              suggestion: 'No suggestion available'
-            }
-          }))
-        : []
-    };
+    // A stored scan is reported as saved, screenshots included; client data without them
+    let validatedData;
+    if (jobId) {
+      const job = await scanQueue.getJob(jobId);
+      if (!job || job.status !== 'completed' || !['scan', 'journey'].includes(job.type)) {
+        return res.status(404).json({ error: 'No completed scan job with this id' });
+      }
+      validatedData = job.result;
+    } else {
+      validatedData = reportDataFromRequest(data);
+    }
 
     console.log('Generating PDF with validated data:', {
       url: validatedData.url,
@@ -459,10 +1023,15 @@ app.post('/api/generate-pdf', async (req, res) => {
 // Start the server
 startServer();
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  await searchEngine.close();
+// Graceful shutdown: stop taking jobs, then close the browsers and the database
+async function shutdown() {
+  if (scanQueue) scanQueue.stop();
+  await browserPool.close();
+  if (searchEngine) await searchEngine.close().catch(error => console.error('Failed to close database:', error));
   process.exit(0);
-});
+}
+
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+
+// Protects endpoints that expose captured page content. Clients send the key
+// from API_KEY as "x-api-key: <key>" or "Authorization: Bearer <key>".
+module.exports = function requireApiKey(req, res, next) {
+  const expected = process.env.API_KEY;
+  if (!expected) {
+    return res.status(503).json({ error: 'API_KEY is not configured on the server' });
+  }
+
+  const provided = req.get('x-api-key') || 
+    (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+
+  const a = Buffer.from(String(provided));
+  const b = Buffer.from(expected);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return res.status(401).json({ error: 'Valid API key required' });
+  }
+
+  next();
+};
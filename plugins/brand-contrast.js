@@ -0,0 +1,77 @@
+const { contrastRatio } = require('../scanner/pixelContrast');
+
+// Edit to match the organisation's brand guidelines
+const BRAND_PALETTE = {
+  'Brand Navy': '#1b2a4a',
+  'Brand Teal': '#00a3a1',
+  'Brand Orange': '#f26b21',
+  'Brand Sand': '#f4e9d8',
+  White: '#ffffff'
+};
+const NORMAL_TEXT_RATIO = 4.5;
+const LARGE_TEXT_RATIO = 3;
+const MAX_FINDINGS = 20;
+
+const toRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+const paletteName = (rgb) => Object.keys(BRAND_PALETTE)
+  .find(name => toRgb(BRAND_PALETTE[name]).every((channel, i) => channel === rgb[i]));
+
+module.exports = {
+  id: 'org-brand-contrast',
+  description: 'Text set in brand colours must use an approved palette pairing',
+  help: 'Use a brand colour pairing that reaches 4.5:1 (3:1 for large text)',
+  helpUrl: 'https://www.w3.org/WAI/WCAG21/Understanding/contrast-minimum.html',
+  impact: 'serious',
+  tags: ['org-standards', 'brand'],
+  wcag: ['1.4.3'],
+
+  async check(page) {
+    // Text colour and the first opaque background behind it, per element
+    const samples = await page.evaluate(() => {
+      const { deepPath, snippet } = window.__complyai;
+      const parse = (value) => (value.match(/[\d.]+/g) || []).map(Number);
+      const background = (el) => {
+        for (let node = el; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+          const [r, g, b, a = 1] = parse(getComputedStyle(node).backgroundColor);
+          if (a >= 1) return [r, g, b];
+        }
+        return [255, 255, 255];
+      };
+
+      return Array.from(document.body ? document.body.querySelectorAll('*') : [])
+        .filter(el => Array.from(el.childNodes).some(child => child.nodeType === Node.TEXT_NODE && child.textContent.trim()))
+        .map(el => {
+          const style = getComputedStyle(el);
+          const size = parseFloat(style.fontSize);
+          const bold = Number(style.fontWeight) >= 700 || style.fontWeight === 'bold';
+          return {
+            selector: deepPath(el),
+            html: snippet(el),
+            color: parse(style.color).slice(0, 3),
+            background: background(el),
+            large: size >= 24 || (bold && size >= 18.66)
+          };
+        });
+    });
+
+    const findings = [];
+    for (const sample of samples) {
+      const foreground = paletteName(sample.color);
+      const backdrop = paletteName(sample.background);
+      if (!foreground || !backdrop || foreground === backdrop) continue;
+
+      const ratio = contrastRatio(sample.color, sample.background);
+      const required = sample.large ? LARGE_TEXT_RATIO : NORMAL_TEXT_RATIO;
+      if (ratio >= required) continue;
+
+      findings.push({
+        selector: sample.selector,
+        html: sample.html,
+        message: `${foreground} on ${backdrop} is ${ratio.toFixed(2)}:1; ` +
+          `approved pairings for this text need ${required}:1`
+      });
+      if (findings.length >= MAX_FINDINGS) break;
+    }
+    return findings;
+  }
+};
@@ -0,0 +1,36 @@
+module.exports = {
+  id: 'org-skip-link',
+  description: 'Pages must start with a link that skips to the main content',
+  help: 'Make a "Skip to main content" link the first focusable element and point it at the main region',
+  helpUrl: 'https://www.w3.org/WAI/WCAG21/Understanding/bypass-blocks.html',
+  impact: 'serious',
+  tags: ['org-standards'],
+  wcag: ['2.4.1'],
+
+  axe: {
+    selector: 'html',
+    // Only the top-level document needs a skip link, not embedded frames
+    matches: function () {
+      return window.top === window;
+    },
+    excludeHidden: false,
+    any: ['org-skip-link-first'],
+    checks: [{
+      id: 'org-skip-link-first',
+      evaluate: function (node) {
+        const focusable = node.querySelector(
+          'a[href], button, input:not([type="hidden"]), select, textarea, [tabindex]:not([tabindex="-1"])'
+        );
+        if (!focusable || focusable.tagName !== 'A') return false;
+
+        const href = focusable.getAttribute('href') || '';
+        const target = href.startsWith('#') && href.length > 1 ? document.getElementById(href.slice(1)) : null;
+        return Boolean(target) && /skip/i.test(focusable.textContent + (focusable.getAttribute('aria-label') || ''));
+      },
+      messages: {
+        pass: 'The first focusable element is a skip link to the main content',
+        fail: 'The first focusable element is not a working skip link'
+      }
+    }]
+  }
+};
@@ -0,0 +1,41 @@
+module.exports = {
+  id: 'org-title-tooltip',
+  description: 'Information must not be available only through a title attribute tooltip',
+  help: 'Show the information as visible text or reference it with aria-describedby instead of title alone',
+  helpUrl: 'https://www.w3.org/WAI/WCAG21/Understanding/content-on-hover-or-focus.html',
+  impact: 'moderate',
+  tags: ['org-standards'],
+  wcag: ['1.3.1', '2.5.3'],
+
+  axe: {
+    // Frames and abbreviations have their own conventions for title
+    selector: '[title]:not(iframe):not(frame):not(abbr)',
+    none: ['org-title-only-tooltip'],
+    checks: [{
+      id: 'org-title-only-tooltip',
+      // True (a failure, as a "none" check) when title carries text found nowhere else
+      evaluate: function (node) {
+        const title = (node.getAttribute('title') || '').trim().toLowerCase();
+        if (!title) return false;
+
+        const describedBy = (node.getAttribute('aria-describedby') || '').split(/\s+/)
+          .map(id => document.getElementById(id))
+          .filter(Boolean)
+          .map(el => el.textContent)
+          .join(' ');
+        const elsewhere = [
+          node.textContent,
+          node.getAttribute('aria-label'),
+          node.getAttribute('alt'),
+          node.getAttribute('placeholder'),
+          describedBy
+        ].join(' ').toLowerCase();
+        return !elsewhere.includes(title);
+      },
+      messages: {
+        pass: 'The title text is also available without hovering',
+        fail: 'The title attribute is the only source of this information'
+      }
+    }]
+  }
+};
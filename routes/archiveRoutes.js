@@ -0,0 +1,105 @@
+const express = require('express');
+const fs = require('fs');
+const requireApiKey = require('../middleware/requireApiKey');
+const { resolveArchivePath } = require('../scanner/archives');
+const { resolveViewports } = require('../scanner/viewports');
+const router = express.Router();
+
+module.exports = () => {
+  // List recorded archives, optionally filtered by ?url= or ?domain=
+  router.get('/', async (req, res) => {
+    try {
+      const { url, domain } = req.query;
+      const archives = await req.app.locals.archives.list({ url, domain });
+      res.json({ success: true, archives });
+    } catch (error) {
+      console.error('Archive listing error:', error);
+      res.status(500).json({ error: 'Failed to list archives' });
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const archive = await req.app.locals.archives.get(req.params.id);
+      if (!archive) return res.status(404).json({ error: 'Archive not found' });
+      res.json({ success: true, archive });
+    } catch (error) {
+      console.error('Archive lookup error:', error);
+      res.status(500).json({ error: 'Failed to load archive' });
+    }
+  });
+
+  // The archive holds full responses, possibly from behind a login
+  router.get('/:id/download', requireApiKey, async (req, res) => {
+    try {
+      const archive = await req.app.locals.archives.get(req.params.id);
+      if (!archive) return res.status(404).json({ error: 'Archive not found' });
+
+      const filePath = resolveArchivePath(archive.path);
+      if (!fs.existsSync(filePath)) return res.status(404).json({ error: 'Archive file is missing' });
+      res.download(filePath, `archive-${archive.id}.zip`);
+    } catch (error) {
+      console.error('Archive download error:', error);
+      res.status(500).json({ error: 'Failed to download archive' });
+    }
+  });
+
+  // Re-audit a stored snapshot offline with the current (or a given) rule set;
+  // the results show what the archived pages contained
+  router.post('/:id/rescan', requireApiKey, async (req, res) => {
+    try {
+      const archive = await req.app.locals.archives.get(req.params.id);
+      if (!archive) return res.status(404).json({ error: 'Archive not found' });
+
+      const { ruleProfile, ruleConfig, viewports, generateReport = false, screenshots = true } = req.body || {};
+      if (viewports !== undefined) {
+        try {
+          if (!Array.isArray(viewports) || viewports.length === 0) throw new Error('viewports must be a non-empty array');
+          resolveViewports(viewports);
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+      }
+
+      const resolvedRules = await req.app.locals.ruleProfiles.resolve({ ruleProfile, ruleConfig });
+      if (resolvedRules.errors.length > 0) {
+        return res.status(400).json({ error: resolvedRules.errors.join('; ') });
+      }
+
+      const jobId = await req.app.locals.scanQueue.enqueue('scan', {
+        url: archive.url,
+        replayArchiveId: archive.id,
+        browserType: archive.browserType,
+        ruleConfig: resolvedRules.config,
+        viewports,
+        generateReport,
+        screenshots
+      });
+      console.log(`[SCAN] Queued replay of archive ${archive.id} as ${jobId}`);
+
+      res.status(202).json({
+        success: true,
+        jobId,
+        status: 'queued',
+        statusUrl: `/api/scans/${jobId}`,
+        message: 'Archive replay queued'
+      });
+    } catch (error) {
+      console.error('Archive rescan error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.delete('/:id', requireApiKey, async (req, res) => {
+    try {
+      const deleted = await req.app.locals.archives.delete(req.params.id);
+      if (!deleted) return res.status(404).json({ error: 'Archive not found' });
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Archive delete error:', error);
+      res.status(500).json({ error: 'Failed to delete archive' });
+    }
+  });
+
+  return router;
+};
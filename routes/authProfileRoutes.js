@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+
+module.exports = () => {
+  // Create an authentication profile (secrets are encrypted and never returned).
+  // `origins` (one or a list) are the only origins it may be used to scan.
+  router.post('/', async (req, res) => {
+    try {
+      const { name, origins, cookies, headers, httpCredentials, loginScript } = req.body;
+      const profile = await req.app.locals.authProfiles.create(name, {
+        origins,
+        cookies,
+        headers,
+        httpCredentials,
+        loginScript
+      });
+      res.status(201).json({ success: true, profile });
+    } catch (error) {
+      const status = /required|Invalid/.test(error.message) ? 400
+        : /UNIQUE/.test(error.message) ? 409 : 500;
+      res.status(status).json({
+        success: false,
+        error: status === 409 ? 'A profile with this name already exists' : error.message
+      });
+    }
+  });
+
+  router.get('/', async (req, res) => {
+    try {
+      const profiles = await req.app.locals.authProfiles.list();
+      res.json({ success: true, profiles });
+    } catch (error) {
+      console.error('Auth profile listing error:', error);
+      res.status(500).json({ error: 'Failed to list authentication profiles' });
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const profile = await req.app.locals.authProfiles.describe(req.params.id);
+      if (!profile) return res.status(404).json({ error: 'Authentication profile not found' });
+      res.json({ success: true, profile });
+    } catch (error) {
+      console.error('Auth profile lookup error:', error);
+      res.status(500).json({ error: 'Failed to load authentication profile' });
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      const deleted = await req.app.locals.authProfiles.delete(req.params.id);
+      if (!deleted) return res.status(404).json({ error: 'Authentication profile not found' });
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Auth profile delete error:', error);
+      res.status(500).json({ error: 'Failed to delete authentication profile' });
+    }
+  });
+
+  return router;
+};
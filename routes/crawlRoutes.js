@@ -0,0 +1,227 @@
+const express = require('express');
+const { parseUrlList } = require('../utils/sitemap');
+const { profileAllowsUrl } = require('../scanner/authContext');
+const router = express.Router();
+
+const MODES = ['crawl', 'sitemap'];
+// Request fields kept as session options: SiteCrawler options, plus
+// template sampling (samplesPerTemplate, templateDistance), incremental
+// re-indexing (on unless false), media checks (off unless true) and generateReport
+const SESSION_OPTIONS = [
+  'maxDepth', 'maxPages', 'maxDocuments', 'maxDurationMs', 'delayMs', 'userAgent', 'include', 'exclude',
+  'respectRobots', 'sitemaps', 'seedLimit', 'changedSince', 'spa', 'spaMaxClicks', 'hashAssets',
+  'samplesPerTemplate', 'templateDistance', 'incremental', 'media', 'generateReport'
+];
+const NUMERIC_OPTIONS = [
+  'maxDepth', 'maxPages', 'maxDocuments', 'maxDurationMs', 'delayMs', 'seedLimit', 'spaMaxClicks',
+  'samplesPerTemplate', 'templateDistance'
+];
+const BOOLEAN_OPTIONS = ['respectRobots', 'spa', 'hashAssets', 'incremental', 'media', 'generateReport'];
+
+function sessionOptions(source) {
+  const options = {};
+  for (const key of SESSION_OPTIONS) {
+    if (source[key] === undefined) continue;
+    options[key] = NUMERIC_OPTIONS.includes(key) ? Number(source[key]) : source[key];
+  }
+  for (const key of BOOLEAN_OPTIONS) {
+    if (typeof options[key] === 'string') options[key] = options[key] === 'true';
+  }
+  return options;
+}
+
+function validateOptions(options) {
+  for (const key of NUMERIC_OPTIONS) {
+    if (options[key] !== undefined && (!Number.isInteger(options[key]) || options[key] < 0)) {
+      return `${key} must be a non-negative integer`;
+    }
+  }
+  if (options.templateDistance > 128) return 'templateDistance must be at most 128';
+  if (options.changedSince && Number.isNaN(Date.parse(options.changedSince))) return 'changedSince must be a date';
+  return null;
+}
+
+module.exports = () => {
+  /**
+   * Start a crawl session; it is crawled and indexed by the scan queue. Send
+   * JSON ({ url, mode, authProfileId, ruleProfile, ruleConfig, urls, ...options }) or upload a URL
+   * list as text/plain or text/csv with the other fields in the query. With
+   * samplesPerTemplate only that many pages of each page template are
+   * scanned (see pageTemplates.js).
+   */
+  router.post('/', express.text({ type: ['text/plain', 'text/csv'], limit: '10mb' }), async (req, res) => {
+    try {
+      const uploaded = typeof req.body === 'string';
+      const fields = uploaded ? req.query : (req.body || {});
+      const { url, mode = 'crawl', authProfileId } = fields;
+
+      let startUrl;
+      try {
+        startUrl = new URL(url);
+        if (!['http:', 'https:'].includes(startUrl.protocol)) throw new Error();
+      } catch (error) {
+        return res.status(400).json({ error: 'url must be an http(s) URL' });
+      }
+      if (!MODES.includes(mode)) {
+        return res.status(400).json({ error: `mode must be one of ${MODES.join(', ')}` });
+      }
+
+      const options = sessionOptions(fields);
+      const invalid = validateOptions(options);
+      if (invalid) return res.status(400).json({ error: invalid });
+
+      // Pages and linked documents are all checked against the same rules
+      const resolvedRules = await req.app.locals.ruleProfiles.resolve({
+        ruleProfile: fields.ruleProfile,
+        ruleConfig: fields.ruleConfig
+      });
+      if (resolvedRules.errors.length > 0) {
+        return res.status(400).json({ error: resolvedRules.errors.join('; ') });
+      }
+      options.ruleConfig = resolvedRules.config;
+
+      const urls = uploaded ? req.body : fields.urls;
+      if (urls !== undefined) {
+        try {
+          options.urls = parseUrlList(urls);
+        } catch (error) {
+          return res.status(400).json({ error: 'urls must be a list of URLs' });
+        }
+        if (options.urls.length === 0) return res.status(400).json({ error: 'The URL list has no http(s) URLs' });
+      }
+
+      if (authProfileId) {
+        const authProfile = await req.app.locals.authProfiles.describe(authProfileId);
+        if (!authProfile) return res.status(400).json({ error: `Authentication profile ${authProfileId} not found` });
+        if (!profileAllowsUrl(authProfile, startUrl)) {
+          return res.status(400).json({ error: `Authentication profile ${authProfileId} cannot be used for ${startUrl}` });
+        }
+      }
+
+      const session = await req.app.locals.crawlSessions.create({
+        startUrl: startUrl.toString(),
+        mode,
+        options,
+        authProfileId: authProfileId ? Number(authProfileId) : null
+      });
+      const jobId = await req.app.locals.scanQueue.enqueue('crawl', { sessionId: session.id });
+      await req.app.locals.crawlSessions.update(session.id, { jobId });
+      console.log(`[CRAWL] Queued session ${session.id} for ${session.startUrl} as ${jobId}`);
+
+      res.status(202).json({
+        success: true,
+        sessionId: session.id,
+        jobId,
+        status: 'queued',
+        statusUrl: `/api/crawls/${session.id}`,
+        message: 'Crawl queued'
+      });
+    } catch (error) {
+      console.error('Failed to start crawl:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // List sessions, optionally filtered by ?domain= or ?status=
+  router.get('/', async (req, res) => {
+    try {
+      const { domain, status } = req.query;
+      const sessions = await req.app.locals.crawlSessions.list({ domain, status });
+      res.json({ success: true, sessions });
+    } catch (error) {
+      console.error('Crawl listing error:', error);
+      res.status(500).json({ error: 'Failed to list crawls' });
+    }
+  });
+
+  // A session with its settings, URL counts, scan progress and last crawl report
+  router.get('/:id', async (req, res) => {
+    try {
+      const session = await req.app.locals.crawlSessions.get(req.params.id);
+      if (!session) return res.status(404).json({ error: 'Crawl not found' });
+      res.json({ success: true, session });
+    } catch (error) {
+      console.error('Crawl lookup error:', error);
+      res.status(500).json({ error: 'Failed to load crawl' });
+    }
+  });
+
+  // URLs of a session: filter by ?status= (queued, crawled, skipped, failed,
+  // document) and ?scanStatus= (scanned, failed, pending); page with ?limit=&offset=
+  router.get('/:id/urls', async (req, res) => {
+    try {
+      const session = await req.app.locals.crawlSessions.get(req.params.id);
+      if (!session) return res.status(404).json({ error: 'Crawl not found' });
+
+      const limit = Math.min(Number(req.query.limit) || 100, 1000);
+      const offset = Number(req.query.offset) || 0;
+      const urls = await req.app.locals.crawlSessions.urls(session.id, {
+        status: req.query.status,
+        scanStatus: req.query.scanStatus,
+        limit,
+        offset
+      });
+      res.json({ success: true, limit, offset, urls });
+    } catch (error) {
+      console.error('Crawl URL listing error:', error);
+      res.status(500).json({ error: 'Failed to list crawl URLs' });
+    }
+  });
+
+  // A running session stops after the page in hand; its frontier is kept
+  router.post('/:id/pause', async (req, res) => {
+    try {
+      const session = await req.app.locals.crawlSessions.get(req.params.id);
+      if (!session) return res.status(404).json({ error: 'Crawl not found' });
+      if (!['queued', 'running'].includes(session.status)) {
+        return res.status(409).json({ error: `Cannot pause a ${session.status} crawl` });
+      }
+
+      if (!(await req.app.locals.crawlSessions.transition(session.id, ['queued', 'running'], 'paused'))) {
+        return res.status(409).json({ error: 'The crawl finished or was changed by another request' });
+      }
+      console.log(`[CRAWL] Pausing session ${session.id}`);
+      res.json({ success: true, status: 'paused' });
+    } catch (error) {
+      console.error('Crawl pause error:', error);
+      res.status(500).json({ error: 'Failed to pause crawl' });
+    }
+  });
+
+  // Continue a paused or failed session from its saved frontier. A paused job
+  // only stops at its next page, so this waits until it has.
+  router.post('/:id/resume', async (req, res) => {
+    try {
+      const session = await req.app.locals.crawlSessions.get(req.params.id);
+      if (!session) return res.status(404).json({ error: 'Crawl not found' });
+      if (!['paused', 'failed'].includes(session.status)) {
+        return res.status(409).json({ error: `Cannot resume a ${session.status} crawl` });
+      }
+
+      const previous = session.jobId && await req.app.locals.scanQueue.getJob(session.jobId);
+      if (previous && ['queued', 'running'].includes(previous.status)) {
+        return res.status(409).json({ error: 'The crawl is still stopping; try again shortly' });
+      }
+      if (!(await req.app.locals.crawlSessions.transition(session.id, ['paused', 'failed'], 'queued'))) {
+        return res.status(409).json({ error: 'The crawl was changed by another request' });
+      }
+
+      const jobId = await req.app.locals.scanQueue.enqueue('crawl', { sessionId: session.id });
+      await req.app.locals.crawlSessions.update(session.id, { jobId, error: null });
+      console.log(`[CRAWL] Resuming session ${session.id} as ${jobId}`);
+
+      res.status(202).json({
+        success: true,
+        sessionId: session.id,
+        jobId,
+        status: 'queued',
+        statusUrl: `/api/crawls/${session.id}`
+      });
+    } catch (error) {
+      console.error('Crawl resume error:', error);
+      res.status(500).json({ error: 'Failed to resume crawl' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,122 @@
+const express = require('express');
+const router = express.Router();
+const { SUPPORTED_BROWSERS } = require('../scanner/axeScanner');
+const { profileAllowsUrl } = require('../scanner/authContext');
+const requireApiKey = require('../middleware/requireApiKey');
+
+module.exports = () => {
+  // Save a journey: { name, startUrl?, authProfileId?, steps: [{ action, ..., checkpoint? }] }
+  router.post('/', async (req, res) => {
+    try {
+      const { name, startUrl, steps, authProfileId } = req.body;
+      if (authProfileId) {
+        const authProfile = await req.app.locals.authProfiles.describe(authProfileId);
+        if (!authProfile) return res.status(400).json({ error: `Authentication profile ${authProfileId} not found` });
+        const url = startUrl || steps?.[0]?.url;
+        if (!profileAllowsUrl(authProfile, url)) {
+          return res.status(400).json({ error: `Authentication profile ${authProfileId} cannot be used for ${url}` });
+        }
+      }
+
+      const journey = await req.app.locals.journeys.create({ name, startUrl, steps, authProfileId });
+      res.status(201).json({ success: true, journey });
+    } catch (error) {
+      const status = /Invalid journey/.test(error.message) ? 400 : 500;
+      res.status(status).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/', async (req, res) => {
+    try {
+      const journeys = await req.app.locals.journeys.list();
+      res.json({ success: true, journeys });
+    } catch (error) {
+      console.error('Journey listing error:', error);
+      res.status(500).json({ error: 'Failed to list journeys' });
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const journey = await req.app.locals.journeys.get(req.params.id);
+      if (!journey) return res.status(404).json({ error: 'Journey not found' });
+      res.json({ success: true, journey });
+    } catch (error) {
+      console.error('Journey lookup error:', error);
+      res.status(500).json({ error: 'Failed to load journey' });
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      const deleted = await req.app.locals.journeys.delete(req.params.id);
+      if (!deleted) return res.status(404).json({ error: 'Journey not found' });
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Journey delete error:', error);
+      res.status(500).json({ error: 'Failed to delete journey' });
+    }
+  });
+
+  // Queue a run of a saved journey; poll /api/scans/:jobId for the results
+  router.post('/:id/run', async (req, res) => {
+    try {
+      const journey = await req.app.locals.journeys.get(req.params.id);
+      if (!journey) return res.status(404).json({ error: 'Journey not found' });
+
+      const { generateReport = false, browserType, ruleProfile, ruleConfig, screenshots = true } = req.body;
+      if (browserType && !SUPPORTED_BROWSERS.includes(String(browserType).toLowerCase())) {
+        return res.status(400).json({ error: `Unsupported browser: ${browserType}` });
+      }
+
+      const resolvedRules = await req.app.locals.ruleProfiles.resolve({ ruleProfile, ruleConfig });
+      if (resolvedRules.errors.length > 0) {
+        return res.status(400).json({ error: resolvedRules.errors.join('; ') });
+      }
+
+      const jobId = await req.app.locals.scanQueue.enqueue('journey', {
+        journeyId: journey.id,
+        generateReport,
+        browserType,
+        ruleConfig: resolvedRules.config,
+        screenshots
+      });
+      await req.app.locals.journeys.recordRun(journey.id, jobId);
+
+      res.status(202).json({
+        success: true,
+        jobId,
+        status: 'queued',
+        statusUrl: `/api/scans/${jobId}`
+      });
+    } catch (error) {
+      console.error('Journey run error:', error);
+      res.status(500).json({ error: 'Failed to queue journey run' });
+    }
+  });
+
+  router.get('/:id/runs', async (req, res) => {
+    try {
+      const runs = await req.app.locals.journeys.listRuns(req.params.id);
+      res.json({ success: true, runs });
+    } catch (error) {
+      console.error('Journey runs error:', error);
+      res.status(500).json({ error: 'Failed to list journey runs' });
+    }
+  });
+
+  // Stored results of a finished run, with links to its screenshots
+  router.get('/:id/runs/:jobId', requireApiKey, async (req, res) => {
+    try {
+      const run = await req.app.locals.journeys.getRun(req.params.id, req.params.jobId);
+      if (!run) return res.status(404).json({ error: 'Journey run not found' });
+      if (!run.result) return res.status(409).json({ error: 'Journey run has not finished', jobId: run.jobId });
+      res.json({ success: true, run });
+    } catch (error) {
+      console.error('Journey run lookup error:', error);
+      res.status(500).json({ error: 'Failed to load journey run' });
+    }
+  });
+
+  return router;
+};
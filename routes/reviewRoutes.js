@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+
+module.exports = () => {
+  // List review items, optionally filtered by ?url=, ?domain= and ?status=
+  router.get('/', async (req, res) => {
+    try {
+      const { url, domain, status } = req.query;
+      const items = await req.app.locals.reviewItems.list({ url, domain, status });
+      res.json({ success: true, items });
+    } catch (error) {
+      console.error('Review item listing error:', error);
+      res.status(500).json({ error: 'Failed to list review items' });
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const item = await req.app.locals.reviewItems.get(req.params.id);
+      if (!item) return res.status(404).json({ error: 'Review item not found' });
+      res.json({ success: true, item });
+    } catch (error) {
+      console.error('Review item lookup error:', error);
+      res.status(500).json({ error: 'Failed to load review item' });
+    }
+  });
+
+  // Record a decision: { status: 'pass' | 'fail' | 'not-applicable' | 'open', reviewer?, note? }
+  router.patch('/:id', async (req, res) => {
+    try {
+      const { status, reviewer, note } = req.body;
+      const item = await req.app.locals.reviewItems.decide(req.params.id, { status, reviewer, note });
+      if (!item) return res.status(404).json({ error: 'Review item not found' });
+      res.json({ success: true, item });
+    } catch (error) {
+      const status = /Invalid review status/.test(error.message) ? 400 : 500;
+      if (status === 500) console.error('Review decision error:', error);
+      res.status(status).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+
+module.exports = () => {
+  // Save a named rule configuration (level, WCAG version, tags, disabled rules, selectors)
+  router.post('/', async (req, res) => {
+    try {
+      const { name, ...ruleConfig } = req.body;
+      const profile = await req.app.locals.ruleProfiles.create(name, ruleConfig);
+      res.status(201).json({ success: true, profile });
+    } catch (error) {
+      const status = /required|Invalid/.test(error.message) ? 400
+        : /UNIQUE/.test(error.message) ? 409 : 500;
+      res.status(status).json({
+        success: false,
+        error: status === 409 ? 'A rule profile with this name already exists' : error.message
+      });
+    }
+  });
+
+  router.get('/', async (req, res) => {
+    try {
+      const profiles = await req.app.locals.ruleProfiles.list();
+      res.json({ success: true, profiles });
+    } catch (error) {
+      console.error('Rule profile listing error:', error);
+      res.status(500).json({ error: 'Failed to list rule profiles' });
+    }
+  });
+
+  router.get('/:idOrName', async (req, res) => {
+    try {
+      const profile = await req.app.locals.ruleProfiles.find(req.params.idOrName);
+      if (!profile) return res.status(404).json({ error: 'Rule profile not found' });
+      res.json({ success: true, profile });
+    } catch (error) {
+      console.error('Rule profile lookup error:', error);
+      res.status(500).json({ error: 'Failed to load rule profile' });
+    }
+  });
+
+  router.delete('/:idOrName', async (req, res) => {
+    try {
+      const deleted = await req.app.locals.ruleProfiles.delete(req.params.idOrName);
+      if (!deleted) return res.status(404).json({ error: 'Rule profile not found' });
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Rule profile delete error:', error);
+      res.status(500).json({ error: 'Failed to delete rule profile' });
+    }
+  });
+
+  return router;
+};
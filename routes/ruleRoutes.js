@@ -0,0 +1,27 @@
+const express = require('express');
+const { listRules } = require('../scanner/ruleConfig');
+const router = express.Router();
+
+module.exports = () => {
+  // Built-in and custom rules with their status, under ?ruleProfile= when given.
+  // Filter with ?source=axe|scanner|plugin and ?status=enabled|disabled|not-selected|error
+  router.get('/', async (req, res) => {
+    try {
+      const { ruleProfile, source, status } = req.query;
+      const resolved = await req.app.locals.ruleProfiles.resolve({ ruleProfile });
+      if (resolved.errors.length > 0) {
+        return res.status(400).json({ success: false, errors: resolved.errors });
+      }
+
+      const rules = listRules(resolved.config)
+        .filter(rule => !source || rule.source === source)
+        .filter(rule => !status || rule.status === status);
+      res.json({ success: true, count: rules.length, rules });
+    } catch (error) {
+      console.error('Rule listing error:', error);
+      res.status(500).json({ error: 'Failed to list rules' });
+    }
+  });
+
+  return router;
+};
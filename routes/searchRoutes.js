@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 
-module.exports = (searchEngine) => {
+module.exports = () => {
   // Semantic Search
   router.post('/semantic', async (req, res) => {
   try {
@@ -11,7 +11,7 @@ module.exports = (searchEngine) => {
       return res.status(400).json({ error: 'Valid query string required' });
     }
 
-    const results = await searchEngine.semanticSearch(query, limit || 5);
+    const results = await req.app.locals.searchEngine.semanticSearch(query, limit || 5);
     
     res.json({
       success: true,
@@ -22,6 +22,7 @@ module.exports = (searchEngine) => {
         severity: r.severity,
         similarity: (r.similarity * 100).toFixed(1) + '%', // Show as percentage
         url: r.url,
+        documentType: r.document_type || 'html',
         domain: r.domain
       }))
     });
@@ -39,11 +40,11 @@ module.exports = (searchEngine) => {
   // Violations Search - Updated endpoint
   router.get('/violations', async (req, res) => {
     try {
-      const { violationId, severity, domain } = req.query;
+      const { violationId, severity, domain, documentType } = req.query;
       
-      if (!violationId && !severity && !domain) {
+      if (!violationId && !severity && !domain && !documentType) {
         return res.status(400).json({ 
-          error: 'At least one search parameter required (violationId, severity, or domain)' 
+          error: 'At least one search parameter required (violationId, severity, domain or documentType)' 
         });
       }
 
@@ -51,8 +52,9 @@ module.exports = (searchEngine) => {
       if (violationId) filters.violationId = violationId;
       if (severity) filters.severity = severity.toLowerCase(); // Normalize case
       if (domain) filters.domain = domain;
+      if (documentType) filters.documentType = documentType;
 
-      const results = await searchEngine.searchViolations(filters);
+      const results = await req.app.locals.searchEngine.searchViolations(filters);
       res.json(results);
       
     } catch (error) {
@@ -68,7 +70,8 @@ module.exports = (searchEngine) => {
   router.get('/compliance', async (req, res) => {
     try {
       const minScore = Number(req.query.minScore) || 0;
-      const results = await searchEngine.searchWebsitesByCompliance(minScore);
+      const sourceType = req.query.source === 'local' ? 'local' : 'crawl';
+      const results = await req.app.locals.searchEngine.searchWebsitesByCompliance(minScore, 50, sourceType);
       res.json(results.length > 0 ? results : []);
     } catch (error) {
       console.error('Compliance search error:', error);
@@ -76,5 +79,25 @@ module.exports = (searchEngine) => {
     }
   });
 
+  // Page templates of a sampled site, with findings that are fixed once per template
+  router.get('/templates', async (req, res) => {
+    try {
+      const { domain } = req.query;
+      if (!domain) {
+        return res.status(400).json({ error: 'domain parameter required' });
+      }
+
+      const templates = await req.app.locals.searchEngine.templatesForDomain(domain);
+      res.json({
+        domain,
+        templates,
+        estimatedPages: templates.reduce((sum, template) => sum + template.pageCount, 0)
+      });
+    } catch (error) {
+      console.error('Template search error:', error);
+      res.status(500).json({ error: 'Template search failed' });
+    }
+  });
+
   return router;
 };
\ No newline at end of file
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+
+module.exports = () => {
+  // Scan performance across stored scans: which phase dominates, total scan
+  // time, page weight and element counts. Filter with ?domain= and ?since=
+  // (ISO date); ?limit= caps how many recent scans are aggregated.
+  router.get('/performance', async (req, res) => {
+    try {
+      const { domain, since } = req.query;
+      const limit = req.query.limit === undefined ? 1000 : Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > 10000) {
+        return res.status(400).json({ error: 'limit must be an integer between 1 and 10000' });
+      }
+      if (since && Number.isNaN(Date.parse(since))) {
+        return res.status(400).json({ error: 'since must be a date' });
+      }
+
+      const stats = await req.app.locals.scanProfiles.stats({
+        domain,
+        // Stored timestamps are SQLite's "YYYY-MM-DD HH:MM:SS" in UTC
+        since: since && new Date(since).toISOString().replace('T', ' ').slice(0, 19),
+        limit
+      });
+      res.json({ success: true, ...stats });
+    } catch (error) {
+      console.error('Scan stats error:', error);
+      res.status(500).json({ error: 'Failed to compute scan statistics' });
+    }
+  });
+
+  return router;
+};
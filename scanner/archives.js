@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { v4: uuidv4 } = require('uuid');
+const { redactSecrets, collectSecrets, credentialHeaders, redactText } = require('./authContext');
+
+const ARCHIVE_DIR = process.env.ARCHIVE_DIR || path.join(__dirname, '../archives');
+// Playwright stores the HAR log under this name inside a .zip archive
+const HAR_ENTRY = 'har.har';
+// Headers that carry a session or credentials; replays never need them
+const AUTH_HEADERS = ['cookie', 'set-cookie', 'authorization', 'proxy-authorization'];
+// Attached bodies of these types are text, and are redacted like the log
+const TEXT_CONTENT = /^text\/|json|javascript|xml|x-www-form-urlencoded/i;
+
+// Archive references are stored relative to ARCHIVE_DIR ("<id>.zip")
+function resolveArchivePath(relativePath) {
+  const resolved = path.resolve(ARCHIVE_DIR, relativePath);
+  if (!resolved.startsWith(path.resolve(ARCHIVE_DIR) + path.sep)) {
+    throw new Error('Invalid archive path');
+  }
+  return resolved;
+}
+
+// A fresh archive location for a recording
+function newArchive() {
+  fs.mkdirSync(ARCHIVE_DIR, { recursive: true });
+  const id = uuidv4();
+  const relativePath = `${id}.zip`;
+  return { id, path: relativePath, file: resolveArchivePath(relativePath) };
+}
+
+/**
+ * Context options that record everything the page loads into the archive.
+ * Service workers are blocked because their requests bypass HAR recording.
+ * The archive is written when the context closes.
+ */
+function recordingContextOptions(archive) {
+  return {
+    recordHar: { path: archive.file, content: 'attach', mode: 'full' },
+    serviceWorkers: 'block'
+  };
+}
+
+// Drop cookies and credential headers from every request and response
+function stripCredentials(har, authProfile) {
+  const names = [...AUTH_HEADERS, ...Object.keys(credentialHeaders(authProfile || {})).map(name => name.toLowerCase())];
+  for (const entry of har.log?.entries || []) {
+    for (const message of [entry.request, entry.response]) {
+      if (!message) continue;
+      message.headers = (message.headers || []).filter(header => !names.includes(header.name.toLowerCase()));
+      message.cookies = [];
+    }
+  }
+  return har;
+}
+
+/**
+ * Tidy up a finished recording: drop session cookies and credential headers,
+ * strip auth profile secrets the login and requests put into the HAR and
+ * into the response bodies stored beside it, and describe what was captured.
+ */
+function finishRecording(archive, authProfile) {
+  if (!fs.existsSync(archive.file)) throw new Error(`Archive ${archive.id} was not written`);
+
+  const zip = new AdmZip(archive.file);
+  const entry = zip.getEntry(HAR_ENTRY);
+  if (!entry) throw new Error(`Archive ${archive.id} has no HAR log`);
+  let har = stripCredentials(JSON.parse(entry.getData().toString('utf8')), authProfile);
+
+  const secrets = collectSecrets(authProfile);
+  if (secrets.length > 0) {
+    har = redactSecrets(har, authProfile);
+    // With content: 'attach' bodies are separate zip entries named in `_file`
+    for (const { request, response } of har.log?.entries || []) {
+      for (const content of [request?.postData, response?.content]) {
+        if (!content?._file || !TEXT_CONTENT.test(content.mimeType || '')) continue;
+        const body = zip.getEntry(content._file);
+        if (!body) continue;
+        const redacted = Buffer.from(redactText(body.getData().toString('utf8'), secrets));
+        zip.updateFile(content._file, redacted);
+        if (content.size !== undefined) content.size = redacted.length;
+      }
+    }
+  }
+
+  zip.updateFile(HAR_ENTRY, Buffer.from(JSON.stringify(har)));
+  zip.writeZip(archive.file);
+
+  return {
+    id: archive.id,
+    path: archive.path,
+    size: fs.statSync(archive.file).size,
+    entries: har.log?.entries?.length || 0
+  };
+}
+
+/**
+ * Serve every request in the context from a stored archive. Anything the
+ * archive does not contain is aborted, so the replay never touches the
+ * network; WebSockets bypass routing and are switched off in the page.
+ */
+async function replayFromArchive(context, relativePath) {
+  const file = resolveArchivePath(relativePath);
+  if (!fs.existsSync(file)) throw new Error('Archive file is missing');
+
+  await context.routeFromHAR(file, { notFound: 'abort', update: false });
+  await context.addInitScript(() => {
+    window.WebSocket = function() {
+      throw new Error('Network access is disabled while replaying an archive');
+    };
+  });
+}
+
+function removeArchiveFile(relativePath) {
+  fs.rmSync(resolveArchivePath(relativePath), { force: true });
+}
+
+module.exports = {
+  ARCHIVE_DIR,
+  resolveArchivePath,
+  newArchive,
+  recordingContextOptions,
+  finishRecording,
+  replayFromArchive,
+  removeArchiveFile
+};
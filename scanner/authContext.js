@@ -0,0 +1,234 @@
+const LOGIN_ACTIONS = ['goto', 'fill', 'click', 'waitForSelector'];
+const LOGIN_STEP_TIMEOUT = 30000;
+const REDACTED = '[REDACTED]';
+
+// "https://app.example.com" for each URL or origin given, as a string or a list
+function normalizeOrigins(origins) {
+  return [...new Set([].concat(origins || []).map(origin => new URL(origin).origin))];
+}
+
+// Whether the profile's credentials may be used for a URL: only on the
+// origins it was created for
+function profileAllowsUrl(profile, url) {
+  try {
+    return normalizeOrigins(profile?.origins).includes(new URL(url).origin);
+  } catch (error) {
+    return false;
+  }
+}
+
+function getLoginSteps(profile) {
+  const script = profile?.loginScript;
+  if (!script) return [];
+  return Array.isArray(script) ? script : script.steps || [];
+}
+
+// Returns a list of problems with a profile definition (empty when valid)
+function validateAuthProfile(profile) {
+  const errors = [];
+  if (!profile || typeof profile !== 'object') return ['Profile must be an object'];
+
+  const origins = [].concat(profile.origins || []);
+  if (origins.length === 0) {
+    errors.push('origins must list the origins the profile may be used on');
+  }
+  origins.forEach((origin, i) => {
+    try {
+      if (!['http:', 'https:'].includes(new URL(origin).protocol)) throw new Error();
+    } catch (error) {
+      errors.push(`origins[${i}] must be an http(s) origin`);
+    }
+  });
+
+  if (profile.cookies !== undefined) {
+    if (!Array.isArray(profile.cookies)) {
+      errors.push('cookies must be an array');
+    } else {
+      profile.cookies.forEach((cookie, i) => {
+        if (!cookie?.name || cookie.value === undefined) {
+          errors.push(`cookies[${i}] needs a name and value`);
+        }
+        if (!cookie?.url && !cookie?.domain) {
+          errors.push(`cookies[${i}] needs a url or domain`);
+        }
+      });
+    }
+  }
+
+  if (profile.headers !== undefined && (typeof profile.headers !== 'object' || Array.isArray(profile.headers))) {
+    errors.push('headers must be an object of header names to values');
+  }
+
+  if (profile.httpCredentials !== undefined &&
+      (!profile.httpCredentials?.username || profile.httpCredentials.password === undefined)) {
+    errors.push('httpCredentials needs a username and password');
+  }
+
+  getLoginSteps(profile).forEach((step, i) => {
+    if (!LOGIN_ACTIONS.includes(step?.action)) {
+      errors.push(`loginScript step ${i} has unsupported action "${step?.action}" (use ${LOGIN_ACTIONS.join(', ')})`);
+    } else if (step.action === 'goto' && !step.url) {
+      errors.push(`loginScript step ${i} (goto) needs a url`);
+    } else if (step.action !== 'goto' && !step.selector) {
+      errors.push(`loginScript step ${i} (${step.action}) needs a selector`);
+    }
+  });
+
+  return errors;
+}
+
+// Headers the profile adds to requests on its origins
+function credentialHeaders(profile) {
+  const headers = {};
+  if (profile.httpCredentials) {
+    const { username, password } = profile.httpCredentials;
+    headers.authorization = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+  }
+  for (const [name, value] of Object.entries(profile.headers || {})) {
+    headers[name.toLowerCase()] = String(value);
+  }
+  return headers;
+}
+
+// Create a browser context carrying the profile's credentials and, when the
+// profile has a login script, the session it produces. Headers and HTTP
+// credentials are only added to requests for the profile's own origins, never
+// to third-party scripts or CDNs the page loads. Without a profile this is a
+// plain context, so callers can use it unconditionally.
+async function createAuthenticatedContext(browser, profile, contextOptions = {}) {
+  const context = await browser.newContext({
+    bypassCSP: true,
+    ...contextOptions
+  });
+
+  if (!profile) return context;
+
+  try {
+    const headers = credentialHeaders(profile);
+    if (Object.keys(headers).length > 0) {
+      await context.route('**/*', (route) => {
+        const request = route.request();
+        if (!profileAllowsUrl(profile, request.url())) return route.fallback();
+        return route.fallback({ headers: { ...request.headers(), ...headers } });
+      });
+    }
+
+    if (profile.cookies?.length) {
+      await context.addCookies(profile.cookies.map(cookie => ({
+        path: cookie.url ? undefined : '/',
+        ...cookie,
+        value: String(cookie.value)
+      })));
+    }
+
+    const steps = getLoginSteps(profile);
+    if (steps.length > 0) await runLoginScript(context, steps);
+
+    console.log(`[AUTH] Prepared context for profile "${profile.name || profile.id}"`);
+    return context;
+  } catch (error) {
+    await context.close();
+    // Step values can be passwords, so only the action and selector are reported
+    throw new Error(`Authentication failed for profile "${profile.name || profile.id}": ${error.message}`);
+  }
+}
+
+async function runLoginScript(context, steps) {
+  const page = await context.newPage();
+
+  try {
+    for (const [i, step] of steps.entries()) {
+      const timeout = step.timeout || LOGIN_STEP_TIMEOUT;
+      try {
+        switch (step.action) {
+          case 'goto':
+            await page.goto(step.url, { waitUntil: 'networkidle', timeout });
+            break;
+          case 'fill':
+            await page.fill(step.selector, String(step.value ?? ''), { timeout });
+            break;
+          case 'click':
+            await page.click(step.selector, { timeout });
+            break;
+          case 'waitForSelector':
+            await page.waitForSelector(step.selector, { timeout });
+            break;
+        }
+      } catch (error) {
+        throw new Error(`login step ${i} (${step.action} ${step.selector || step.url}) failed`);
+      }
+    }
+    await page.waitForLoadState('networkidle').catch(() => {});
+  } finally {
+    await page.close();
+  }
+}
+
+// Every value in a profile that must never leave the server, also as it
+// appears URL-encoded in form posts and query strings; longest first
+function collectSecrets(profile) {
+  if (!profile) return [];
+  const secrets = [
+    ...(profile.cookies || []).map(cookie => cookie.value),
+    ...Object.values(credentialHeaders(profile)),
+    profile.httpCredentials?.password,
+    ...getLoginSteps(profile).filter(step => step.action === 'fill').map(step => step.value)
+  ].filter(s => s !== undefined && s !== null && String(s) !== '').map(String);
+  return [...new Set([...secrets, ...secrets.map(encodeURIComponent)])]
+    .sort((a, b) => b.length - a.length);
+}
+
+function redactText(text, secrets) {
+  return secrets.reduce((redacted, secret) => redacted.split(secret).join(REDACTED), text);
+}
+
+// Replace any profile secret found in the strings of a result object. Only
+// string values are touched, so even a one-character secret cannot corrupt
+// numbers or keys.
+function redactSecrets(data, profile) {
+  const secrets = collectSecrets(profile);
+  if (secrets.length === 0 || data === undefined) return data;
+
+  const redact = (value) => {
+    if (typeof value === 'string') return redactText(value, secrets);
+    if (Array.isArray(value)) return value.map(redact);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redact(item)]));
+    }
+    return value;
+  };
+  return redact(JSON.parse(JSON.stringify(data)));
+}
+
+// Safe, secret-free description of a profile for API responses and scan records
+function describeAuthProfile(profile) {
+  if (!profile) return null;
+  return {
+    id: profile.id,
+    name: profile.name,
+    origins: normalizeOrigins(profile.origins),
+    cookies: (profile.cookies || []).map(cookie => ({
+      name: cookie.name,
+      domain: cookie.domain || (cookie.url && new URL(cookie.url).hostname)
+    })),
+    headers: Object.keys(profile.headers || {}),
+    httpCredentials: profile.httpCredentials ? { username: profile.httpCredentials.username } : null,
+    loginSteps: getLoginSteps(profile).map(step => ({
+      action: step.action,
+      selector: step.selector,
+      url: step.url
+    }))
+  };
+}
+
+module.exports = {
+  createAuthenticatedContext,
+  validateAuthProfile,
+  normalizeOrigins,
+  profileAllowsUrl,
+  credentialHeaders,
+  collectSecrets,
+  redactText,
+  redactSecrets,
+  describeAuthProfile
+};
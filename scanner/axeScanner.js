@@ -1,163 +1,174 @@
 const axe = require('axe-core');
-const puppeteer = require('puppeteer');
 const { generateFixSuggestions, calculateRiskScore } = require('../utils/aiUtils');
 const { v4: uuidv4 } = require('uuid');
-const { chromium, firefox, webkit } = require('playwright');
+const { browserPool } = require('./browserPool');
+const { newArchive, recordingContextOptions, finishRecording, replayFromArchive, removeArchiveFile } = require('./archives');
+const { DEFAULT_RULE_CONFIG, describeStandards, isRuleEnabled } = require('./ruleConfig');
+const { resolveViewports, checkReflow } = require('./viewports');
+const { captureViolationScreenshots } = require('./screenshots');
+const { testKeyboardNavigation } = require('./keyboardAudit');
+const { simulateScreenReader } = require('./screenReader');
+const { runAxeInFrames, formatTarget } = require('./frames');
+const { analysePixelContrast } = require('./pixelContrast');
+const { auditMedia } = require('./mediaAudit');
+const { runPluginChecks } = require('./plugins');
+const { createPhaseTimer, addTimings, formatDuration, trackPageWeight, countElements } = require('./profiling');
 
-// Browser instance management
-let browserInstances = {};
 const MAX_SCAN_TIME = 120000;
+const SUPPORTED_BROWSERS = ['chromium', 'firefox', 'webkit'];
 
-async function getBrowserInstance(browserType = 'chromium') {
-  browserType = browserType.toLowerCase();
-  
-  if (!browserInstances[browserType] || !browserInstances[browserType].isConnected()) {
-    const browser = {
-      chromium,
-      firefox,
-      webkit
-    }[browserType];
-    
-    if (!browser) throw new Error(`Unsupported browser: ${browserType}`);
-    
-    browserInstances[browserType] = await browser.launch({
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu'
-      ],
-      executablePath: process.env[`${browserType.toUpperCase()}_PATH`] || 
-        (process.platform === 'win32'
-          ? getWindowsPath(browserType)
-          : getLinuxPath(browserType))
-    });
-  }
-  return browserInstances[browserType];
-}
+// Run axe, the ATAG pass, keyboard testing and screen reader simulation
+// against whatever is currently loaded in the page. Pass `screenshots`
+// ({ scanId, prefix }) to capture annotated screenshots of failing nodes.
+// Pass a `timer` (see profiling.js) to collect the time spent per phase.
+async function auditPage(page, ruleConfig = DEFAULT_RULE_CONFIG, { screenshots, extraViolations = [], timer = createPhaseTimer() } = {}) {
+  // Inject axe-core into every frame and merge the results
+  const results = await timer.time('axe', () => runAxeInFrames(page, ruleConfig));
+  results.violations.push(...extraViolations.filter(v => isRuleEnabled(ruleConfig, v.id, v.tags)));
 
-function getWindowsPath(browserType) {
-  const paths = {
-    chromium: 'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
-    firefox: 'C:\\Program Files\\Mozilla Firefox\\firefox.exe',
-    webkit: 'C:\\Program Files\\WebKit\\WebKit.exe'
-  };
-  return paths[browserType];
-}
+  // Contrast over images and gradients, which axe leaves as "incomplete"
+  results.violations.push(...await timer.time('pixelContrast', () => analysePixelContrast(page, ruleConfig)));
 
-function getLinuxPath(browserType) {
-  const paths = {
-    chromium: '/usr/bin/google-chrome',
-    firefox: '/usr/bin/firefox',
-    webkit: '/usr/bin/webkit'
-  };
-  return paths[browserType];
-}
+  // Playwright-based custom rules from the plugin directory
+  const plugins = await timer.time('plugins', () => runPluginChecks(page, ruleConfig));
+  results.violations.push(...plugins.violations);
+  if (plugins.errors.length > 0) results.pluginErrors = plugins.errors;
 
-async function testKeyboardNavigation(page) {
-  await page.keyboard.press('Tab');
-  const issues = [];
-  
-  for (let i = 0; i < 50; i++) { // Limit to 50 elements
-    const focusedElement = await page.evaluateHandle(() => document.activeElement);
-    const isVisible = await focusedElement.evaluate(el => {
-      const style = window.getComputedStyle(el);
-      return style.visibility !== 'hidden' && 
-             style.display !== 'none' &&
-             el.offsetWidth > 0 &&
-             el.offsetHeight > 0;
+  // Screenshots come before keyboard testing moves focus and scrolls the page
+  if (screenshots) {
+    results.screenshots = await timer.time('screenshots', async () => ({
+      fullPage: await captureViolationScreenshots(page, results.violations, screenshots),
+      // Items needing manual review get their own numbered overview
+      review: results.incomplete?.length > 0
+        ? await captureViolationScreenshots(page, results.incomplete, {
+          ...screenshots,
+          prefix: `${screenshots.prefix || ''}review-`
+        })
+        : null
+    }));
+  }
+
+  // Check for authoring tool and run ATAG checks
+  await timer.time('atag', async () => {
+    const isAuthoringTool = await page.evaluate(() => {
+      return document.querySelector('[contenteditable], .wysiwyg, .rich-text-editor') !== null;
     });
-    
-    const tabIndex = await focusedElement.evaluate(el => el.tabIndex);
-    const tagName = await focusedElement.evaluate(el => el.tagName);
-    
-    if (!isVisible) {
-      issues.push({
-        type: 'keyboard-focus-hidden',
-        element: tagName,
-        message: 'Focused element is not visible'
-      });
-    }
-    
-    if (tagName === 'A' || tagName === 'BUTTON') {
-      const hasAccessibleName = await focusedElement.evaluate(el => 
-        el.getAttribute('aria-label') || el.textContent.trim()
-      );
-      
-      if (!hasAccessibleName) {
-        issues.push({
-          type: 'keyboard-missing-aria-label',
-          element: tagName,
-          message: 'Interactive element missing accessible name'
-        });
-      }
+
+    if (isAuthoringTool) {
+      const authoringResults = await page.evaluate(() => axe.run({
+        runOnly: {
+          type: 'tag',
+          values: ['atag2.0']
+        }
+      }));
+      results.authoringViolations = authoringResults.violations;
     }
-    
-    await page.keyboard.press('Tab');
-  }
-  
-  return issues;
+  });
+
+  // Run keyboard navigation tests
+  const keyboardResults = await timer.time('keyboard', () => testKeyboardNavigation(page));
+  results.keyboardIssues = keyboardResults;
+
+  // Run screen reader simulation
+  const screenReader = await timer.time('screenReader', () => simulateScreenReader(page));
+  results.screenReaderIssues = screenReader.issues;
+  results.screenReaderTranscript = screenReader.transcript;
+
+  return results;
 }
 
-async function simulateScreenReader(page) {
-  const issues = [];
-  
-  const elements = await page.$$('img, button, a, input, [role]');
-  for (const element of elements) {
-    const altText = await element.evaluate(el => el.alt);
-    const ariaLabel = await element.evaluate(el => el.getAttribute('aria-label'));
-    const role = await element.evaluate(el => el.getAttribute('role'));
-    const tagName = await element.evaluate(el => el.tagName);
-    
-    if (tagName === 'IMG' && !altText && !ariaLabel) {
-      const suggestion = await generateFixSuggestions({
-        id: 'screenreader-missing-alt',
-        description: 'Image missing alt text',
-        nodes: [{ html: await element.evaluate(el => el.outerHTML) }]
-      });
-      
-      issues.push({
-        type: 'screenreader-missing-alt',
-        element: tagName,
-        message: 'Image missing alt text for screen readers',
-        suggestion // Add AI-generated suggestion
-      });
+// Audit the page once per viewport, reloading so layout scripts see each size.
+// `delayMs` is waited before each reload, to keep to a site's crawl delay.
+async function auditViewports(page, presets, ruleConfig, { screenshots, delayMs = 0, timer = createPhaseTimer() } = {}) {
+  const viewportResults = {};
+
+  for (const [i, preset] of presets.entries()) {
+    const current = page.viewportSize();
+    if (i > 0 || current?.width !== preset.width || current?.height !== preset.height) {
+      await page.setViewportSize({ width: preset.width, height: preset.height });
+      if (i > 0 && delayMs > 0) await page.waitForTimeout(delayMs);
+      await timer.time('navigation', () => page.reload({ waitUntil: 'networkidle', timeout: MAX_SCAN_TIME }));
     }
-    
-    if (['BUTTON', 'A'].includes(tagName) && !ariaLabel && !await element.evaluate(el => el.textContent.trim())) {
-      const suggestion = await generateFixSuggestions({
-        id: 'screenreader-missing-aria',
-        description: 'Interactive element missing ARIA label',
-        nodes: [{ html: await element.evaluate(el => el.outerHTML) }]
-      });
-      
-      issues.push({
-        type: 'screenreader-missing-aria',
-        element: tagName,
-        message: 'Interactive element missing ARIA label',
-        suggestion // Add AI-generated suggestion
-      });
+
+    // Reflow runs first, before keyboard testing scrolls and moves focus
+    const reflowViolations = preset.reflowCheck
+      ? (await timer.time('reflow', () => checkReflow(page))).filter(v => isRuleEnabled(ruleConfig, v.id, v.tags))
+      : [];
+    const results = await auditPage(page, ruleConfig, {
+      extraViolations: reflowViolations,
+      timer,
+      screenshots: screenshots && { ...screenshots, prefix: `${preset.name}-` }
+    });
+    if (preset.reflowCheck) {
+      results.reflow = {
+        passed: reflowViolations.length === 0,
+        issues: reflowViolations.map(v => v.id)
+      };
     }
+
+    console.log(`[VIEWPORT] ${preset.name} (${preset.width}x${preset.height}): ${results.violations.length} violations`);
+    viewportResults[preset.name] = results;
   }
-  
-  return issues;
+
+  const merged = mergeFindings(viewportResults, 'viewports');
+  const first = viewportResults[presets[0].name];
+
+  return {
+    ...first,
+    ...merged,
+    viewports: presets.map(preset => {
+      const results = viewportResults[preset.name];
+      return {
+        name: preset.name,
+        label: preset.label,
+        width: preset.width,
+        height: preset.height,
+        violations: results.violations,
+        incomplete: results.incomplete,
+        authoringViolations: results.authoringViolations,
+        keyboardIssues: results.keyboardIssues,
+        screenReaderIssues: results.screenReaderIssues,
+        reflow: results.reflow,
+        screenshots: results.screenshots
+      };
+    })
+  };
 }
 
 async function scanPage(url, options = {}) {
-  const { browserType = 'chromium' } = options;
+  const { browserType = 'chromium', authProfile, ruleConfig = DEFAULT_RULE_CONFIG, viewports, media = false } = options;
+  // A crawl passes its user agent and politeness delay (`delayMs`), which the
+  // scan's own reloads keep to as well
+  const { userAgent, delayMs = 0 } = options;
   const scanId = uuidv4();
+  const timer = createPhaseTimer();
   console.log(`[${scanId}] Starting ${browserType} scan for: ${url}`);
+
+  // Recording (`recordArchive`) and replaying (`replayArchive`, a stored
+  // archive path) each need a context of their own
+  const { replayArchive } = options;
+  const archive = options.recordArchive && !options.context && !replayArchive ? newArchive() : null;
   
-  const browser = await getBrowserInstance(browserType);
-  const context = await browser.newContext({
-    bypassCSP: true,
-    viewport: { width: 1280, height: 800 }
+  // A caller-supplied context (e.g. a local source sandbox) is reused and left
+  // open; otherwise the pool supplies one for the domain, logged in if requested
+  const { page, context, release } = await browserPool.acquire(url, {
+    browserType,
+    // A replay is served from the archive, so there is nothing to log in to
+    authProfile: replayArchive ? null : authProfile,
+    // Scans of one crawl share its context; any other scan gets a fresh one
+    scope: options.scope,
+    context: options.context,
+    isolated: Boolean(archive || replayArchive),
+    contextOptions: archive ? recordingContextOptions(archive)
+      : replayArchive ? { serviceWorkers: 'block' } : {}
   });
-  const page = await context.newPage();
   
+  let results;
   try {
+    if (replayArchive) await replayFromArchive(context, replayArchive);
     await page.setDefaultNavigationTimeout(MAX_SCAN_TIME);
+    if (userAgent) await page.setExtraHTTPHeaders({ 'User-Agent': userAgent });
+    const pageWeight = trackPageWeight(page);
     
     // Store navigation promise before using it in Promise.race
     const navigationPromise = page.goto(url, { 
@@ -170,57 +181,211 @@ async function scanPage(url, options = {}) {
       setTimeout(() => reject(new Error('Navigation timeout')), MAX_SCAN_TIME)
     );
 
-    await Promise.race([navigationPromise, timeoutPromise]);
+    await timer.time('navigation', () => Promise.race([navigationPromise, timeoutPromise]));
 
-    // Inject axe-core and run analysis
-    await page.evaluate(axe.source);
-    const results = await page.evaluate(() => axe.run({
-      runOnly: {
-        type: 'tag',
-        values: ['wcag2a', 'wcag2aa', 'wcag21aa', 'section508', 'best-practice']
-      },
-      rules: {
-        'color-contrast': { enabled: true },
-        'empty-heading': { enabled: true },
-        'image-alt': { enabled: true }
-      },
-      reporter: 'v2',
-      resultTypes: ['violations', 'incomplete', 'inapplicable']
-    }));
+    // Weight of the initial load; viewport and media reloads are not counted
+    const weight = await pageWeight.stop();
+    const elementCount = await countElements(page);
+    const pageTitle = await page.title();
 
-    // Check for authoring tool and run ATAG checks
-    const isAuthoringTool = await page.evaluate(() => {
-      return document.querySelector('[contenteditable], .wysiwyg, .rich-text-editor') !== null;
-    });
+    const auditOptions = { screenshots: options.screenshots ? { scanId } : null, delayMs, timer };
+    results = viewports
+      ? await auditViewports(page, resolveViewports(viewports), ruleConfig, auditOptions)
+      : await auditPage(page, ruleConfig, auditOptions);
 
-    if (isAuthoringTool) {
-      const authoringResults = await page.evaluate(() => axe.run({
-        runOnly: {
-          type: 'tag',
-          values: ['atag2.0']
-        }
-      }));
-      results.authoringViolations = authoringResults.violations;
+    // Media and motion checks reload the page and watch it for seconds, so
+    // they are opt-in (`media: true`) and run once, last
+    if (media) {
+      try {
+        results.media = await timer.time('media', () => auditMedia(page, { ruleConfig, delayMs, timeout: MAX_SCAN_TIME }));
+      } catch (error) {
+        console.warn(`[${scanId}] Media audit failed:`, error.message);
+        results.media = { error: error.message, elements: [], issues: [] };
+      }
     }
+    results.scanId = scanId;
+    results.ruleConfig = ruleConfig;
+    results.pageWeight = weight;
+    results.elementCount = elementCount;
+    results.pageTitle = results.pageTitle || pageTitle;
+    results.timings = timer.summary();
+    results.scanDuration = formatDuration(results.timings.total);
 
-    // Run keyboard navigation tests
-    const keyboardResults = await testKeyboardNavigation(page);
-    results.keyboardIssues = keyboardResults;
-
-    // Run screen reader simulation
-    const screenReaderResults = await simulateScreenReader(page);
-    results.screenReaderIssues = screenReaderResults;
-
-    console.log(`[${scanId}] Scan completed with ${results.violations?.length || 0} violations`);
-    return results;
+    console.log(`[${scanId}] Scan completed with ${results.violations?.length || 0} violations in ${results.scanDuration}`);
 
   } catch (error) {
     console.error(`[${scanId}] Scan failed:`, error);
     throw new Error(`Scan failed: ${error.message}`);
   } finally {
-    if (context) await context.close();
-    if (page && !page.isClosed()) await page.close();
+    // Closing the recording context is what writes the archive
+    await release();
+    if (archive && !results) removeArchiveFile(archive.path);
+  }
+
+  if (archive) {
+    try {
+      results.archive = finishRecording(archive, authProfile);
+      console.log(`[${scanId}] Recorded ${results.archive.entries} requests to archive ${archive.id}`);
+    } catch (error) {
+      console.warn(`[${scanId}] Archive recording failed:`, error.message);
+      removeArchiveFile(archive.path);
+    }
+  }
+  return results;
+}
+
+// Run the same URL in several engines and merge the findings into one result
+async function scanAcrossBrowsers(url, options = {}) {
+  const browsers = [...new Set((options.browsers || SUPPORTED_BROWSERS).map(b => b.toLowerCase()))];
+  const engineResults = {};
+  const failedEngines = {};
+
+  // Engines run one after another to keep memory use predictable
+  for (const browserType of browsers) {
+    try {
+      engineResults[browserType] = await scanPage(url, { ...options, browserType });
+    } catch (error) {
+      console.error(`[COMPARE] ${browserType} scan failed for ${url}:`, error.message);
+      failedEngines[browserType] = error.message;
+    }
+  }
+
+  if (Object.keys(engineResults).length === 0) {
+    throw new Error(`Scan failed in every browser: ${Object.entries(failedEngines)
+      .map(([engine, message]) => `${engine} (${message})`).join(', ')}`);
+  }
+
+  return mergeBrowserResults(engineResults, failedEngines);
+}
+
+function mergeBrowserResults(engineResults, failedEngines = {}) {
+  const engines = Object.keys(engineResults);
+  const { violations, incomplete, keyboardIssues, screenReaderIssues } = mergeFindings(engineResults, 'engines');
+
+  const split = (items) => ({
+    common: items.filter(item => item.inAllEngines).length,
+    engineSpecific: items.filter(item => !item.inAllEngines).length
+  });
+
+  const byEngine = {};
+  for (const engine of engines) {
+    byEngine[engine] = {
+      violationCount: engineResults[engine].violations?.length || 0,
+      keyboardIssueCount: engineResults[engine].keyboardIssues?.length || 0,
+      screenReaderIssueCount: engineResults[engine].screenReaderIssues?.length || 0,
+      timings: engineResults[engine].timings
+    };
+  }
+
+  // Engines run one after another, so their phase timings add up
+  const timings = addTimings(...engines.map(engine => engineResults[engine].timings));
+
+  return {
+    ...engineResults[engines[0]],
+    timings,
+    scanDuration: formatDuration(timings.total),
+    violations,
+    incomplete,
+    keyboardIssues,
+    screenReaderIssues,
+    browserComparison: {
+      engines,
+      failedEngines,
+      byEngine,
+      summary: {
+        violations: split(violations),
+        keyboardIssues: split(keyboardIssues),
+        screenReaderIssues: split(screenReaderIssues)
+      },
+      engineSpecific: {
+        violations: violations
+          .filter(v => !v.inAllEngines)
+          .map(v => ({
+            id: v.id,
+            engines: v.engines,
+            nodes: v.nodes.filter(n => !n.inAllEngines).map(n => ({
+              target: formatTarget(n.target),
+              engines: n.engines
+            }))
+          })),
+        keyboardIssues: keyboardIssues.filter(i => !i.inAllEngines),
+        screenReaderIssues: screenReaderIssues.filter(i => !i.inAllEngines)
+      }
+    }
+  };
+}
+
+// Merge findings from several runs of the same page (engines, viewports, ...).
+// Each finding is tagged with the runs it appeared in under `tag` (e.g.
+// `engines`) and with `inAll<Tag>` (e.g. `inAllEngines`).
+function mergeFindings(resultSets, tag) {
+  const runs = Object.keys(resultSets);
+  const allKey = `inAll${tag[0].toUpperCase()}${tag.slice(1)}`;
+  const inAllRuns = (list) => runs.every(run => list.includes(run));
+
+  return {
+    violations: mergeRuleResults(resultSets, 'violations', tag, allKey, inAllRuns),
+    incomplete: mergeRuleResults(resultSets, 'incomplete', tag, allKey, inAllRuns),
+    keyboardIssues: mergeIssues(resultSets, 'keyboardIssues', tag, allKey, inAllRuns),
+    screenReaderIssues: mergeIssues(resultSets, 'screenReaderIssues', tag, allKey, inAllRuns)
+  };
+}
+
+// Axe results (violations, or incomplete items needing review) are matched by
+// rule id, then by node target within the rule
+function mergeRuleResults(resultSets, field, tag, allKey, inAllRuns) {
+  const ruleMap = new Map();
+  for (const [run, results] of Object.entries(resultSets)) {
+    for (const rule of results[field] || []) {
+      if (!ruleMap.has(rule.id)) {
+        ruleMap.set(rule.id, { ...rule, nodes: new Map(), [tag]: [] });
+      }
+      const merged = ruleMap.get(rule.id);
+      if (!merged[tag].includes(run)) merged[tag].push(run);
+
+      for (const node of rule.nodes) {
+        const key = formatTarget(node.target);
+        if (!merged.nodes.has(key)) merged.nodes.set(key, { ...node, [tag]: [] });
+        const mergedNode = merged.nodes.get(key);
+        if (!mergedNode[tag].includes(run)) mergedNode[tag].push(run);
+      }
+    }
+  }
+
+  return Array.from(ruleMap.values()).map(rule => {
+    const nodes = Array.from(rule.nodes.values()).map(node => ({
+      ...node,
+      [allKey]: inAllRuns(node[tag])
+    }));
+    return {
+      ...rule,
+      nodes,
+      [allKey]: nodes.every(node => node[allKey])
+    };
+  });
+}
+
+// Keyboard and screen reader issues are matched by type, element and message.
+// Repeats within one run keep their own slot so counts can differ per run.
+function mergeIssues(resultSets, field, tag, allKey, inAllRuns) {
+  const issueMap = new Map();
+
+  for (const [run, results] of Object.entries(resultSets)) {
+    const seen = {};
+    for (const issue of results[field] || []) {
+      const baseKey = [issue.type, issue.selector || issue.element, issue.message].join('|');
+      seen[baseKey] = (seen[baseKey] || 0) + 1;
+      const key = `${baseKey}|${seen[baseKey]}`;
+
+      if (!issueMap.has(key)) issueMap.set(key, { ...issue, [tag]: [] });
+      issueMap.get(key)[tag].push(run);
+    }
   }
+
+  return Array.from(issueMap.values()).map(issue => ({
+    ...issue,
+    [allKey]: inAllRuns(issue[tag])
+  }));
 }
 
 async function enhanceResults(results) {
@@ -248,7 +413,7 @@ async function enhanceResults(results) {
         // Enhanced node processing
         const nodes = violation.nodes.map(node => ({
           ...node,
-          target: node.target.join(' > '),
+          target: formatTarget(node.target),
           html: node.html.substring(0, 500) // Truncate long HTML
         }));
 
@@ -263,6 +428,18 @@ async function enhanceResults(results) {
     processedViolations.push(...enhancedBatch);
   }
 
+  // "Needs review" results keep their nodes but get no AI suggestion
+  const incomplete = (results.incomplete || []).map(item => ({
+    ...item,
+    severity: Object.keys(SEVERITY_MAPPING).find(level =>
+      SEVERITY_MAPPING[level].includes(item.impact)) || 'unknown',
+    nodes: item.nodes.map(node => ({
+      ...node,
+      target: formatTarget(node.target),
+      html: node.html.substring(0, 500)
+    }))
+  }));
+
   // Calculate comprehensive metrics
   const metrics = {
     riskScore: calculateRiskScore(processedViolations),
@@ -270,44 +447,30 @@ async function enhanceResults(results) {
     severityBreakdown: processedViolations.reduce((acc, v) => {
       acc[v.severity] = (acc[v.severity] || 0) + 1;
       return acc;
-    }, {})
+    }, {}),
+    reviewCount: incomplete.reduce((total, item) => total + item.nodes.length, 0),
+    elementsScanned: results.elementCount || 0
   };
 
   return {
     ...results,
     violations: processedViolations,
+    incomplete,
     metrics,
     scannedAt: new Date().toISOString(),
     engine: {
       name: 'Axe-Core',
       version: axe.version,
-      standards: ['WCAG 2.1', 'Section 508', 'ATAG 2.0']
+      standards: describeStandards(results.ruleConfig),
+      browsers: results.browserComparison?.engines
     }
   };
 }
 
-async function closeBrowser() {
-  for (const type in browserInstances) {
-    if (browserInstances[type] && browserInstances[type].isConnected()) {
-      await browserInstances[type].close();
-    }
-  }
-  browserInstances = {};
-}
-
-// Graceful shutdown handler
-process.on('SIGTERM', async () => {
-  await closeBrowser();
-  process.exit(0);
-});
-
-process.on('SIGINT', async () => {
-  await closeBrowser();
-  process.exit(0);
-});
-
 module.exports = { 
   scanPage, 
+  scanAcrossBrowsers,
+  auditPage,
   enhanceResults,
-  closeBrowser
+  SUPPORTED_BROWSERS
 };
\ No newline at end of file
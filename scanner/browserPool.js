@@ -0,0 +1,406 @@
+const os = require('os');
+const fs = require('fs');
+const crypto = require('crypto');
+const { chromium, firefox, webkit } = require('playwright');
+const { createAuthenticatedContext } = require('./authContext');
+
+const ENGINES = { chromium, firefox, webkit };
+const DEFAULT_VIEWPORT = { width: 1280, height: 800 };
+const MB = 1024 * 1024;
+// How often waiters re-check memory while the pool is under pressure
+const PRESSURE_RECHECK_MS = 1000;
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+function getWindowsPath(browserType) {
+  const paths = {
+    chromium: 'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
+    firefox: 'C:\\Program Files\\Mozilla Firefox\\firefox.exe',
+    webkit: 'C:\\Program Files\\WebKit\\WebKit.exe'
+  };
+  return paths[browserType];
+}
+
+function getLinuxPath(browserType) {
+  const paths = {
+    chromium: '/usr/bin/google-chrome',
+    firefox: '/usr/bin/firefox',
+    webkit: '/usr/bin/webkit'
+  };
+  return paths[browserType];
+}
+
+// Changes whenever the profile's credentials do, so an edited login never
+// reuses a context signed in with the old one
+function loginKey(authProfile) {
+  if (!authProfile) return 'anonymous';
+  const hash = crypto.createHash('sha256').update(JSON.stringify(authProfile)).digest('hex').slice(0, 16);
+  return `auth:${authProfile.id}:${hash}`;
+}
+
+function domainOf(url) {
+  try {
+    return new URL(url).hostname || 'local';
+  } catch (error) {
+    return 'unknown';
+  }
+}
+
+/**
+ * One browser per engine shared by the scanner and the crawler. Pages are
+ * handed out as leases under a global limit and a per-domain limit. Leases
+ * that share a scope (one crawl and its scans) share a pooled context per
+ * domain and login, recycled after a number of pages and closed once idle;
+ * other leases get a fresh context. A crashed browser is relaunched on the
+ * next lease, and new leases wait while free system memory is low.
+ */
+class BrowserPool {
+  constructor(options = {}) {
+    this.maxPages = options.maxPages || envNumber('BROWSER_POOL_MAX_PAGES', 4);
+    this.maxPagesPerDomain = options.maxPagesPerDomain || envNumber('BROWSER_POOL_MAX_PAGES_PER_DOMAIN', 2);
+    this.recycleAfter = options.recycleAfter || envNumber('BROWSER_POOL_RECYCLE_AFTER', 50);
+    this.minFreeMemoryMb = options.minFreeMemoryMb || envNumber('BROWSER_POOL_MIN_FREE_MEMORY_MB', 512);
+    this.acquireTimeout = options.acquireTimeout || envNumber('BROWSER_POOL_ACQUIRE_TIMEOUT', 10 * 60 * 1000);
+    this.contextIdleTimeout = options.contextIdleTimeout || envNumber('BROWSER_POOL_CONTEXT_IDLE_TIMEOUT', 2 * 60 * 1000);
+
+    this.browsers = {};
+    this.launching = {};
+    this.contexts = new Map();
+    this.domains = new Map();
+    this.waiters = [];
+    this.activePages = 0;
+    this.pressureTimer = null;
+    this.closing = false;
+    this.counters = { leases: 0, launches: 0, crashes: 0, contextsCreated: 0, contextsRecycled: 0, memoryWaits: 0 };
+    this.engineStats = {};
+  }
+
+  /**
+   * The running browser for an engine, launching (or relaunching after a
+   * crash) when needed. Concurrent callers share one launch.
+   */
+  async getBrowser(browserType = 'chromium') {
+    browserType = browserType.toLowerCase();
+    const engine = ENGINES[browserType];
+    if (!engine) throw new Error(`Unsupported browser: ${browserType}`);
+
+    const current = this.browsers[browserType];
+    if (current && current.isConnected()) return current;
+    if (!this.launching[browserType]) {
+      this.launching[browserType] = this.launch(browserType, engine)
+        .finally(() => { delete this.launching[browserType]; });
+    }
+    return this.launching[browserType];
+  }
+
+  async launch(browserType, engine) {
+    const executablePath = process.env[`${browserType.toUpperCase()}_PATH`] ||
+      (process.platform === 'win32'
+        ? getWindowsPath(browserType)
+        : getLinuxPath(browserType));
+
+    const browser = await engine.launch({
+      headless: true,
+      // Sandbox/GPU flags are Chromium switches; Firefox and WebKit reject them
+      args: browserType === 'chromium' ? [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-gpu'
+      ] : [],
+      // Fall back to Playwright's bundled build when no system binary exists
+      executablePath: executablePath && fs.existsSync(executablePath) ? executablePath : undefined
+    });
+
+    const stats = this.engineStats[browserType] ||= { launches: 0, crashes: 0, lastCrashAt: null };
+    stats.launches++;
+    this.counters.launches++;
+
+    browser.on('disconnected', () => {
+      if (this.browsers[browserType] === browser) delete this.browsers[browserType];
+      // Contexts die with their browser; the next lease starts fresh ones
+      for (const [key, entry] of this.contexts) {
+        if (entry.browser === browser) this.contexts.delete(key);
+      }
+      if (!this.closing) {
+        stats.crashes++;
+        stats.lastCrashAt = new Date().toISOString();
+        this.counters.crashes++;
+        console.error(`[POOL] ${browserType} disconnected unexpectedly; it will be relaunched on the next lease`);
+      }
+    });
+
+    this.browsers[browserType] = browser;
+    console.log(`[POOL] Launched ${browserType} (launch #${stats.launches})`);
+    return browser;
+  }
+
+  memory() {
+    const freeMb = Math.round(os.freemem() / MB);
+    return {
+      freeMb,
+      totalMb: Math.round(os.totalmem() / MB),
+      processRssMb: Math.round(process.memoryUsage().rss / MB),
+      minFreeMb: this.minFreeMemoryMb,
+      underPressure: freeMb < this.minFreeMemoryMb
+    };
+  }
+
+  // A waiter can start when both limits allow it. Under memory pressure only
+  // the first page may start, so the pool never stalls with nothing running.
+  canStart(domain) {
+    if (this.activePages >= this.maxPages) return false;
+    if ((this.domains.get(domain) || 0) >= this.maxPagesPerDomain) return false;
+    return this.activePages === 0 || !this.memory().underPressure;
+  }
+
+  waitForSlot(domain) {
+    return new Promise((resolve, reject) => {
+      const waiter = { domain, resolve, reject, queuedAt: Date.now() };
+      waiter.timer = setTimeout(() => {
+        this.waiters = this.waiters.filter(w => w !== waiter);
+        reject(new Error(`Timed out after ${this.acquireTimeout}ms waiting for a browser page for ${domain}`));
+      }, this.acquireTimeout);
+      this.waiters.push(waiter);
+      this.dispatch();
+    });
+  }
+
+  // Start waiters in arrival order, skipping those whose domain is saturated
+  dispatch() {
+    for (const waiter of [...this.waiters]) {
+      if (!this.canStart(waiter.domain)) continue;
+      this.waiters = this.waiters.filter(w => w !== waiter);
+      clearTimeout(waiter.timer);
+      this.activePages++;
+      this.domains.set(waiter.domain, (this.domains.get(waiter.domain) || 0) + 1);
+      waiter.resolve();
+    }
+
+    // Releases normally wake waiters; under memory pressure poll until it eases
+    if (this.waiters.length > 0 && this.memory().underPressure && !this.pressureTimer) {
+      this.counters.memoryWaits++;
+      this.closeIdleContexts();
+      this.pressureTimer = setTimeout(() => {
+        this.pressureTimer = null;
+        this.dispatch();
+      }, PRESSURE_RECHECK_MS);
+    }
+  }
+
+  freeSlot(domain) {
+    this.activePages--;
+    const count = (this.domains.get(domain) || 1) - 1;
+    if (count > 0) this.domains.set(domain, count);
+    else this.domains.delete(domain);
+    this.dispatch();
+  }
+
+  /**
+   * Pooled context for a scope, domain and login. Contexts that have served
+   * `recycleAfter` pages are retired: new leases get a fresh one and the old
+   * one closes once its last page is released.
+   */
+  async pooledContext(browserType, domain, authProfile, scope) {
+    const key = [scope, browserType, domain, loginKey(authProfile)].join('|');
+    let entry = this.contexts.get(key);
+    if (entry) clearTimeout(entry.idleTimer);
+    if (entry?.browser && !entry.browser.isConnected()) {
+      this.contexts.delete(key);
+      entry = null;
+    }
+
+    if (entry && entry.served >= this.recycleAfter) {
+      this.contexts.delete(key);
+      this.counters.contextsRecycled++;
+      if (entry.active === 0) await entry.context.close().catch(() => {});
+      else entry.retired = true;
+      entry = null;
+    }
+
+    if (!entry) {
+      // Registered before any await so concurrent leases for one key share a
+      // single context creation (and login)
+      entry = { key, scope, browser: null, context: null, active: 0, served: 0, retired: false, idleTimer: null };
+      entry.ready = this.getBrowser(browserType).then(browser => {
+        entry.browser = browser;
+        this.counters.contextsCreated++;
+        return createAuthenticatedContext(browser, authProfile, { viewport: DEFAULT_VIEWPORT });
+      });
+      this.contexts.set(key, entry);
+    }
+
+    entry.active++;
+    entry.served++;
+    try {
+      entry.context = await entry.ready;
+    } catch (error) {
+      entry.active--;
+      if (this.contexts.get(key) === entry) this.contexts.delete(key);
+      throw error;
+    }
+    return entry;
+  }
+
+  async releaseContext(entry) {
+    entry.active--;
+    if (entry.active > 0) return;
+    if (entry.retired || !entry.browser.isConnected()) {
+      await entry.context.close().catch(() => {});
+      return;
+    }
+    // An idle context keeps its login for the next lease of its scope, but
+    // not for longer than contextIdleTimeout
+    entry.idleTimer = setTimeout(() => this.closeContext(entry), this.contextIdleTimeout);
+    entry.idleTimer.unref();
+  }
+
+  closeContext(entry) {
+    clearTimeout(entry.idleTimer);
+    if (this.contexts.get(entry.key) === entry) this.contexts.delete(entry.key);
+    if (entry.active === 0) entry.context?.close().catch(() => {});
+    else entry.retired = true;
+  }
+
+  // Free memory held by contexts with no open pages
+  closeIdleContexts() {
+    for (const entry of [...this.contexts.values()]) {
+      if (entry.active === 0 && entry.context) this.closeContext(entry);
+    }
+  }
+
+  // Close a finished crawl's contexts; pages still open keep theirs until released
+  closeScope(scope) {
+    for (const entry of [...this.contexts.values()]) {
+      if (entry.scope === scope) this.closeContext(entry);
+    }
+  }
+
+  /**
+   * Lease a page for `url`. Options:
+   *  - browserType, authProfile: which engine and login the page needs
+   *  - scope: share a pooled context with other leases of the same scope
+   *    (e.g. every page of one crawl), so a login only happens once;
+   *    close it with closeScope() when done
+   *  - context: use the caller's context (the caller closes it)
+   *  - isolated: a fresh context just for this lease, closed on release;
+   *    `contextOptions` are added to it (e.g. HAR recording)
+   * Leases without a scope or context are isolated, so no cookies or
+   * storage carry over from one scan to the next. Always call `release()`
+   * when done.
+   */
+  async acquire(url, options = {}) {
+    const {
+      browserType = 'chromium',
+      authProfile = null,
+      context: ownContext,
+      scope = null,
+      contextOptions = {}
+    } = options;
+    const isolated = options.isolated || !scope;
+    const domain = domainOf(url);
+    await this.waitForSlot(domain);
+
+    let entry = null;
+    let context = ownContext;
+    try {
+      if (!context && isolated) {
+        context = await createAuthenticatedContext(await this.getBrowser(browserType), authProfile, {
+          viewport: DEFAULT_VIEWPORT,
+          ...contextOptions
+        });
+      } else if (!context) {
+        entry = await this.pooledContext(browserType.toLowerCase(), domain, authProfile, scope);
+        context = entry.context;
+      }
+
+      const page = await context.newPage();
+      this.counters.leases++;
+      let released = false;
+
+      return {
+        page,
+        context,
+        release: async () => {
+          if (released) return;
+          released = true;
+          await page.close().catch(() => {});
+          if (entry) await this.releaseContext(entry);
+          else if (isolated && !ownContext) await context.close().catch(() => {});
+          this.freeSlot(domain);
+        }
+      };
+    } catch (error) {
+      if (entry) await this.releaseContext(entry);
+      else if (isolated && context && !ownContext) await context.close().catch(() => {});
+      this.freeSlot(domain);
+      throw error;
+    }
+  }
+
+  // Lease a page, run `fn(page, context)` and always release it
+  async withPage(url, options, fn) {
+    const lease = await this.acquire(url, options);
+    try {
+      return await fn(lease.page, lease.context);
+    } finally {
+      await lease.release();
+    }
+  }
+
+  stats() {
+    return {
+      limits: {
+        maxPages: this.maxPages,
+        maxPagesPerDomain: this.maxPagesPerDomain,
+        recycleAfter: this.recycleAfter,
+        minFreeMemoryMb: this.minFreeMemoryMb
+      },
+      pages: {
+        active: this.activePages,
+        waiting: this.waiters.length,
+        byDomain: Object.fromEntries(this.domains)
+      },
+      browsers: Object.fromEntries(Object.keys(ENGINES)
+        .filter(type => this.engineStats[type] || this.browsers[type])
+        .map(type => [type, {
+          connected: Boolean(this.browsers[type]?.isConnected()),
+          ...this.engineStats[type]
+        }])),
+      contexts: {
+        open: this.contexts.size,
+        active: Array.from(this.contexts.values()).filter(entry => entry.active > 0).length
+      },
+      memory: this.memory(),
+      totals: { ...this.counters }
+    };
+  }
+
+  async close() {
+    this.closing = true;
+    clearTimeout(this.pressureTimer);
+    for (const waiter of this.waiters) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Browser pool is shutting down'));
+    }
+    this.waiters = [];
+    for (const browser of Object.values(this.browsers)) {
+      if (browser.isConnected()) await browser.close().catch(() => {});
+    }
+    this.browsers = {};
+    for (const entry of this.contexts.values()) clearTimeout(entry.idleTimer);
+    this.contexts.clear();
+    this.closing = false;
+  }
+}
+
+// Closed by the server's shutdown handler in index.js
+const browserPool = new BrowserPool();
+
+module.exports = {
+  BrowserPool,
+  browserPool
+};
@@ -0,0 +1,358 @@
+const path = require('path');
+const crypto = require('crypto');
+const { Worker } = require('worker_threads');
+const axios = require('axios');
+const AdmZip = require('adm-zip');
+const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+const { DEFAULT_RULE_CONFIG } = require('./ruleConfig');
+
+const DOCUMENT_TYPES = {
+  pdf: /\.pdf$/i,
+  docx: /\.docx$/i
+};
+const MAX_DOCUMENT_BYTES = 25 * 1024 * 1024;
+const MAX_PDF_PAGES = 200;
+// pdf.js parses on the thread that calls it, so PDFs are checked in a worker
+// that is stopped once this runs out
+const MAX_PDF_CHECK_MS = 60000;
+const PDF_HELP_URL = 'https://www.w3.org/WAI/WCAG21/Techniques/#pdf';
+const DOCX_HELP_URL = 'https://www.section508.gov/create/documents/';
+// Text extraction needs the bundled standard fonts for non-embedded fonts
+const STANDARD_FONT_DIR = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
+/**
+ * Document type ('pdf' | 'docx') for a URL, or null for ordinary pages
+ */
+function documentTypeFor(url) {
+  try {
+    const { pathname } = new URL(url);
+    return Object.keys(DOCUMENT_TYPES).find(type => DOCUMENT_TYPES[type].test(pathname)) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Download through the browser context when given one, so logins carry over
+async function fetchDocument(url, context, userAgent) {
+  const headers = userAgent ? { 'User-Agent': userAgent } : undefined;
+  if (context) {
+    const response = await context.request.get(url, { headers, timeout: 60000 });
+    if (!response.ok()) throw new Error(`Download failed with HTTP ${response.status()}`);
+    const body = await response.body();
+    if (body.length > MAX_DOCUMENT_BYTES) throw new Error('Document is too large to check');
+    return body;
+  }
+
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    headers,
+    timeout: 60000,
+    maxContentLength: MAX_DOCUMENT_BYTES
+  });
+  return Buffer.from(response.data);
+}
+
+function finding(id, impact, tags, description, help, nodes, helpUrl = PDF_HELP_URL) {
+  return { id, impact, tags, description, help, helpUrl, nodes };
+}
+
+const documentNode = (target, failureSummary, html = '') => ({
+  target: [target],
+  html,
+  failureSummary,
+  any: [],
+  all: [],
+  none: []
+});
+
+// Heading levels in reading order -> nodes for every skipped level
+function headingFindings(levels, prefix, helpUrl) {
+  const nodes = [];
+  let previous = 0;
+  for (const { level, where } of levels) {
+    if (level > previous + 1) {
+      nodes.push(documentNode(where, `Fix this: heading level ${level} follows ${previous ? `level ${previous}` : 'the start of the document'}`));
+    }
+    previous = level;
+  }
+  return nodes.length > 0
+    ? [finding(`${prefix}-heading-order`, 'moderate', ['wcag2a', 'wcag131'],
+      'Heading levels are skipped', 'Headings should increase one level at a time', nodes, helpUrl)]
+    : [];
+}
+
+function walkStructTree(node, visit) {
+  if (!node) return;
+  visit(node);
+  for (const child of node.children || []) {
+    if (child.role) walkStructTree(child, visit);
+  }
+}
+
+/**
+ * Offline PDF checks: tagging, title, language, figure alt text, heading
+ * structure and whether pages carry extractable text at all.
+ */
+async function checkPdf(buffer) {
+  const pdf = await pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    disableFontFace: true,
+    useSystemFonts: false,
+    standardFontDataUrl: STANDARD_FONT_DIR
+  }).promise;
+
+  try {
+    const { info } = await pdf.getMetadata().catch(() => ({ info: {} }));
+    const markInfo = await pdf.getMarkInfo().catch(() => null);
+    const pageCount = Math.min(pdf.numPages, MAX_PDF_PAGES);
+
+    const figuresWithoutAlt = [];
+    const headings = [];
+    const textlessPages = [];
+    let figures = 0;
+    let imagePages = 0;
+    let hasStructTree = false;
+
+    for (let number = 1; number <= pageCount; number++) {
+      const page = await pdf.getPage(number);
+      const where = `page ${number}`;
+
+      const structTree = await page.getStructTree().catch(() => null);
+      if (structTree?.children?.length > 0) {
+        hasStructTree = true;
+        walkStructTree(structTree, (node) => {
+          if (node.role === 'Figure') {
+            figures++;
+            if (!node.alt || !node.alt.trim()) figuresWithoutAlt.push(where);
+          }
+          const match = /^H([1-6])$/.exec(node.role);
+          if (match) headings.push({ level: Number(match[1]), where });
+        });
+      }
+
+      const text = await page.getTextContent();
+      const hasText = text.items.some(item => item.str && item.str.trim());
+      const operators = await page.getOperatorList();
+      const hasImages = operators.fnArray.some(fn => [
+        pdfjs.OPS.paintImageXObject,
+        pdfjs.OPS.paintInlineImageXObject,
+        pdfjs.OPS.paintImageMaskXObject
+      ].includes(fn));
+
+      if (hasImages) imagePages++;
+      if (!hasText) textlessPages.push({ where, hasImages });
+      page.cleanup();
+    }
+
+    const tagged = Boolean(markInfo?.Marked) && hasStructTree;
+    const violations = [];
+
+    if (!tagged) {
+      violations.push(finding('pdf-untagged', 'serious', ['section508', 'wcag2a', 'wcag131'],
+        'PDF is not tagged, so assistive technology cannot read its structure',
+        'PDF documents must be tagged with a logical structure tree',
+        [documentNode('document', 'Fix this: export the PDF with tags (MarkInfo /Marked true and a structure tree)')]));
+    }
+    if (!info?.Title || !String(info.Title).trim()) {
+      violations.push(finding('pdf-missing-title', 'moderate', ['section508', 'wcag2a', 'wcag242'],
+        'PDF has no document title', 'Set a descriptive title in the document properties',
+        [documentNode('document', 'Fix this: add a Title to the document information')]));
+    }
+    if (!info?.Language) {
+      violations.push(finding('pdf-missing-language', 'serious', ['section508', 'wcag2a', 'wcag311'],
+        'PDF does not declare its language', 'Set the document language (/Lang in the catalog)',
+        [documentNode('document', 'Fix this: set the document language')]));
+    }
+    if (figuresWithoutAlt.length > 0) {
+      violations.push(finding('pdf-image-alt', 'critical', ['section508', 'wcag2a', 'wcag111'],
+        'Figures in the PDF have no alternative text', 'Every tagged figure needs alternate text',
+        figuresWithoutAlt.map(where => documentNode(where, 'Fix this: add alternate text to the figure'))));
+    } else if (!tagged && imagePages > 0) {
+      violations.push(finding('pdf-image-alt', 'critical', ['section508', 'wcag2a', 'wcag111'],
+        'Images in an untagged PDF cannot carry alternative text', 'Tag the PDF and add alternate text to every figure',
+        [documentNode('document', `Fix this: ${imagePages} page(s) contain images with no way to provide alternate text`)]));
+    }
+    if (tagged && headings.length === 0 && pageCount > 1) {
+      violations.push(finding('pdf-no-headings', 'moderate', ['wcag2a', 'wcag131'],
+        'Tagged PDF has no headings', 'Use heading tags (H1-H6) to structure long documents',
+        [documentNode('document', 'Fix this: tag section titles as headings')]));
+    }
+    violations.push(...headingFindings(headings, 'pdf', PDF_HELP_URL));
+
+    const scannedPages = textlessPages.filter(page => page.hasImages);
+    if (scannedPages.length > 0) {
+      const allScanned = scannedPages.length === pageCount;
+      violations.push(finding('pdf-scanned-image', allScanned ? 'critical' : 'serious',
+        ['section508', 'wcag2a', 'wcag111', 'wcag145'],
+        allScanned ? 'PDF is a scanned image with no extractable text' : 'Some PDF pages are scanned images with no extractable text',
+        'Run OCR and tag the recognised text so it can be read and searched',
+        scannedPages.map(page => documentNode(page.where, 'Fix this: page has images but no text layer'))));
+    }
+
+    return {
+      violations,
+      document: {
+        type: 'pdf',
+        title: info?.Title || null,
+        language: info?.Language || null,
+        pageCount: pdf.numPages,
+        tagged,
+        figures,
+        headings: headings.length
+      }
+    };
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+// checkPdf in a worker thread (pdfWorker.js), so a large or hostile PDF
+// cannot block the server; the worker is terminated at the time limit
+function checkPdfInWorker(buffer, timeoutMs = MAX_PDF_CHECK_MS) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'pdfWorker.js'), { workerData: buffer });
+    const timer = setTimeout(() => {
+      worker.terminate();
+      reject(new Error(`PDF check took longer than ${timeoutMs / 1000}s`));
+    }, timeoutMs);
+
+    worker.once('message', ({ result, error }) => {
+      clearTimeout(timer);
+      worker.terminate();
+      if (error) reject(new Error(error));
+      else resolve(result);
+    });
+    worker.once('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    worker.once('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`PDF check stopped with exit code ${code}`));
+    });
+  });
+}
+
+const xmlText = (xml, pattern) => {
+  const match = xml.match(pattern);
+  return match ? match[1].replace(/<[^>]+>/g, '').trim() : '';
+};
+
+/**
+ * Offline DOCX checks on the Office Open XML parts: title, language, image
+ * descriptions, heading structure and whether the body has text at all.
+ */
+function checkDocx(buffer) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    throw new Error('Document is not a valid DOCX file');
+  }
+  const read = (name) => zip.getEntry(name)?.getData().toString('utf8') || '';
+
+  const body = read('word/document.xml');
+  if (!body) throw new Error('Document is not a valid DOCX file');
+  const core = read('docProps/core.xml');
+  const styles = read('word/styles.xml');
+  const settings = read('word/settings.xml');
+
+  const title = xmlText(core, /<dc:title[^>]*>([\s\S]*?)<\/dc:title>/);
+  const language = (styles.match(/<w:lang\b[^>]*w:val="([^"]+)"/) ||
+    settings.match(/<w:themeFontLang\b[^>]*w:val="([^"]+)"/) || [])[1] || null;
+
+  // Every drawing has a docPr; decorative images are marked in an extension
+  const drawings = body.match(/<w:drawing>[\s\S]*?<\/w:drawing>/g) || [];
+  const imagesWithoutAlt = drawings.filter(drawing => {
+    if (/decorative[^>]*val="(1|true)"/.test(drawing)) return false;
+    const descr = (drawing.match(/<wp:docPr\b[^>]*\bdescr="([^"]*)"/) || [])[1];
+    return !descr || !descr.trim();
+  });
+
+  const headings = [];
+  const paragraphs = body.match(/<w:p\b[\s\S]*?<\/w:p>/g) || [];
+  paragraphs.forEach((paragraph, i) => {
+    const match = paragraph.match(/<w:pStyle\b[^>]*w:val="(?:Heading|heading)\s?([1-6])"/);
+    if (match) headings.push({ level: Number(match[1]), where: `paragraph ${i + 1}` });
+  });
+  const hasText = /<w:t\b[^>]*>[^<]*\S[^<]*<\/w:t>/.test(body);
+
+  const violations = [];
+  if (!title) {
+    violations.push(finding('docx-missing-title', 'moderate', ['section508', 'wcag2a', 'wcag242'],
+      'Word document has no title', 'Set a title in the document properties',
+      [documentNode('document', 'Fix this: add a Title under File > Info > Properties')], DOCX_HELP_URL));
+  }
+  if (!language) {
+    violations.push(finding('docx-missing-language', 'serious', ['section508', 'wcag2a', 'wcag311'],
+      'Word document does not declare its language', 'Set the default editing language',
+      [documentNode('document', 'Fix this: set the document language')], DOCX_HELP_URL));
+  }
+  if (imagesWithoutAlt.length > 0) {
+    violations.push(finding('docx-image-alt', 'critical', ['section508', 'wcag2a', 'wcag111'],
+      'Images in the Word document have no alternative text', 'Add alt text or mark images as decorative',
+      imagesWithoutAlt.slice(0, 20).map((drawing, i) => documentNode(`image ${i + 1}`,
+        'Fix this: add alt text to the image', drawing.substring(0, 300))), DOCX_HELP_URL));
+  }
+  if (headings.length === 0 && paragraphs.length > 20) {
+    violations.push(finding('docx-no-headings', 'moderate', ['wcag2a', 'wcag131'],
+      'Word document has no headings', 'Use the built-in Heading styles to structure the document',
+      [documentNode('document', 'Fix this: apply Heading styles to section titles')], DOCX_HELP_URL));
+  }
+  violations.push(...headingFindings(headings, 'docx', DOCX_HELP_URL));
+  if (!hasText && drawings.length > 0) {
+    violations.push(finding('docx-scanned-image', 'critical', ['section508', 'wcag2a', 'wcag111', 'wcag145'],
+      'Word document contains only images, with no text', 'Provide the content as real text',
+      [documentNode('document', 'Fix this: replace scanned pages with text')], DOCX_HELP_URL));
+  }
+
+  return {
+    violations,
+    document: {
+      type: 'docx',
+      title: title || null,
+      language,
+      images: drawings.length,
+      headings: headings.length
+    }
+  };
+}
+
+/**
+ * Download and check a linked document. The result is shaped like scanPage
+ * output so it can go through enhanceResults and the usual storage.
+ */
+async function checkDocument(url, options = {}) {
+  const { context, userAgent } = options;
+  const documentType = documentTypeFor(url);
+  if (!documentType) throw new Error(`Unsupported document type: ${url}`);
+
+  const start = Date.now();
+  console.log(`[DOCUMENT] Checking ${documentType.toUpperCase()} ${url}`);
+  const buffer = await fetchDocument(url, context, userAgent);
+  const { violations, document } = documentType === 'pdf' ? await checkPdfInWorker(buffer) : checkDocx(buffer);
+
+  return {
+    url,
+    documentType,
+    pageTitle: document.title || decodeURIComponent(new URL(url).pathname.split('/').pop()),
+    document,
+    // Lets re-indexing tell whether the file changed
+    contentHash: crypto.createHash('sha256').update(buffer).digest('hex'),
+    violations,
+    incomplete: [],
+    keyboardIssues: [],
+    screenReaderIssues: [],
+    ruleConfig: options.ruleConfig || DEFAULT_RULE_CONFIG,
+    scanDuration: `${((Date.now() - start) / 1000).toFixed(1)}s`
+  };
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  documentTypeFor,
+  checkPdf,
+  checkDocx,
+  checkDocument
+};
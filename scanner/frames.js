@@ -0,0 +1,127 @@
+const axe = require('axe-core');
+const { injectPageHelpers } = require('./pageHelpers');
+const { buildAxeRunArgs } = require('./ruleConfig');
+const { axeConfigureSource, annotatePluginResults } = require('./plugins');
+
+const MAX_FRAMES = 25;
+const RESULT_TYPES = ['violations', 'incomplete', 'passes'];
+
+/**
+ * Human readable target: frames are separated by " > " and shadow host
+ * chains by " >>> ", matching the selectors our in-page checks produce.
+ */
+function formatTarget(target) {
+  return [].concat(target)
+    .map(part => Array.isArray(part) ? part.join(' >>> ') : part)
+    .join(' > ');
+}
+
+// Shadow hosts around the node inside its own frame (axe nests them as an array)
+function shadowHostChain(target) {
+  const own = [].concat(target).pop();
+  return Array.isArray(own) ? own.slice(0, -1) : [];
+}
+
+// Does a rule configuration's include/exclude leave this iframe in scope?
+async function frameInScope(frameElement, ruleConfig) {
+  const { include = [], exclude = [] } = ruleConfig;
+  if (include.length === 0 && exclude.length === 0) return true;
+
+  return frameElement.evaluate((el, { include, exclude }) => {
+    const matches = (selectors) => selectors.some(selector => el.closest(selector));
+    return (include.length === 0 || matches(include)) && !matches(exclude);
+  }, { include, exclude });
+}
+
+// Every frame with its path of iframe selectors from the top document
+async function collectFrames(page, ruleConfig) {
+  const frames = [{ frame: page.mainFrame(), framePath: [] }];
+
+  for (let i = 0; i < frames.length && frames.length < MAX_FRAMES; i++) {
+    const { frame, framePath } = frames[i];
+    await injectPageHelpers(frame);
+
+    for (const child of frame.childFrames()) {
+      if (frames.length >= MAX_FRAMES) break;
+      try {
+        const element = await child.frameElement();
+        // Selectors inside child frames are relative to that frame's document
+        if (framePath.length === 0 && !(await frameInScope(element, ruleConfig))) continue;
+
+        const selector = await element.evaluate(el => window.__complyai.cssPath(el));
+        frames.push({ frame: child, framePath: [...framePath, selector] });
+      } catch (error) {
+        console.warn(`[FRAMES] Skipping detached frame ${child.url()}:`, error.message);
+      }
+    }
+  }
+  return frames;
+}
+
+/**
+ * Inject axe into every frame, including cross-origin ones, run it there and
+ * merge the results by rule. Nodes from child frames get their frame path
+ * prefixed to `target`; every node records `framePath` and `shadowHostChain`.
+ */
+async function runAxeInFrames(page, ruleConfig) {
+  const { context, options } = buildAxeRunArgs(ruleConfig);
+  const frameOptions = { ...options, iframes: false };
+  const frames = await collectFrames(page, ruleConfig);
+  const pluginSource = axeConfigureSource();
+
+  let merged = null;
+  const frameErrors = [];
+
+  for (const { frame, framePath } of frames) {
+    let results;
+    try {
+      await frame.evaluate(axe.source);
+      // Custom plugin rules must exist in each frame before options refer to them
+      if (pluginSource) await frame.evaluate(pluginSource);
+      // The main frame honours include/exclude; child frames are audited whole
+      results = await frame.evaluate(({ context, options }) =>
+        context ? axe.run(context, options) : axe.run(options),
+      { context: framePath.length === 0 ? context : null, options: frameOptions });
+    } catch (error) {
+      if (framePath.length === 0) throw error;
+      console.warn(`[FRAMES] axe failed in ${framePath.join(' > ')}:`, error.message);
+      frameErrors.push({ framePath, url: frame.url(), error: error.message });
+      continue;
+    }
+
+    for (const type of RESULT_TYPES) {
+      for (const rule of results[type] || []) {
+        for (const node of rule.nodes) {
+          node.shadowHostChain = shadowHostChain(node.target);
+          node.framePath = framePath;
+          node.target = [...framePath, ...[].concat(node.target)];
+        }
+      }
+    }
+
+    if (!merged) {
+      merged = results;
+      continue;
+    }
+    for (const type of RESULT_TYPES) {
+      for (const rule of results[type] || []) {
+        const existing = merged[type].find(r => r.id === rule.id);
+        if (existing) existing.nodes.push(...rule.nodes);
+        else merged[type].push(rule);
+      }
+    }
+  }
+
+  // A rule is only inapplicable if no frame found anything for it
+  const applicable = new Set(RESULT_TYPES.flatMap(type => merged[type].map(rule => rule.id)));
+  merged.inapplicable = (merged.inapplicable || []).filter(rule => !applicable.has(rule.id));
+  merged.frames = frames.map(({ frame, framePath }) => ({ framePath, url: frame.url() }));
+  if (frameErrors.length > 0) merged.frameErrors = frameErrors;
+
+  return annotatePluginResults(merged);
+}
+
+module.exports = {
+  formatTarget,
+  runAxeInFrames
+};
@@ -0,0 +1,261 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { auditPage } = require('./axeScanner');
+const { browserPool } = require('./browserPool');
+const { DEFAULT_RULE_CONFIG } = require('./ruleConfig');
+const { SCREENSHOT_DIR } = require('./screenshots');
+const { formatTarget } = require('./frames');
+const { createPhaseTimer, formatDuration } = require('./profiling');
+
+const STEP_ACTIONS = ['navigate', 'click', 'type', 'select', 'press', 'waitFor', 'assert'];
+const STEP_TIMEOUT = 30000;
+
+// Returns a list of problems with a journey definition (empty when valid)
+function validateJourney(journey) {
+  const errors = [];
+  if (!journey?.name || typeof journey.name !== 'string') errors.push('name is required');
+  if (!Array.isArray(journey?.steps) || journey.steps.length === 0) {
+    return [...errors, 'steps must be a non-empty array'];
+  }
+
+  journey.steps.forEach((step, i) => {
+    const label = `steps[${i}]`;
+    if (!STEP_ACTIONS.includes(step?.action)) {
+      errors.push(`${label} has unsupported action "${step?.action}" (use ${STEP_ACTIONS.join(', ')})`);
+      return;
+    }
+    if (step.action === 'navigate' && !step.url) errors.push(`${label} (navigate) needs a url`);
+    if (step.action === 'press' && !step.key) errors.push(`${label} (press) needs a key`);
+    if (['click', 'type', 'select', 'waitFor'].includes(step.action) && !step.selector) {
+      errors.push(`${label} (${step.action}) needs a selector`);
+    }
+    if (['type', 'select'].includes(step.action) && step.value === undefined) {
+      errors.push(`${label} (${step.action}) needs a value`);
+    }
+    if (step.action === 'assert' && !step.selector && !step.urlIncludes && !step.textIncludes) {
+      errors.push(`${label} (assert) needs a selector, urlIncludes or textIncludes`);
+    }
+  });
+
+  if (journey.steps[0]?.action !== 'navigate' && !journey.startUrl) {
+    errors.push('startUrl is required when the first step is not navigate');
+  }
+  return errors;
+}
+
+async function runStep(page, step) {
+  const timeout = step.timeout || STEP_TIMEOUT;
+
+  switch (step.action) {
+    case 'navigate':
+      await page.goto(step.url, { waitUntil: 'networkidle', timeout });
+      break;
+    case 'click':
+      await page.click(step.selector, { timeout });
+      break;
+    case 'type':
+      await page.fill(step.selector, String(step.value), { timeout });
+      break;
+    case 'select':
+      await page.selectOption(step.selector, step.value, { timeout });
+      break;
+    case 'press':
+      if (step.selector) await page.press(step.selector, step.key, { timeout });
+      else await page.keyboard.press(step.key);
+      break;
+    case 'waitFor':
+      await page.waitForSelector(step.selector, { state: step.state || 'visible', timeout });
+      break;
+    case 'assert':
+      if (step.selector) {
+        await page.waitForSelector(step.selector, { state: step.state || 'visible', timeout });
+      }
+      if (step.urlIncludes && !page.url().includes(step.urlIncludes)) {
+        throw new Error(`expected URL to include "${step.urlIncludes}" but was ${page.url()}`);
+      }
+      if (step.textIncludes) {
+        const text = await page.evaluate(() => document.body?.innerText || '');
+        if (!text.includes(step.textIncludes)) {
+          throw new Error(`expected page text to include "${step.textIncludes}"`);
+        }
+      }
+      break;
+  }
+
+  // Let requests and transitions triggered by the step settle
+  await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+}
+
+// Checkpoint audits tab through the page, move focus and scroll to take
+// screenshots; the page's own state is put back so later steps see it unchanged
+async function savePageState(page) {
+  const focused = await page.evaluateHandle(() => {
+    let el = document.activeElement;
+    // Descend into shadow roots so a focused web component's inner control is kept
+    while (el?.shadowRoot?.activeElement) el = el.shadowRoot.activeElement;
+    return el === document.body ? null : el;
+  });
+  const scroll = await page.evaluate(() => ({ x: window.scrollX, y: window.scrollY }));
+  return { focused, scroll };
+}
+
+async function restorePageState(page, { focused, scroll }) {
+  try {
+    await page.evaluate(() => document.activeElement?.blur());
+    await focused.evaluate(el => el?.isConnected && el.focus({ preventScroll: true }));
+    await page.evaluate(({ x, y }) => window.scrollTo(x, y), scroll);
+  } finally {
+    await focused.dispose();
+  }
+}
+
+const nodeKey = (violationId, node) => `${violationId}|${formatTarget(node.target)}`;
+const issueKey = (issue) => [issue.type, issue.selector || issue.element, issue.message].join('|');
+
+/**
+ * Run a journey step by step, auditing at checkpoint steps. Violations that
+ * persist across checkpoints are reported once, tagged with every step they
+ * appeared in. A failing step stops the journey; results so far are returned.
+ */
+async function runJourney(journey, options = {}) {
+  const {
+    browserType = 'chromium',
+    authProfile,
+    ruleConfig = DEFAULT_RULE_CONFIG,
+    screenshots = true,
+    onStep
+  } = options;
+  const scanId = uuidv4();
+  const timer = createPhaseTimer();
+  const scanDir = path.join(SCREENSHOT_DIR, scanId);
+  fs.mkdirSync(scanDir, { recursive: true });
+
+  const steps = journey.steps[0]?.action === 'navigate'
+    ? journey.steps
+    : [{ action: 'navigate', url: journey.startUrl, name: 'Open start page' }, ...journey.steps];
+
+  // Without explicit checkpoints the final state is audited
+  const hasCheckpoints = steps.some(step => step.checkpoint);
+  const isCheckpoint = (step, index) => step.checkpoint || (!hasCheckpoints && index === steps.length - 1);
+
+  console.log(`[JOURNEY ${scanId}] Running "${journey.name}" (${steps.length} steps)`);
+  // Journeys change session state, so they get a context of their own
+  const { page, release } = await browserPool.acquire(steps[0].url, { browserType, authProfile, isolated: true });
+
+  const violationMap = new Map();
+  const keyboardMap = new Map();
+  const screenReaderMap = new Map();
+  const stepResults = [];
+  let status = 'completed';
+  let pageTitle;
+
+  try {
+    for (const [index, step] of steps.entries()) {
+      const stepNumber = index + 1;
+      const result = {
+        step: stepNumber,
+        name: step.name || `${step.action} ${step.selector || step.url || step.key || ''}`.trim(),
+        action: step.action,
+        checkpoint: isCheckpoint(step, index),
+        status: 'passed'
+      };
+      stepResults.push(result);
+      if (onStep) await onStep(stepNumber, steps.length);
+
+      try {
+        await timer.time('steps', () => runStep(page, step));
+      } catch (error) {
+        result.status = 'failed';
+        result.error = error.message.split('\n')[0];
+        status = 'failed';
+      }
+
+      result.url = page.url();
+      const file = `step-${stepNumber}.png`;
+      await page.screenshot({ path: path.join(scanDir, file), fullPage: false })
+        .then(() => {
+          result.screenshot = { path: `${scanId}/${file}`, url: `/api/screenshots/${scanId}/${file}` };
+        })
+        .catch(error => console.warn(`[JOURNEY ${scanId}] Step ${stepNumber} screenshot failed:`, error.message));
+
+      if (status === 'failed') break;
+      if (!result.checkpoint) continue;
+
+      const pageState = await savePageState(page);
+      let audit;
+      try {
+        audit = await auditPage(page, ruleConfig, {
+          screenshots: screenshots ? { scanId, prefix: `step-${stepNumber}-` } : null,
+          timer
+        });
+      } finally {
+        await restorePageState(page, pageState)
+          .catch(error => console.warn(`[JOURNEY ${scanId}] Step ${stepNumber} state restore failed:`, error.message));
+      }
+      pageTitle = pageTitle || await page.title();
+
+      result.violationCount = audit.violations.length;
+      result.newViolations = [];
+      result.persistingViolations = [];
+
+      for (const violation of audit.violations) {
+        let isNew = false;
+        if (!violationMap.has(violation.id)) {
+          violationMap.set(violation.id, { ...violation, nodes: new Map(), steps: [], firstSeenStep: stepNumber });
+        }
+        const merged = violationMap.get(violation.id);
+        if (!merged.steps.includes(stepNumber)) merged.steps.push(stepNumber);
+
+        for (const node of violation.nodes) {
+          const key = nodeKey(violation.id, node);
+          if (!merged.nodes.has(key)) {
+            merged.nodes.set(key, { ...node, steps: [], firstSeenStep: stepNumber });
+            isNew = true;
+          }
+          merged.nodes.get(key).steps.push(stepNumber);
+        }
+        (isNew ? result.newViolations : result.persistingViolations).push(violation.id);
+      }
+
+      for (const [map, issues, field] of [
+        [keyboardMap, audit.keyboardIssues || [], 'keyboardIssues'],
+        [screenReaderMap, audit.screenReaderIssues || [], 'screenReaderIssues']
+      ]) {
+        result[field] = issues.length;
+        for (const issue of issues) {
+          const key = issueKey(issue);
+          if (!map.has(key)) map.set(key, { ...issue, steps: [], firstSeenStep: stepNumber });
+          map.get(key).steps.push(stepNumber);
+        }
+      }
+    }
+  } finally {
+    await release();
+  }
+
+  const timings = timer.summary();
+  console.log(`[JOURNEY ${scanId}] Finished with status ${status} in ${formatDuration(timings.total)}`);
+  return {
+    scanId,
+    timings,
+    scanDuration: formatDuration(timings.total),
+    journey: { id: journey.id, name: journey.name },
+    status,
+    pageTitle: pageTitle || journey.name,
+    ruleConfig,
+    steps: stepResults,
+    violations: Array.from(violationMap.values()).map(violation => ({
+      ...violation,
+      nodes: Array.from(violation.nodes.values())
+    })),
+    keyboardIssues: Array.from(keyboardMap.values()),
+    screenReaderIssues: Array.from(screenReaderMap.values())
+  };
+}
+
+module.exports = {
+  STEP_ACTIONS,
+  validateJourney,
+  runJourney
+};
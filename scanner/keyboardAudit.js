@@ -0,0 +1,284 @@
+const { injectPageHelpers } = require('./pageHelpers');
+
+const MAX_TAB_STOPS = 200;
+const SHIFT_TAB_STEPS = 10;
+const MAX_FOCUS_VISIBILITY_CHECKS = 30;
+const MAX_ISSUES_PER_TYPE = 10;
+// A cycle covering less than this share of focusable elements is a trap
+const TRAP_COVERAGE_THRESHOLD = 0.5;
+// Focus moving this many pixels up the page counts as a visual order jump
+const VISUAL_JUMP_THRESHOLD = 40;
+
+// Describe the focused element, or null when focus is on the document itself
+async function getFocusedElement(page) {
+  return page.evaluate(() => {
+    const { deepPath, deepActiveElement, snippet } = window.__complyai;
+    const el = deepActiveElement();
+    if (!el || el === document.body || el === document.documentElement) return null;
+
+    const style = window.getComputedStyle(el);
+    const rect = el.getBoundingClientRect();
+    const all = document.getElementsByTagName('*');
+
+    return {
+      selector: deepPath(el),
+      html: snippet(el),
+      element: el.tagName,
+      tabIndex: el.tabIndex,
+      visible: style.visibility !== 'hidden' && style.display !== 'none' &&
+        el.offsetWidth > 0 && el.offsetHeight > 0,
+      accessibleName: (el.getAttribute('aria-label') || el.getAttribute('aria-labelledby') ||
+        el.getAttribute('title') || el.textContent || el.value || el.alt || '').trim(),
+      top: rect.top + window.scrollY,
+      left: rect.left + window.scrollX,
+      domIndex: Array.prototype.indexOf.call(all, el)
+    };
+  });
+}
+
+// Hosts the element sits inside, from a " >>> " joined deep selector
+const shadowHostChain = (selector) => selector.split(' >>> ').slice(0, -1);
+
+const toIssue = (type, el, message, extra = {}) => ({
+  type,
+  element: el.element,
+  selector: el.selector,
+  html: el.html,
+  message,
+  ...extra
+});
+
+// Press Tab until focus wraps back to the document, repeats inside a cycle or
+// the stop limit is reached. Returns the tab sequence and any trap found.
+async function walkTabOrder(page, focusableCount) {
+  const sequence = [];
+  const seen = new Map();
+  let trap = null;
+
+  for (let i = 0; i < Math.min(MAX_TAB_STOPS, focusableCount + 5); i++) {
+    await page.keyboard.press('Tab');
+    const focused = await getFocusedElement(page);
+
+    if (!focused) {
+      // Focus left the page: a normal wrap once we have visited something
+      if (sequence.length > 0) break;
+      continue;
+    }
+
+    const last = sequence[sequence.length - 1];
+    // Tabbing inside an iframe keeps the iframe as the active element
+    if (focused.element === 'IFRAME' && last?.selector === focused.selector) continue;
+
+    if (seen.has(focused.selector)) {
+      const cycle = sequence.slice(seen.get(focused.selector));
+      if (cycle.length < focusableCount * TRAP_COVERAGE_THRESHOLD) {
+        trap = { entry: focused, cycle };
+      }
+      break;
+    }
+
+    seen.set(focused.selector, sequence.length);
+    sequence.push(focused);
+  }
+
+  return { sequence, trap };
+}
+
+// Shift+Tab from a point in the forward sequence should retrace it exactly
+async function checkShiftTab(page, sequence) {
+  const start = Math.min(SHIFT_TAB_STEPS, sequence.length - 1);
+  if (start < 1) return [];
+
+  await page.evaluate((selector) => window.__complyai.find(selector)?.focus(), sequence[start].selector);
+
+  for (let i = start - 1; i >= 0; i--) {
+    await page.keyboard.press('Shift+Tab');
+    const focused = await getFocusedElement(page);
+    const from = sequence[i + 1];
+
+    if (focused?.selector === from.selector) {
+      return [toIssue('keyboard-shift-tab-blocked', from, 'Shift+Tab does not move focus away from this element')];
+    }
+    if (focused?.selector !== sequence[i].selector) {
+      return [toIssue('keyboard-shift-tab-order', from,
+        `Shift+Tab moved focus to ${focused?.selector || 'the document'} instead of ${sequence[i].selector}`)];
+    }
+  }
+  return [];
+}
+
+// Tab order should follow the DOM and read top-to-bottom on screen
+function checkFocusOrder(sequence) {
+  const issues = [];
+  for (let i = 1; i < sequence.length; i++) {
+    const prev = sequence[i - 1];
+    const cur = sequence[i];
+
+    if (cur.domIndex >= 0 && prev.domIndex >= 0 && cur.domIndex < prev.domIndex) {
+      issues.push(toIssue('keyboard-focus-order-dom', cur,
+        `Focus moves backwards in the source order (after ${prev.selector})`));
+    }
+    if (cur.top < prev.top - VISUAL_JUMP_THRESHOLD) {
+      issues.push(toIssue('keyboard-focus-order-visual', cur,
+        `Focus jumps ${Math.round(prev.top - cur.top)}px up the page (after ${prev.selector})`));
+    }
+  }
+  return issues;
+}
+
+async function findPositiveTabindex(page) {
+  return page.evaluate(() => {
+    const { deepPath, deepQueryAll, snippet } = window.__complyai;
+    return deepQueryAll('[tabindex]')
+      .filter(el => el.tabIndex > 0)
+      .map(el => ({
+        type: 'keyboard-positive-tabindex',
+        element: el.tagName,
+        selector: deepPath(el),
+        html: snippet(el),
+        message: `tabindex="${el.getAttribute('tabindex')}" overrides the natural tab order`
+      }));
+  });
+}
+
+// Elements that look clickable but cannot be reached with the keyboard
+async function findMouseOnlyElements(page) {
+  return page.evaluate(() => {
+    const { deepPath, deepQueryAll, snippet } = window.__complyai;
+    const INTERACTIVE = 'a[href], button, input, select, textarea, summary, label, [contenteditable="true"]';
+    const WIDGET_ROLES = ['button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'menuitem', 'option', 'slider'];
+    const issues = [];
+
+    for (const el of deepQueryAll('*')) {
+      if (['HTML', 'HEAD', 'BODY'].includes(el.tagName) || el.closest('head')) continue;
+      if (el.matches(INTERACTIVE) || el.tabIndex >= 0) continue;
+      // Clicks on descendants of real controls reach the control anyway
+      if (el.parentElement?.closest(INTERACTIVE)) continue;
+
+      const role = el.getAttribute('role');
+      const hasHandler = el.hasAttribute('onclick') || typeof el.onclick === 'function' ||
+        el.hasAttribute('onmousedown') || el.hasAttribute('onmouseup');
+      const looksClickable = window.getComputedStyle(el).cursor === 'pointer' &&
+        window.getComputedStyle(el.parentElement || el).cursor !== 'pointer';
+
+      if (!hasHandler && !WIDGET_ROLES.includes(role) && !looksClickable) continue;
+      const rect = el.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) continue;
+
+      issues.push({
+        type: 'keyboard-mouse-only',
+        element: el.tagName,
+        selector: deepPath(el),
+        html: snippet(el),
+        message: hasHandler
+          ? 'Element has a click handler but cannot receive keyboard focus'
+          : role ? `Element with role="${role}" cannot receive keyboard focus`
+          : 'Element is styled as clickable but cannot receive keyboard focus'
+      });
+    }
+    return issues;
+  });
+}
+
+// Compare the element's surroundings focused and unfocused; identical pixels
+// mean there is no visible focus indicator
+async function checkFocusVisibility(page, sequence) {
+  const issues = [];
+  const viewport = page.viewportSize() || { width: 1280, height: 800 };
+
+  for (const target of sequence.filter(el => el.visible).slice(0, MAX_FOCUS_VISIBILITY_CHECKS)) {
+    try {
+      const box = await page.evaluate((selector) => {
+        const el = window.__complyai.find(selector);
+        if (!el) return null;
+        el.scrollIntoView({ block: 'center' });
+        el.focus();
+        const rect = el.getBoundingClientRect();
+        return { x: rect.left, y: rect.top, width: rect.width, height: rect.height };
+      }, target.selector);
+      if (!box || box.width === 0 || box.height === 0) continue;
+
+      const x = Math.max(0, box.x - 6);
+      const y = Math.max(0, box.y - 6);
+      const clip = {
+        x,
+        y,
+        width: Math.max(1, Math.min(box.width + 12, viewport.width - x)),
+        height: Math.max(1, Math.min(box.height + 12, viewport.height - y))
+      };
+
+      const focusedShot = await page.screenshot({ clip, animations: 'disabled', caret: 'hide' });
+      await page.evaluate((selector) => window.__complyai.find(selector)?.blur(), target.selector);
+      const blurredShot = await page.screenshot({ clip, animations: 'disabled', caret: 'hide' });
+
+      if (focusedShot.equals(blurredShot)) {
+        issues.push(toIssue('keyboard-focus-not-visible', target,
+          'No visible focus indicator: the element looks the same focused and unfocused'));
+      }
+    } catch (error) {
+      console.warn(`[KEYBOARD] Focus visibility check failed for ${target.selector}:`, error.message);
+    }
+  }
+  return issues;
+}
+
+/**
+ * Keyboard accessibility audit: focus traps, Shift+Tab, focus order against
+ * DOM and visual order, positive tabindex, mouse-only controls and visible
+ * focus. Every issue carries a CSS selector and HTML snippet; elements inside
+ * open shadow roots use " >>> " between each host and its shadow content.
+ */
+async function testKeyboardNavigation(page) {
+  await injectPageHelpers(page);
+  const issues = [];
+
+  const focusableCount = await page.evaluate(() => {
+    const FOCUSABLE = 'a[href], area[href], button, input:not([type="hidden"]), select, textarea, iframe, ' +
+      'summary, [tabindex], [contenteditable]:not([contenteditable="false"]), audio[controls], video[controls]';
+    return window.__complyai.deepQueryAll(FOCUSABLE)
+      .filter(el => !el.disabled && el.tabIndex >= 0 && el.getClientRects().length > 0)
+      .length;
+  });
+
+  // Start from the top of the document
+  await page.evaluate(() => {
+    document.activeElement?.blur();
+    window.scrollTo(0, 0);
+  });
+
+  const { sequence, trap } = await walkTabOrder(page, focusableCount);
+
+  if (trap) {
+    issues.push(toIssue('keyboard-focus-trap', trap.entry,
+      `Focus is trapped in a cycle of ${trap.cycle.length} element(s) out of ${focusableCount} focusable`,
+      { cycle: trap.cycle.map(el => el.selector) }));
+  }
+
+  for (const el of sequence) {
+    if (!el.visible) {
+      issues.push(toIssue('keyboard-focus-hidden', el, 'Focused element is not visible'));
+    }
+    if (['A', 'BUTTON'].includes(el.element) && !el.accessibleName) {
+      issues.push(toIssue('keyboard-missing-aria-label', el, 'Interactive element missing accessible name'));
+    }
+  }
+
+  issues.push(...checkFocusOrder(sequence));
+  issues.push(...await findPositiveTabindex(page));
+  issues.push(...await findMouseOnlyElements(page));
+  issues.push(...await checkShiftTab(page, sequence));
+  issues.push(...await checkFocusVisibility(page, sequence));
+
+  // Keep reports readable on pages with systemic problems
+  const counts = {};
+  return issues
+    .filter(issue => {
+      counts[issue.type] = (counts[issue.type] || 0) + 1;
+      return counts[issue.type] <= MAX_ISSUES_PER_TYPE;
+    })
+    .map(issue => ({ ...issue, shadowHostChain: shadowHostChain(issue.selector) }));
+}
+
+module.exports = {
+  testKeyboardNavigation
+};
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { v4: uuidv4 } = require('uuid');
+const { scanPage } = require('./axeScanner');
+const { browserPool } = require('./browserPool');
+
+// Local sources are served from a reserved, unroutable origin so relative
+// links resolve while every other request can be blocked
+const LOCAL_ORIGIN = 'http://local-source.complyai.invalid';
+const LOCAL_SOURCE_DIR = process.env.LOCAL_SOURCE_DIR || path.join(__dirname, '../uploads');
+const MAX_ZIP_ENTRIES = 2000;
+const MAX_EXTRACTED_BYTES = 100 * 1024 * 1024;
+
+/**
+ * Write an HTML string, an uploaded HTML file or a zipped static site to disk.
+ * Returns a descriptor ({ id, kind, name, entry }) that is safe to queue.
+ */
+function saveLocalSource({ kind, name, content }) {
+  const id = uuidv4();
+  const dir = path.join(LOCAL_SOURCE_DIR, id);
+  fs.mkdirSync(dir, { recursive: true });
+
+  try {
+    let entry = 'index.html';
+    if (kind === 'zip') {
+      entry = extractZip(content, dir);
+    } else {
+      fs.writeFileSync(path.join(dir, entry), content);
+    }
+
+    return { id, kind, name: name || (kind === 'zip' ? 'site.zip' : 'index.html'), entry };
+  } catch (error) {
+    removeLocalSource(id);
+    throw error;
+  }
+}
+
+function extractZip(buffer, dir) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    throw new Error('Upload is not a valid zip archive');
+  }
+
+  const entries = zip.getEntries().filter(entry => !entry.isDirectory);
+  if (entries.length > MAX_ZIP_ENTRIES) {
+    throw new Error(`Zip archive has more than ${MAX_ZIP_ENTRIES} files`);
+  }
+
+  // Sizes are checked against the declared uncompressed sizes before anything
+  // is decompressed; adm-zip stops inflating an entry at its declared size, so
+  // a zip bomb cannot lie its way past the limit
+  const declaredBytes = entries.reduce((total, entry) => total + entry.header.size, 0);
+  if (declaredBytes > MAX_EXTRACTED_BYTES) {
+    throw new Error('Zip archive is too large once extracted');
+  }
+
+  const htmlFiles = [];
+  for (const entry of entries) {
+    // Refuse entries that would land outside the extraction directory
+    const target = path.resolve(dir, entry.entryName);
+    if (!target.startsWith(path.resolve(dir) + path.sep)) {
+      throw new Error(`Zip entry escapes the archive root: ${entry.entryName}`);
+    }
+
+    const data = entry.getData();
+    if (data.length > entry.header.size) {
+      throw new Error(`Zip entry is larger than it declares: ${entry.entryName}`);
+    }
+
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, data);
+    if (/\.html?$/i.test(entry.entryName)) htmlFiles.push(entry.entryName.replace(/\\/g, '/'));
+  }
+
+  if (htmlFiles.length === 0) throw new Error('Zip archive contains no HTML files');
+
+  // Prefer the shallowest index.html, then the shallowest HTML file
+  const depth = (file) => file.split('/').length;
+  const byDepth = (a, b) => depth(a) - depth(b) || a.localeCompare(b);
+  const indexFiles = htmlFiles.filter(file => /(^|\/)index\.html?$/i.test(file)).sort(byDepth);
+  return indexFiles[0] || htmlFiles.sort(byDepth)[0];
+}
+
+function localSourceUrl(source) {
+  return `${LOCAL_ORIGIN}/${source.id}/${source.entry.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+/**
+ * Browser context that serves the saved files and blocks all other network
+ * access, so the page cannot load third-party content or phone home.
+ */
+async function createSandboxContext(browser, source, contextOptions = {}) {
+  const root = path.resolve(LOCAL_SOURCE_DIR, source.id);
+  const context = await browser.newContext({
+    bypassCSP: true,
+    ...contextOptions,
+    serviceWorkers: 'block',
+    acceptDownloads: false
+  });
+
+  await context.route('**/*', async (route) => {
+    const requestUrl = new URL(route.request().url());
+    const prefix = `/${source.id}/`;
+
+    if (requestUrl.origin !== LOCAL_ORIGIN || !requestUrl.pathname.startsWith(prefix)) {
+      return route.abort('blockedbyclient');
+    }
+
+    let relative;
+    try {
+      relative = decodeURIComponent(requestUrl.pathname.slice(prefix.length));
+    } catch (error) {
+      return route.fulfill({ status: 400, body: 'Bad request' });
+    }
+    if (relative === '' || relative.endsWith('/')) relative += 'index.html';
+    const filePath = path.resolve(root, relative);
+
+    if (!filePath.startsWith(root + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      return route.fulfill({ status: 404, body: 'Not found' });
+    }
+    return route.fulfill({ path: filePath });
+  });
+
+  // WebSockets bypass routing, so shut them off in the page itself
+  await context.addInitScript(() => {
+    window.WebSocket = function() {
+      throw new Error('Network access is disabled for local source scans');
+    };
+  });
+
+  return context;
+}
+
+/**
+ * Run scanPage against a saved local source inside its sandbox. The caller
+ * removes the saved files (removeLocalSource) once it is done with them.
+ */
+async function scanLocalSource(source, options = {}) {
+  const { browserType = 'chromium' } = options;
+  const context = await createSandboxContext(
+    await browserPool.getBrowser(browserType),
+    source,
+    { viewport: { width: 1280, height: 800 } }
+  );
+
+  try {
+    const results = await scanPage(localSourceUrl(source), { ...options, context });
+    results.source = { type: 'local', kind: source.kind, name: source.name };
+    return results;
+  } finally {
+    await context.close();
+  }
+}
+
+function removeLocalSource(id) {
+  fs.rmSync(path.join(LOCAL_SOURCE_DIR, id), { recursive: true, force: true });
+}
+
+module.exports = {
+  LOCAL_ORIGIN,
+  saveLocalSource,
+  localSourceUrl,
+  createSandboxContext,
+  scanLocalSource,
+  removeLocalSource
+};
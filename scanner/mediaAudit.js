@@ -0,0 +1,448 @@
+const { injectPageHelpers } = require('./pageHelpers');
+const { luminance, decode } = require('./pixelContrast');
+const { isRuleEnabled } = require('./ruleConfig');
+
+const MAX_MEDIA_ELEMENTS = 50;
+// Flash sampling: how long to watch the viewport and how often to capture it
+const FLASH_SAMPLE_MS = 3000;
+const FLASH_INTERVAL_MS = 80;
+// Below this capture rate a 3 flashes/second pattern can be missed
+const MIN_RELIABLE_FPS = 8;
+// WCAG 2.3.1: a quarter of a 10 degree visual field at 1024x768 (341x256 px)
+const FLASH_CELL_WIDTH = 171;
+const FLASH_CELL_HEIGHT = 128;
+const FLASH_LUMINANCE_CHANGE = 0.1;
+const FLASH_DARK_LIMIT = 0.8;
+const MAX_FLASHES_PER_SECOND = 3;
+// Audio longer than this must be pausable (WCAG 1.4.2); motion longer than 5s (2.2.2)
+const AUTOPLAY_AUDIO_SECONDS = 3;
+const AUTOPLAY_MOTION_SECONDS = 5;
+const MOTION_SETTLE_MS = 1000;
+// Share of viewport pixels that must change between frames to count as motion
+const MOTION_PIXEL_SHARE = 0.01;
+// Linearised sRGB channel values; the luminance weights sum to 1 so grey gives the channel
+const LINEAR = Array.from({ length: 256 }, (_, value) => luminance([value, value, value]));
+
+const MEDIA_PROVIDERS = [
+  { name: 'YouTube', pattern: /youtube(-nocookie)?\.com\/embed|youtu\.be\// },
+  { name: 'Vimeo', pattern: /player\.vimeo\.com/ },
+  { name: 'Dailymotion', pattern: /dailymotion\.com\/embed/ },
+  { name: 'Wistia', pattern: /wistia\.(com|net)/ },
+  { name: 'Brightcove', pattern: /players\.brightcove\.net/ },
+  { name: 'JW Player', pattern: /jwplayer\.com|jwplatform\.com/ },
+  { name: 'Vidyard', pattern: /vidyard\.com/ },
+  { name: 'Kaltura', pattern: /kaltura\.com/ },
+  { name: 'Twitch', pattern: /player\.twitch\.tv/ },
+  { name: 'SoundCloud', pattern: /w\.soundcloud\.com/ },
+  { name: 'Spotify', pattern: /open\.spotify\.com\/embed/ }
+];
+
+const WCAG = {
+  'media-missing-captions': '1.2.2 Captions (Prerecorded)',
+  'media-missing-audio-description': '1.2.3 Audio Description or Media Alternative',
+  'media-missing-transcript': '1.2.1 Audio-only and Video-only (Prerecorded)',
+  'media-embedded-player': '1.2.2 Captions (Prerecorded)',
+  'media-autoplay-audio': '1.4.2 Audio Control',
+  'media-autoplay-no-pause': '2.2.2 Pause, Stop, Hide',
+  'media-flashing': '2.3.1 Three Flashes or Below Threshold',
+  'motion-ignores-reduced-motion': '2.3.3 Animation from Interactions'
+};
+
+const IMPACT = {
+  'media-missing-captions': 'serious',
+  'media-missing-audio-description': 'moderate',
+  'media-missing-transcript': 'serious',
+  'media-embedded-player': 'minor',
+  'media-autoplay-audio': 'critical',
+  'media-autoplay-no-pause': 'serious',
+  'media-flashing': 'critical',
+  'motion-ignores-reduced-motion': 'moderate'
+};
+
+function issue(type, target, message) {
+  return {
+    type,
+    impact: IMPACT[type],
+    wcag: WCAG[type],
+    element: target.tag || 'page',
+    selector: target.selector || null,
+    html: target.html || null,
+    message
+  };
+}
+
+// <video>, <audio> and embedded players, with their alternatives and playback state
+async function findMediaElements(page) {
+  return page.evaluate(({ maxElements, providers }) => {
+    const { deepPath, deepQueryAll, snippet } = window.__complyai;
+    const matchesText = (el, pattern) =>
+      pattern.test(`${el.textContent} ${el.getAttribute('aria-label') || ''} ${el.getAttribute('title') || ''}`);
+
+    // Look a few levels up for a related control or link (players wrap media in containers)
+    const nearby = (el, selector, pattern) => {
+      let container = el.parentElement;
+      for (let depth = 0; container && depth < 3; depth++, container = container.parentElement) {
+        const match = Array.from(container.querySelectorAll(selector))
+          .find(candidate => candidate !== el && matchesText(candidate, pattern));
+        if (match) return true;
+      }
+      return false;
+    };
+    const transcriptLink = (el) => nearby(el, 'a, button, details, summary', /transcript/i) ||
+      (el.getAttribute('aria-describedby') || '').split(/\s+/).some(id => {
+        const described = id && document.getElementById(id);
+        return described && /transcript/i.test(described.textContent);
+      });
+
+    const media = deepQueryAll('video, audio').slice(0, maxElements).map(el => {
+      const tracks = Array.from(el.querySelectorAll('track')).map(track => track.kind);
+      // Engines expose audio presence differently; assume sound when unknown
+      const hasAudio = el.tagName === 'AUDIO' ||
+        (typeof el.mozHasAudio === 'boolean' ? el.mozHasAudio
+          : typeof el.webkitAudioDecodedByteCount === 'number' && el.currentTime > 0
+            ? el.webkitAudioDecodedByteCount > 0
+            : el.audioTracks ? el.audioTracks.length > 0 : true);
+
+      return {
+        tag: el.tagName.toLowerCase(),
+        selector: deepPath(el),
+        html: snippet(el),
+        captions: tracks.some(kind => kind === 'captions' || kind === 'subtitles'),
+        descriptions: tracks.includes('descriptions'),
+        transcript: transcriptLink(el),
+        autoplay: el.autoplay || (!el.paused && el.currentTime > 0),
+        playing: !el.paused && !el.ended,
+        muted: el.muted || el.volume === 0,
+        hasAudio,
+        loop: el.loop,
+        duration: Number.isFinite(el.duration) ? el.duration : null,
+        controls: el.controls,
+        pauseControl: el.controls || nearby(el, 'button, [role="button"]', /pause|stop|mute/i),
+        hidden: el.getAttribute('aria-hidden') === 'true'
+      };
+    });
+
+    const embeds = deepQueryAll('iframe, object, embed').map(el => {
+      const src = el.src || el.data || '';
+      const provider = providers.find(p => new RegExp(p.pattern, 'i').test(src));
+      if (!provider) return null;
+      let params;
+      try {
+        params = new URL(src, location.href).searchParams;
+      } catch (error) {
+        params = new URLSearchParams();
+      }
+      return {
+        tag: el.tagName.toLowerCase(),
+        selector: deepPath(el),
+        html: snippet(el),
+        provider: provider.name,
+        autoplay: ['1', 'true'].includes(params.get('autoplay')),
+        muted: ['1', 'true'].includes(params.get('mute') || params.get('muted')),
+        controls: params.get('controls') !== '0',
+        transcript: transcriptLink(el)
+      };
+    }).filter(Boolean).slice(0, maxElements);
+
+    return [...media, ...embeds];
+  }, {
+    maxElements: MAX_MEDIA_ELEMENTS,
+    providers: MEDIA_PROVIDERS.map(p => ({ name: p.name, pattern: p.pattern.source }))
+  });
+}
+
+function checkMediaElements(elements) {
+  const issues = [];
+
+  for (const media of elements) {
+    if (media.provider) {
+      issues.push(issue('media-embedded-player', media,
+        `Embedded ${media.provider} player: captions and audio description cannot be verified automatically`));
+      // The player's own controls count as a pause mechanism unless they are turned off
+      if (media.autoplay && !media.muted && !media.controls) {
+        issues.push(issue('media-autoplay-audio', media,
+          `Embedded ${media.provider} player autoplays with sound and its controls are hidden`));
+      }
+      continue;
+    }
+
+    // Silent, hidden background video is decorative; only motion rules apply
+    const decorative = media.tag === 'video' && (media.hidden || (media.muted && !media.controls));
+    const long = (limit) => media.loop || media.duration === null || media.duration > limit;
+
+    if (media.tag === 'video' && !decorative) {
+      if (media.hasAudio && !media.captions) {
+        issues.push(issue('media-missing-captions', media, 'Video has no captions or subtitles track'));
+      }
+      if (!media.descriptions && !media.transcript) {
+        issues.push(issue('media-missing-audio-description', media,
+          'Video has neither an audio description track nor a linked transcript'));
+      }
+    }
+    if (media.tag === 'audio' && !media.transcript) {
+      issues.push(issue('media-missing-transcript', media, 'Audio has no linked transcript'));
+    }
+
+    if (media.autoplay && !media.muted && media.hasAudio && long(AUTOPLAY_AUDIO_SECONDS) && !media.pauseControl) {
+      issues.push(issue('media-autoplay-audio', media,
+        `${media.tag} plays sound automatically for more than ${AUTOPLAY_AUDIO_SECONDS} seconds with no way to pause or mute it`));
+    } else if (media.tag === 'video' && media.autoplay && long(AUTOPLAY_MOTION_SECONDS) && !media.pauseControl) {
+      issues.push(issue('media-autoplay-no-pause', media,
+        `Video moves automatically for more than ${AUTOPLAY_MOTION_SECONDS} seconds with no pause control`));
+    }
+  }
+
+  return issues;
+}
+
+// Mean relative luminance of each flash-sized cell of a viewport capture
+async function cellLuminance(buffer) {
+  const { data, width, height } = await decode(buffer);
+  const cols = Math.ceil(width / FLASH_CELL_WIDTH);
+  const rows = Math.ceil(height / FLASH_CELL_HEIGHT);
+  const sums = new Float64Array(cols * rows);
+  const counts = new Uint32Array(cols * rows);
+
+  // Every other pixel in each direction is plenty for a cell average
+  for (let y = 0; y < height; y += 2) {
+    const row = Math.floor(y / FLASH_CELL_HEIGHT) * cols;
+    for (let x = 0; x < width; x += 2) {
+      const i = (y * width + x) * 4;
+      const cell = row + Math.floor(x / FLASH_CELL_WIDTH);
+      sums[cell] += 0.2126 * LINEAR[data[i]] + 0.7152 * LINEAR[data[i + 1]] + 0.0722 * LINEAR[data[i + 2]];
+      counts[cell]++;
+    }
+  }
+  return { cols, values: Array.from(sums, (sum, i) => sum / (counts[i] || 1)) };
+}
+
+/**
+ * Times at which a luminance series makes a WCAG flash transition: a swing of
+ * at least 10% relative luminance where the darker state is below 0.80.
+ * Each swing is followed to its peak before the next one can start.
+ */
+function flashTransitions(series) {
+  const times = [];
+  let extreme = series[0]?.value;
+  let direction = 0;
+
+  for (const { time, value } of series.slice(1)) {
+    if ((direction > 0 && value > extreme) || (direction < 0 && value < extreme)) {
+      extreme = value;
+      continue;
+    }
+    const change = value - extreme;
+    if (Math.abs(change) >= FLASH_LUMINANCE_CHANGE && Math.min(value, extreme) <= FLASH_DARK_LIMIT) {
+      times.push(time);
+      direction = Math.sign(change);
+      extreme = value;
+    } else if (direction === 0) {
+      extreme = value;
+    }
+  }
+  return times;
+}
+
+// Most flashes (pairs of opposing transitions) in any one-second window
+function maxFlashesPerSecond(transitionTimes) {
+  let max = 0;
+  for (let i = 0; i < transitionTimes.length; i++) {
+    const inWindow = transitionTimes.filter(t => t >= transitionTimes[i] && t < transitionTimes[i] + 1000).length;
+    max = Math.max(max, Math.floor(inWindow / 2));
+  }
+  return max;
+}
+
+// Capture the viewport repeatedly and look for general flashes in any cell
+async function detectFlashing(page) {
+  await page.evaluate(() => window.scrollTo(0, 0));
+
+  const frames = [];
+  const start = Date.now();
+  while (Date.now() - start < FLASH_SAMPLE_MS) {
+    const captured = Date.now();
+    const buffer = await page.screenshot({ type: 'jpeg', quality: 60, scale: 'css', animations: 'allow' });
+    frames.push({ time: captured - start, buffer });
+    const wait = FLASH_INTERVAL_MS - (Date.now() - captured);
+    if (wait > 0) await page.waitForTimeout(wait);
+  }
+
+  const cells = [];
+  for (const frame of frames) cells.push({ time: frame.time, ...(await cellLuminance(frame.buffer)) });
+
+  const elapsed = frames.length > 1 ? frames[frames.length - 1].time - frames[0].time : 0;
+  const framesPerSecond = elapsed > 0 ? Math.round(((frames.length - 1) / elapsed) * 10000) / 10 : 0;
+  const { cols } = cells[0];
+  const regions = [];
+
+  for (let cell = 0; cell < cells[0].values.length; cell++) {
+    const series = cells.map(frame => ({ time: frame.time, value: frame.values[cell] }));
+    const flashes = maxFlashesPerSecond(flashTransitions(series));
+    if (flashes > MAX_FLASHES_PER_SECOND) {
+      regions.push({
+        x: (cell % cols) * FLASH_CELL_WIDTH,
+        y: Math.floor(cell / cols) * FLASH_CELL_HEIGHT,
+        width: FLASH_CELL_WIDTH,
+        height: FLASH_CELL_HEIGHT,
+        flashesPerSecond: flashes
+      });
+    }
+  }
+
+  return {
+    sampled: frames.length,
+    durationMs: elapsed,
+    framesPerSecond,
+    reliable: framesPerSecond >= MIN_RELIABLE_FPS,
+    maxFlashesPerSecond: regions.reduce((max, region) => Math.max(max, region.flashesPerSecond), 0),
+    regions,
+    passed: regions.length === 0
+  };
+}
+
+// Running CSS/Web Animations that move things, plus media that is playing
+async function collectMotion(page) {
+  await injectPageHelpers(page);
+  return page.evaluate(() => {
+    const { deepPath, deepQueryAll, snippet } = window.__complyai;
+    const MOTION_PROPERTIES = /^(transform|translate|rotate|scale|left|top|right|bottom|margin|offset|backgroundPosition|width|height)/;
+
+    const animations = document.getAnimations()
+      .filter(animation => animation.playState === 'running' && animation.effect?.target)
+      .filter(animation => {
+        const timing = animation.effect.getComputedTiming();
+        const moves = animation.effect.getKeyframes()
+          .some(frame => Object.keys(frame).some(property => MOTION_PROPERTIES.test(property)));
+        return moves && timing.activeDuration >= 1000;
+      })
+      .map(animation => ({
+        tag: animation.effect.target.tagName.toLowerCase(),
+        selector: deepPath(animation.effect.target),
+        html: snippet(animation.effect.target, 200),
+        name: animation.animationName || animation.transitionProperty || animation.id || 'script animation'
+      }));
+
+    const playing = deepQueryAll('video')
+      .filter(video => !video.paused && !video.ended)
+      .map(video => ({ tag: 'video', selector: deepPath(video), html: snippet(video, 200), name: 'video playback' }));
+
+    return [...animations, ...playing];
+  });
+}
+
+// Share of pixels that differ between two captures taken a moment apart
+async function visibleMotion(page) {
+  const first = await decode(await page.screenshot({ scale: 'css', animations: 'allow' }));
+  await page.waitForTimeout(MOTION_SETTLE_MS);
+  const second = await decode(await page.screenshot({ scale: 'css', animations: 'allow' }));
+  if (first.width !== second.width || first.height !== second.height) return 1;
+
+  let changed = 0;
+  for (let i = 0; i < first.data.length; i += 16) {
+    if (Math.abs(first.data[i] - second.data[i]) + Math.abs(first.data[i + 1] - second.data[i + 1]) +
+      Math.abs(first.data[i + 2] - second.data[i + 2]) > 30) changed++;
+  }
+  return changed / (first.data.length / 16);
+}
+
+/**
+ * Reload with prefers-reduced-motion: reduce and check that what was moving
+ * before has stopped. Only reloads when something was moving to begin with.
+ */
+async function checkReducedMotion(page, timeout, delayMs = 0) {
+  const before = await collectMotion(page);
+  const movingBefore = await visibleMotion(page);
+  if (before.length === 0 && movingBefore < MOTION_PIXEL_SHARE) {
+    return { checked: false, motionBefore: 0, motionAfter: 0, issues: [], passed: true };
+  }
+
+  await page.emulateMedia({ reducedMotion: 'reduce' });
+  try {
+    if (delayMs > 0) await page.waitForTimeout(delayMs);
+    await page.reload({ waitUntil: 'networkidle', timeout });
+    await page.waitForTimeout(MOTION_SETTLE_MS);
+    const after = await collectMotion(page);
+    const movingAfter = await visibleMotion(page);
+
+    const issues = after.map(motion => issue('motion-ignores-reduced-motion', motion,
+      `${motion.name} keeps running when the user asks for reduced motion`));
+    // Script-driven motion is only visible in the pixels
+    if (after.length === 0 && movingAfter >= MOTION_PIXEL_SHARE) {
+      issues.push(issue('motion-ignores-reduced-motion', {},
+        `${Math.round(movingAfter * 100)}% of the viewport keeps changing when the user asks for reduced motion`));
+    }
+
+    return {
+      checked: true,
+      motionBefore: before.length,
+      motionAfter: after.length,
+      viewportChangeBefore: Math.round(movingBefore * 1000) / 1000,
+      viewportChangeAfter: Math.round(movingAfter * 1000) / 1000,
+      issues,
+      passed: issues.length === 0
+    };
+  } finally {
+    await page.emulateMedia({ reducedMotion: null });
+  }
+}
+
+// Keep issues on elements inside the configured include selectors and outside
+// the exclude selectors, as axe does for its rules; page-wide issues stay
+async function issuesInScope(page, issues, { include = [], exclude = [] }) {
+  if (include.length === 0 && exclude.length === 0) return issues;
+  // The reduced-motion check reloaded the page, taking the helpers with it
+  await injectPageHelpers(page);
+  const inScope = await page.evaluate(({ selectors, include, exclude }) => {
+    const within = (el, selector) => {
+      for (let node = el; node; node = node.parentElement || node.getRootNode().host) {
+        if (node.matches(selector)) return true;
+      }
+      return false;
+    };
+    return selectors.map(path => {
+      const el = path && window.__complyai.find(path);
+      if (!el) return true;
+      return (include.length === 0 || include.some(selector => within(el, selector))) &&
+        !exclude.some(selector => within(el, selector));
+    });
+  }, { selectors: issues.map(item => item.selector), include, exclude });
+  return issues.filter((item, i) => inScope[i]);
+}
+
+/**
+ * Audit time-based media and motion: caption/description tracks and
+ * transcripts, autoplaying sound or motion without a pause control, flashing
+ * above the three-flash threshold, and respect for prefers-reduced-motion.
+ * The reduced-motion check reloads the page, so this runs after other audits.
+ */
+async function auditMedia(page, { ruleConfig = {}, timeout = 30000, delayMs = 0 } = {}) {
+  await injectPageHelpers(page);
+  const elements = await findMediaElements(page);
+  const issues = checkMediaElements(elements);
+
+  const flashing = await detectFlashing(page);
+  for (const region of flashing.regions) {
+    issues.push(issue('media-flashing', {},
+      `Area at ${region.x},${region.y} (${region.width}x${region.height}px) flashes ` +
+      `${region.flashesPerSecond} times in one second`));
+  }
+
+  const { issues: motionIssues, ...reducedMotion } = await checkReducedMotion(page, timeout, delayMs);
+  issues.push(...motionIssues);
+
+  const selected = await issuesInScope(page, issues.filter(item => isRuleEnabled(ruleConfig, item.type)), ruleConfig);
+  console.log(`[MEDIA] ${elements.length} media elements, ${selected.length} issues`);
+
+  return {
+    elements,
+    issues: selected,
+    flashing,
+    reducedMotion
+  };
+}
+
+module.exports = {
+  auditMedia,
+  flashTransitions,
+  maxFlashesPerSecond
+};
@@ -0,0 +1,87 @@
+// Helpers installed into the page as window.__complyai so in-page checks can
+// describe elements the same way axe does (CSS selector + HTML snippet).
+// The function is serialised by page.evaluate, so it must be self-contained.
+function installPageHelpers() {
+  if (window.__complyai) return;
+
+  const cssEscape = (value) => (window.CSS && CSS.escape ? CSS.escape(value) : value);
+
+  function cssPath(el) {
+    if (!el || el.nodeType !== Node.ELEMENT_NODE) return '';
+    const parts = [];
+    let node = el;
+
+    while (node && node.nodeType === Node.ELEMENT_NODE) {
+      const root = node.getRootNode();
+      if (node.id && root.querySelectorAll(`#${cssEscape(node.id)}`).length === 1) {
+        parts.unshift(`#${cssEscape(node.id)}`);
+        break;
+      }
+
+      let part = node.tagName.toLowerCase();
+      const parent = node.parentElement;
+      if (parent) {
+        const siblings = Array.from(parent.children).filter(child => child.tagName === node.tagName);
+        if (siblings.length > 1) part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+      }
+      parts.unshift(part);
+      node = parent;
+    }
+
+    return parts.join(' > ');
+  }
+
+  // Selector that crosses open shadow roots, joined with " >>> " the way
+  // shadow host chains are written elsewhere in reports
+  function deepPath(el) {
+    const parts = [cssPath(el)];
+    let root = el.getRootNode();
+    while (root instanceof ShadowRoot) {
+      parts.unshift(cssPath(root.host));
+      root = root.host.getRootNode();
+    }
+    return parts.join(' >>> ');
+  }
+
+  // Resolve a deepPath selector back to its element
+  function find(path) {
+    let root = document;
+    let el = null;
+    for (const part of path.split(' >>> ')) {
+      el = root ? root.querySelector(part) : null;
+      root = el ? el.shadowRoot : null;
+    }
+    return el;
+  }
+
+  // querySelectorAll across the document and every open shadow root
+  function deepQueryAll(selector, root = document) {
+    const found = Array.from(root.querySelectorAll(selector));
+    for (const el of root.querySelectorAll('*')) {
+      if (el.shadowRoot) found.push(...deepQueryAll(selector, el.shadowRoot));
+    }
+    return found;
+  }
+
+  function deepActiveElement() {
+    let el = document.activeElement;
+    while (el && el.shadowRoot && el.shadowRoot.activeElement) el = el.shadowRoot.activeElement;
+    return el;
+  }
+
+  function snippet(el, max = 500) {
+    if (!el || !el.outerHTML) return '';
+    return el.outerHTML.substring(0, max);
+  }
+
+  window.__complyai = { cssPath, deepPath, find, deepQueryAll, deepActiveElement, snippet };
+}
+
+// Works for a Page or a Frame
+async function injectPageHelpers(page) {
+  await page.evaluate(installPageHelpers);
+}
+
+module.exports = {
+  injectPageHelpers
+};
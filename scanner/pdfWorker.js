@@ -0,0 +1,8 @@
+// Runs checkPdf (documentChecker.js) off the main thread; the PDF arrives as
+// workerData and the result or error message is posted back
+const { parentPort, workerData } = require('worker_threads');
+const { checkPdf } = require('./documentChecker');
+
+checkPdf(Buffer.from(workerData))
+  .then(result => parentPort.postMessage({ result }))
+  .catch(error => parentPort.postMessage({ error: error.message }));
@@ -0,0 +1,353 @@
+const { createCanvas, loadImage } = require('canvas');
+const { injectPageHelpers } = require('./pageHelpers');
+const { isRuleEnabled } = require('./ruleConfig');
+
+const MAX_TEXT_ELEMENTS = 60;
+const MAX_IMAGES = 30;
+const MAX_BOX_HEIGHT = 400;
+// Channel difference that marks a pixel as part of a glyph
+const GLYPH_THRESHOLD = 40;
+// Ignore the darkest/lightest sliver of background pixels (dithering, noise)
+const WORST_CASE_PERCENTILE = 0.02;
+const CONTRAST_HELP_URL = 'https://www.w3.org/WAI/WCAG21/Understanding/contrast-minimum.html';
+const ENHANCED_HELP_URL = 'https://www.w3.org/WAI/WCAG21/Understanding/contrast-enhanced.html';
+const IMAGES_OF_TEXT_HELP_URL = 'https://www.w3.org/WAI/WCAG21/Understanding/images-of-text.html';
+const HIDE_TEXT_CLASS = '__complyai-hide-text';
+
+// WCAG relative luminance of an sRGB colour (0-255 channels)
+function luminance([r, g, b]) {
+  const [R, G, B] = [r, g, b].map(value => {
+    const c = value / 255;
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+}
+
+function contrastRatio(a, b) {
+  const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+// Composite a possibly translucent text colour over a background pixel
+function blend(color, background) {
+  const alpha = color[3] ?? 1;
+  return [0, 1, 2].map(i => Math.round(color[i] * alpha + background[i] * (1 - alpha)));
+}
+
+async function decode(buffer) {
+  const image = await loadImage(buffer);
+  const canvas = createCanvas(image.width, image.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0);
+  return ctx.getImageData(0, 0, image.width, image.height);
+}
+
+// Text whose background axe cannot resolve: background images, gradients,
+// translucent layers or media underneath
+async function findComplexTextElements(page) {
+  return page.evaluate(({ maxElements, maxHeight }) => {
+    const { cssPath, snippet } = window.__complyai;
+    const parseColor = (value) => {
+      const match = value.match(/rgba?\(([^)]+)\)/);
+      if (!match) return null;
+      const [r, g, b, a = 1] = match[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+      return [r, g, b, a];
+    };
+
+    const hasComplexBackground = (el) => {
+      for (let node = el; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+        const style = getComputedStyle(node);
+        if (style.backgroundImage && style.backgroundImage !== 'none') return true;
+        const bg = parseColor(style.backgroundColor);
+        if (bg && bg[3] >= 1) return false;
+      }
+      return false;
+    };
+
+    const overMedia = (el, rect) => {
+      const x = rect.left + rect.width / 2;
+      const y = rect.top + rect.height / 2;
+      if (x < 0 || y < 0 || x > innerWidth || y > innerHeight) return false;
+      return document.elementsFromPoint(x, y)
+        .some(under => under !== el && !el.contains(under) && ['IMG', 'VIDEO', 'CANVAS', 'PICTURE'].includes(under.tagName));
+    };
+
+    const candidates = [];
+    for (const el of document.body ? document.body.querySelectorAll('*') : []) {
+      if (candidates.length >= maxElements) break;
+      const ownText = Array.from(el.childNodes)
+        .some(child => child.nodeType === Node.TEXT_NODE && child.textContent.trim());
+      if (!ownText) continue;
+
+      const style = getComputedStyle(el);
+      if (style.visibility === 'hidden' || style.display === 'none' || Number(style.opacity) === 0) continue;
+      const rect = el.getBoundingClientRect();
+      if (rect.width < 4 || rect.height < 4 || rect.height > maxHeight) continue;
+      if (!hasComplexBackground(el) && !overMedia(el, rect)) continue;
+
+      candidates.push({
+        selector: cssPath(el),
+        html: snippet(el),
+        color: parseColor(style.color),
+        fontSize: parseFloat(style.fontSize),
+        fontWeight: Number(style.fontWeight) || (style.fontWeight === 'bold' ? 700 : 400),
+        box: {
+          x: rect.left + window.scrollX,
+          y: rect.top + window.scrollY,
+          width: rect.width,
+          height: rect.height
+        }
+      });
+    }
+    return candidates;
+  }, { maxElements: MAX_TEXT_ELEMENTS, maxHeight: MAX_BOX_HEIGHT });
+}
+
+async function setTextHidden(page, selector, hidden) {
+  await page.evaluate(({ selector, hidden, className }) => {
+    if (!document.getElementById(className)) {
+      const style = document.createElement('style');
+      style.id = className;
+      style.textContent = `.${className}, .${className} * {
+        color: transparent !important;
+        -webkit-text-fill-color: transparent !important;
+        text-shadow: none !important;
+        caret-color: transparent !important;
+      }`;
+      document.head.appendChild(style);
+    }
+    document.querySelector(selector)?.classList.toggle(className, hidden);
+  }, { selector, hidden, className: HIDE_TEXT_CLASS });
+}
+
+/**
+ * Screenshot the text box shown and hidden. Pixels that change are glyphs;
+ * the hidden shot gives the real background behind each of them. Returns
+ * the worst-case ratio (the text colour against its darkest/lightest
+ * backgrounds), or null when no glyph pixels were found.
+ */
+async function measureContrast(page, candidate) {
+  const clip = {
+    x: Math.max(0, Math.floor(candidate.box.x)),
+    y: Math.max(0, Math.floor(candidate.box.y)),
+    width: Math.max(1, Math.ceil(candidate.box.width)),
+    height: Math.max(1, Math.ceil(candidate.box.height))
+  };
+
+  const shown = await page.screenshot({ clip, fullPage: true, animations: 'disabled', caret: 'hide' });
+  await setTextHidden(page, candidate.selector, true);
+  let hidden;
+  try {
+    hidden = await page.screenshot({ clip, fullPage: true, animations: 'disabled', caret: 'hide' });
+  } finally {
+    await setTextHidden(page, candidate.selector, false);
+  }
+
+  const [withText, withoutText] = await Promise.all([decode(shown), decode(hidden)]);
+  const ratios = [];
+  const a = withText.data;
+  const b = withoutText.data;
+
+  for (let i = 0; i < a.length && i < b.length; i += 4) {
+    const diff = Math.max(Math.abs(a[i] - b[i]), Math.abs(a[i + 1] - b[i + 1]), Math.abs(a[i + 2] - b[i + 2]));
+    if (diff < GLYPH_THRESHOLD) continue;
+
+    const background = [b[i], b[i + 1], b[i + 2]];
+    ratios.push(contrastRatio(blend(candidate.color, background), background));
+  }
+  if (ratios.length === 0) return null;
+
+  ratios.sort((x, y) => x - y);
+  return {
+    worst: ratios[Math.floor(ratios.length * WORST_CASE_PERCENTILE)],
+    median: ratios[Math.floor(ratios.length / 2)],
+    sampledPixels: ratios.length
+  };
+}
+
+// WCAG large text: 18pt (24px) or 14pt (18.66px) bold
+const isLargeText = ({ fontSize, fontWeight }) => fontSize >= 24 || (fontSize >= 18.66 && fontWeight >= 700);
+
+function toNode(ruleId, candidate, failureSummary, data) {
+  return {
+    target: [candidate.selector],
+    html: candidate.html,
+    failureSummary,
+    any: [{ id: ruleId, data, message: failureSummary }],
+    all: [],
+    none: []
+  };
+}
+
+// Likely images of text: few flat colours with sharp edges, plus a wordy alt
+// text or a telling file name
+async function findImagesOfText(page) {
+  const images = await page.evaluate((maxImages) => {
+    const { cssPath, snippet } = window.__complyai;
+    return Array.from(document.images)
+      .filter(img => img.complete && img.naturalWidth > 0)
+      .map(img => ({ img, rect: img.getBoundingClientRect() }))
+      .filter(({ rect }) => rect.width >= 60 && rect.height >= 20)
+      .slice(0, maxImages)
+      .map(({ img, rect }) => ({
+        selector: cssPath(img),
+        html: snippet(img),
+        alt: img.getAttribute('alt') || '',
+        src: img.currentSrc || img.src,
+        box: { x: rect.left + window.scrollX, y: rect.top + window.scrollY, width: rect.width, height: rect.height }
+      }));
+  }, MAX_IMAGES);
+
+  const nodes = [];
+  for (const image of images) {
+    const wordyAlt = image.alt.trim().split(/\s+/).length >= 3;
+    const textyName = /(text|heading|headline|title|quote|slogan|tagline|caption)/i
+      .test(decodeURIComponent(image.src.split(/[?#]/)[0].split('/').pop() || ''));
+    if (!wordyAlt && !textyName) continue;
+
+    try {
+      const buffer = await page.screenshot({
+        clip: {
+          x: Math.max(0, image.box.x),
+          y: Math.max(0, image.box.y),
+          width: Math.max(1, image.box.width),
+          height: Math.max(1, Math.min(image.box.height, MAX_BOX_HEIGHT))
+        },
+        fullPage: true,
+        animations: 'disabled'
+      });
+      const { data, width } = await decode(buffer);
+
+      // Share of pixels in the four most common (quantised) colours
+      const counts = new Map();
+      let edges = 0;
+      for (let i = 0; i < data.length; i += 4) {
+        const key = (data[i] >> 5) << 6 | (data[i + 1] >> 5) << 3 | (data[i + 2] >> 5);
+        counts.set(key, (counts.get(key) || 0) + 1);
+        const next = i + 4;
+        if ((i / 4) % width !== width - 1 && next < data.length) {
+          const step = Math.abs(luminance([data[i], data[i + 1], data[i + 2]]) -
+            luminance([data[next], data[next + 1], data[next + 2]]));
+          if (step > 0.3) edges++;
+        }
+      }
+      const pixels = data.length / 4;
+      const topColors = [...counts.values()].sort((x, y) => y - x).slice(0, 4).reduce((sum, n) => sum + n, 0);
+      const flat = topColors / pixels >= 0.85;
+      const sharp = edges / pixels >= 0.04;
+
+      if ((flat && sharp) && (wordyAlt || textyName)) {
+        nodes.push({
+          target: [image.selector],
+          html: image.html,
+          failureSummary: `Image appears to contain text (${Math.round(topColors / pixels * 100)}% flat colour, ` +
+            `sharp edges${image.alt ? `, alt "${image.alt}"` : ''}). Use real text styled with CSS instead.`,
+          any: [],
+          all: [],
+          none: []
+        });
+      }
+    } catch (error) {
+      console.warn(`[CONTRAST] Could not analyse image ${image.selector}:`, error.message);
+    }
+  }
+  return nodes;
+}
+
+/**
+ * Pixel-based contrast analysis for text that axe cannot judge, plus a
+ * heuristic images-of-text check. Returns axe-style violations with the
+ * rule ids pixel-contrast (1.4.3), pixel-contrast-enhanced (1.4.6, AAA
+ * configurations only) and image-of-text (1.4.5).
+ */
+async function analysePixelContrast(page, ruleConfig) {
+  await injectPageHelpers(page);
+  const enabled = (id) => isRuleEnabled(ruleConfig, id);
+  const checkEnhanced = enabled('pixel-contrast-enhanced');
+  const minimumNodes = [];
+  const enhancedNodes = [];
+
+  if (enabled('pixel-contrast') || checkEnhanced) {
+    for (const candidate of await findComplexTextElements(page)) {
+      if (!candidate.color) continue;
+      let result;
+      try {
+        result = await measureContrast(page, candidate);
+      } catch (error) {
+        console.warn(`[CONTRAST] Could not measure ${candidate.selector}:`, error.message);
+        continue;
+      }
+      if (!result) continue;
+
+      const large = isLargeText(candidate);
+      const minimum = large ? 3 : 4.5;
+      const enhanced = large ? 4.5 : 7;
+      const data = {
+        worstCaseRatio: Number(result.worst.toFixed(2)),
+        medianRatio: Number(result.median.toFixed(2)),
+        sampledPixels: result.sampledPixels,
+        fontSize: candidate.fontSize,
+        fontWeight: candidate.fontWeight,
+        largeText: large
+      };
+
+      if (result.worst < minimum && enabled('pixel-contrast')) {
+        minimumNodes.push(toNode('pixel-contrast', candidate,
+          `Fix this: worst-case contrast over the rendered background is ${data.worstCaseRatio}:1 ` +
+          `(median ${data.medianRatio}:1); ${minimum}:1 is required for ${large ? 'large' : 'normal'} text`, data));
+      } else if (result.worst < enhanced && checkEnhanced) {
+        enhancedNodes.push(toNode('pixel-contrast-enhanced', candidate,
+          `Fix this: worst-case contrast over the rendered background is ${data.worstCaseRatio}:1; ` +
+          `${enhanced}:1 is required at Level AAA`, data));
+      }
+    }
+  }
+
+  const violations = [];
+  if (minimumNodes.length > 0) {
+    violations.push({
+      id: 'pixel-contrast',
+      impact: 'serious',
+      tags: ['wcag2aa', 'wcag143'],
+      description: 'Text over images, gradients or overlays has insufficient contrast where it is rendered',
+      help: 'Text must have a contrast ratio of at least 4.5:1 (3:1 for large text) against its actual background',
+      helpUrl: CONTRAST_HELP_URL,
+      nodes: minimumNodes
+    });
+  }
+  if (enhancedNodes.length > 0) {
+    violations.push({
+      id: 'pixel-contrast-enhanced',
+      impact: 'moderate',
+      tags: ['wcag2aaa', 'wcag146'],
+      description: 'Text over images, gradients or overlays does not meet enhanced contrast',
+      help: 'Text must have a contrast ratio of at least 7:1 (4.5:1 for large text) at Level AAA',
+      helpUrl: ENHANCED_HELP_URL,
+      nodes: enhancedNodes
+    });
+  }
+
+  if (enabled('image-of-text')) {
+    const imageNodes = await findImagesOfText(page);
+    if (imageNodes.length > 0) {
+      violations.push({
+        id: 'image-of-text',
+        impact: 'moderate',
+        tags: ['wcag2aa', 'wcag145'],
+        description: 'Images appear to be used to present text',
+        help: 'Use text rather than images of text unless the presentation is essential',
+        helpUrl: IMAGES_OF_TEXT_HELP_URL,
+        nodes: imageNodes
+      });
+    }
+  }
+
+  return violations;
+}
+
+module.exports = {
+  analysePixelContrast,
+  contrastRatio,
+  luminance,
+  decode
+};
@@ -0,0 +1,224 @@
+const fs = require('fs');
+const path = require('path');
+const { injectPageHelpers } = require('./pageHelpers');
+
+const PLUGIN_DIR = process.env.PLUGIN_DIR || path.join(__dirname, '..', 'plugins');
+const IMPACTS = ['minor', 'moderate', 'serious', 'critical'];
+
+/*
+ * A plugin is a CommonJS module in the plugin directory exporting one rule:
+ *
+ *   {
+ *     id: 'org-skip-link',             // unique, lowercase; usable in disabledRules
+ *     description, help, helpUrl,      // shown in reports and GET /api/rules
+ *     impact: 'serious',               // axe impact: minor, moderate, serious, critical
+ *     tags: ['org-standards'],         // select the rule like axe tags; 'custom' is always added
+ *     wcag: ['2.4.1'],                 // success criteria the rule maps to
+ *     enabled: true,                   // optional, defaults to true
+ *
+ *     // either an axe custom rule, configured into axe in every frame:
+ *     axe: { selector, matches?, any?, all?, none?, checks: [{ id, evaluate, options?, messages }] },
+ *
+ *     // or a Playwright check returning [{ selector, html?, message }]:
+ *     check: async (page, { ruleConfig }) => [...]
+ *   }
+ */
+let registry = { plugins: [], errors: [] };
+
+const wcagTags = (criteria = []) => criteria.map(sc => `wcag${String(sc).replace(/\./g, '')}`);
+
+function validatePlugin(plugin, reservedIds) {
+  if (!plugin || typeof plugin !== 'object') return 'plugin must export an object';
+  if (typeof plugin.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(plugin.id)) {
+    return 'id must be lowercase letters, digits and dashes';
+  }
+  if (reservedIds.has(plugin.id)) return `rule id "${plugin.id}" is already in use`;
+  if (!plugin.description) return 'description is required';
+  if (!IMPACTS.includes(plugin.impact)) return `impact must be one of ${IMPACTS.join(', ')}`;
+  if (!!plugin.axe === (typeof plugin.check === 'function')) {
+    return 'plugin must define exactly one of `axe` or `check`';
+  }
+  if (plugin.axe) {
+    const checks = plugin.axe.checks || [];
+    if (!plugin.axe.selector) return 'axe.selector is required';
+    if (checks.some(check => !check.id || typeof check.evaluate !== 'function')) {
+      return 'every axe check needs an id and an evaluate function';
+    }
+  }
+  return null;
+}
+
+/**
+ * Load every plugin in the directory. Broken plugins are recorded with their
+ * error and skipped; `reservedIds` are rule ids plugins may not reuse.
+ */
+function loadPlugins({ dir = PLUGIN_DIR, reservedIds = [] } = {}) {
+  const plugins = [];
+  const errors = [];
+  const taken = new Set(reservedIds);
+
+  const files = fs.existsSync(dir)
+    ? fs.readdirSync(dir).filter(file => file.endsWith('.js') && !file.startsWith('_')).sort()
+    : [];
+
+  for (const file of files) {
+    const filePath = path.join(dir, file);
+    try {
+      delete require.cache[require.resolve(filePath)];
+      const plugin = require(filePath);
+      const error = validatePlugin(plugin, taken);
+      if (error) throw new Error(error);
+
+      taken.add(plugin.id);
+      plugins.push({
+        ...plugin,
+        file,
+        type: plugin.axe ? 'axe' : 'playwright',
+        enabled: plugin.enabled !== false,
+        tags: [...new Set([...(plugin.tags || []), ...wcagTags(plugin.wcag), 'custom'])],
+        wcag: plugin.wcag || []
+      });
+    } catch (error) {
+      console.warn(`[PLUGINS] Skipping ${file}: ${error.message}`);
+      errors.push({ id: path.basename(file, '.js'), file, error: error.message });
+    }
+  }
+
+  registry = { plugins, errors };
+  console.log(`[PLUGINS] Loaded ${plugins.length} plugin(s) from ${dir}` +
+    (errors.length > 0 ? `, ${errors.length} failed` : ''));
+  return registry;
+}
+
+function getPlugins() {
+  return registry;
+}
+
+// Plugins that run for this configuration, selected by their tags like other
+// rules. ruleConfig requires this module, so it is only required once loaded.
+function activePlugins(ruleConfig = {}, type) {
+  const { isRuleEnabled } = require('./ruleConfig');
+  return registry.plugins.filter(plugin =>
+    plugin.enabled && isRuleEnabled(ruleConfig, plugin.id, plugin.tags) && (!type || plugin.type === type));
+}
+
+// Functions cannot cross page.evaluate as arguments, so the axe.configure call
+// is sent as source text. Method shorthand needs a `function` keyword to be
+// valid as an expression.
+function functionSource(fn) {
+  const source = fn.toString();
+  return /^(async\s+)?function\b/.test(source) || /^(async\s*)?(\([^)]*\)|[\w$]+)\s*=>/.test(source)
+    ? source
+    : `function ${source}`;
+}
+
+function toSource(value) {
+  if (typeof value === 'function') return functionSource(value);
+  if (Array.isArray(value)) return `[${value.map(toSource).join(', ')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.entries(value)
+      .filter(([, entry]) => entry !== undefined)
+      .map(([key, entry]) => `${JSON.stringify(key)}: ${toSource(entry)}`)
+      .join(', ')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Source for an axe.configure() call registering every loaded axe plugin,
+ * or null when there are none. Run it in a frame after axe itself.
+ */
+function axeConfigureSource() {
+  const axePlugins = registry.plugins.filter(plugin => plugin.type === 'axe');
+  if (axePlugins.length === 0) return null;
+
+  const checks = axePlugins.flatMap(plugin => (plugin.axe.checks || []).map(check => ({
+    id: check.id,
+    evaluate: check.evaluate,
+    options: check.options,
+    metadata: { impact: plugin.impact, messages: check.messages || {} }
+  })));
+  const rules = axePlugins.map(plugin => ({
+    id: plugin.id,
+    selector: plugin.axe.selector,
+    matches: plugin.axe.matches,
+    excludeHidden: plugin.axe.excludeHidden,
+    tags: plugin.tags,
+    impact: plugin.impact,
+    metadata: { description: plugin.description, help: plugin.help || plugin.description, helpUrl: plugin.helpUrl },
+    any: plugin.axe.any || [],
+    all: plugin.axe.all || [],
+    none: plugin.axe.none || [],
+    enabled: false
+  }));
+
+  return `axe.configure(${toSource({ checks, rules })})`;
+}
+
+// Axe-shaped violation for a plugin's findings so reports treat it like a built-in rule
+function toViolation(plugin, findings) {
+  return {
+    id: plugin.id,
+    impact: plugin.impact,
+    tags: plugin.tags,
+    description: plugin.description,
+    help: plugin.help || plugin.description,
+    helpUrl: plugin.helpUrl,
+    plugin: plugin.file,
+    wcag: plugin.wcag,
+    nodes: findings.map(finding => ({
+      target: [finding.selector || 'html'],
+      html: finding.html || '',
+      impact: plugin.impact,
+      failureSummary: finding.message || plugin.help || plugin.description,
+      any: [],
+      all: [],
+      none: []
+    }))
+  };
+}
+
+/**
+ * Run enabled Playwright plugins against the loaded page. A failing plugin
+ * is logged and reported in `errors` without stopping the scan.
+ */
+async function runPluginChecks(page, ruleConfig) {
+  const violations = [];
+  const errors = [];
+  const plugins = activePlugins(ruleConfig, 'playwright');
+  if (plugins.length === 0) return { violations, errors };
+
+  await injectPageHelpers(page);
+  for (const plugin of plugins) {
+    try {
+      const findings = await plugin.check(page, { ruleConfig });
+      if (Array.isArray(findings) && findings.length > 0) violations.push(toViolation(plugin, findings));
+    } catch (error) {
+      console.warn(`[PLUGINS] ${plugin.id} failed:`, error.message);
+      errors.push({ id: plugin.id, error: error.message });
+    }
+  }
+  return { violations, errors };
+}
+
+// Attach plugin metadata to axe results for custom rules
+function annotatePluginResults(results) {
+  const byId = new Map(registry.plugins.map(plugin => [plugin.id, plugin]));
+  for (const type of ['violations', 'incomplete']) {
+    for (const rule of results[type] || []) {
+      const plugin = byId.get(rule.id);
+      if (plugin) Object.assign(rule, { plugin: plugin.file, wcag: plugin.wcag });
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  PLUGIN_DIR,
+  loadPlugins,
+  getPlugins,
+  activePlugins,
+  axeConfigureSource,
+  runPluginChecks,
+  annotatePluginResults
+};
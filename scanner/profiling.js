@@ -0,0 +1,95 @@
+const { injectPageHelpers } = require('./pageHelpers');
+
+/**
+ * Accumulates wall-clock milliseconds per scan phase. Phases that run more
+ * than once (one audit per viewport or journey checkpoint) add up.
+ */
+function createPhaseTimer() {
+  const startedAt = Date.now();
+  const phases = {};
+
+  const record = (phase, ms) => {
+    phases[phase] = (phases[phase] || 0) + Math.round(ms);
+  };
+
+  return {
+    record,
+
+    async time(phase, fn) {
+      const start = Date.now();
+      try {
+        return await fn();
+      } finally {
+        record(phase, Date.now() - start);
+      }
+    },
+
+    // Phase durations plus `total`, the time since the timer was created
+    summary() {
+      return { ...phases, total: Date.now() - startedAt };
+    }
+  };
+}
+
+// Add timing summaries key by key (engines run one after another, a job
+// adds enhancement and storage to the scan's own phases)
+function addTimings(...summaries) {
+  const sum = {};
+  for (const summary of summaries.filter(Boolean)) {
+    for (const [phase, ms] of Object.entries(summary)) sum[phase] = (sum[phase] || 0) + ms;
+  }
+  return sum;
+}
+
+function formatDuration(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Count the bytes and requests a page loads. Call before navigating and
+ * `stop()` once the load has settled; later requests are not counted.
+ */
+function trackPageWeight(page) {
+  const pending = [];
+  const onFinished = (request) => {
+    pending.push(request.sizes()
+      .then(sizes => ({
+        type: request.resourceType(),
+        bytes: sizes.responseBodySize + sizes.responseHeadersSize
+      }))
+      .catch(() => null));
+  };
+  page.on('requestfinished', onFinished);
+
+  return {
+    async stop() {
+      page.off('requestfinished', onFinished);
+      const requests = (await Promise.all(pending)).filter(Boolean);
+      const byType = {};
+      for (const { type, bytes } of requests) {
+        byType[type] = byType[type] || { requests: 0, bytes: 0 };
+        byType[type].requests++;
+        byType[type].bytes += Math.max(bytes, 0);
+      }
+      return {
+        bytes: Object.values(byType).reduce((total, entry) => total + entry.bytes, 0),
+        requests: requests.length,
+        byType
+      };
+    }
+  };
+}
+
+// Elements in the document, including those inside open shadow roots
+async function countElements(page) {
+  await injectPageHelpers(page);
+  return page.evaluate(() => window.__complyai.deepQueryAll('*').length);
+}
+
+module.exports = {
+  createPhaseTimer,
+  addTimings,
+  formatDuration,
+  trackPageWeight,
+  countElements
+};
@@ -0,0 +1,219 @@
+const axe = require('axe-core');
+const { getPlugins, activePlugins } = require('./plugins');
+
+const LEVELS = ['A', 'AA', 'AAA'];
+const WCAG_VERSIONS = ['2.0', '2.1', '2.2'];
+
+// WCAG tags axe-core actually ships rules for
+const WCAG_TAGS = ['wcag2a', 'wcag2aa', 'wcag2aaa', 'wcag21a', 'wcag21aa', 'wcag22aa'];
+
+// Matches the tag set scanPage used before configuration was possible, plus
+// the tag every plugin rule carries
+const DEFAULT_RULE_CONFIG = {
+  level: 'AA',
+  wcagVersion: '2.1',
+  tags: ['section508', 'best-practice', 'custom'],
+  disabledRules: [],
+  include: [],
+  exclude: []
+};
+
+// Rules we always want on unless a caller disables them explicitly
+const ALWAYS_ENABLED_RULES = ['color-contrast', 'empty-heading', 'image-alt'];
+
+// Checks the scanner runs itself, outside axe, with the tags that select them
+// the way axe rules are selected; they can be disabled like axe rules
+const SCANNER_RULE_TAGS = {
+  'reflow-horizontal-scroll': ['wcag21aa', 'wcag1410'],
+  'reflow-clipped-content': ['wcag21aa', 'wcag1410'],
+  'pixel-contrast': ['wcag2aa', 'wcag143'],
+  'pixel-contrast-enhanced': ['wcag2aaa', 'wcag146'],
+  'image-of-text': ['wcag2aa', 'wcag145'],
+  'media-missing-captions': ['wcag2a', 'wcag122'],
+  'media-missing-audio-description': ['wcag2a', 'wcag123'],
+  'media-missing-transcript': ['wcag2a', 'wcag121'],
+  'media-embedded-player': ['wcag2a', 'wcag122'],
+  'media-autoplay-audio': ['wcag2a', 'wcag142'],
+  'media-autoplay-no-pause': ['wcag2a', 'wcag222'],
+  'media-flashing': ['wcag2a', 'wcag231'],
+  'motion-ignores-reduced-motion': ['wcag21aaa', 'wcag233']
+};
+const SCANNER_RULES = Object.keys(SCANNER_RULE_TAGS);
+
+// Rule ids axe and the scanner provide; plugins may not reuse them
+function builtInRuleIds() {
+  return [...axe.getRules().map(rule => rule.ruleId), ...SCANNER_RULES];
+}
+
+const toList = (value) => [].concat(value ?? []).map(String).map(s => s.trim()).filter(Boolean);
+
+/**
+ * Validate caller input and fill in defaults. Returns { config, errors }.
+ */
+function normalizeRuleConfig(input = {}, base = DEFAULT_RULE_CONFIG) {
+  const errors = [];
+  const level = String(input.level ?? base.level).toUpperCase();
+  const wcagVersion = String(input.wcagVersion ?? base.wcagVersion);
+
+  if (!LEVELS.includes(level)) {
+    errors.push(`level must be one of ${LEVELS.join(', ')}`);
+  }
+  if (!WCAG_VERSIONS.includes(wcagVersion)) {
+    errors.push(`wcagVersion must be one of ${WCAG_VERSIONS.join(', ')}`);
+  }
+
+  const knownRules = new Set([...builtInRuleIds(), ...getPlugins().plugins.map(plugin => plugin.id)]);
+  const disabledRules = [...new Set(toList(input.disabledRules ?? base.disabledRules))];
+  const unknownRules = disabledRules.filter(id => !knownRules.has(id));
+  if (unknownRules.length > 0) {
+    errors.push(`Unknown rule(s) in disabledRules: ${unknownRules.join(', ')}`);
+  }
+
+  return {
+    config: {
+      level,
+      wcagVersion,
+      tags: [...new Set(toList(input.tags ?? base.tags))],
+      disabledRules,
+      include: toList(input.include ?? base.include),
+      exclude: toList(input.exclude ?? base.exclude)
+    },
+    errors
+  };
+}
+
+// WCAG tags for every version up to the target and every level up to the target
+function wcagLevelTags(config) {
+  const versions = WCAG_VERSIONS.slice(0, WCAG_VERSIONS.indexOf(config.wcagVersion) + 1)
+    .map(version => version.replace('.0', '').replace('.', ''));
+  const levels = LEVELS.slice(0, LEVELS.indexOf(config.level) + 1)
+    .map(level => level.toLowerCase());
+
+  return versions.flatMap(version => levels.map(level => `wcag${version}${level}`));
+}
+
+// The same tags, limited to those axe-core has rules for
+function getWcagTags(config) {
+  return wcagLevelTags(config).filter(tag => WCAG_TAGS.includes(tag));
+}
+
+/**
+ * Whether a rule that runs outside axe is selected by a configuration: it
+ * must not be disabled and one of its tags must be in the configured level
+ * or tags. Scanner rules are looked up by id when no tags are given.
+ */
+function isRuleEnabled(ruleConfig, id, tags = SCANNER_RULE_TAGS[id] || []) {
+  const config = { ...DEFAULT_RULE_CONFIG, ...ruleConfig };
+  if (config.disabledRules.includes(id)) return false;
+  const selected = new Set([...wcagLevelTags(config), ...config.tags]);
+  return tags.some(tag => selected.has(tag));
+}
+
+/**
+ * Translate a rule configuration into axe.run(context, options) arguments
+ */
+function buildAxeRunArgs(config = DEFAULT_RULE_CONFIG) {
+  const rules = {};
+  for (const id of ALWAYS_ENABLED_RULES) rules[id] = { enabled: true };
+  // Custom axe rules run when their plugin is selected, like every other plugin
+  const active = new Set(activePlugins(config, 'axe').map(plugin => plugin.id));
+  for (const plugin of getPlugins().plugins.filter(plugin => plugin.type === 'axe')) {
+    rules[plugin.id] = { enabled: active.has(plugin.id) };
+  }
+  for (const id of config.disabledRules) rules[id] = { enabled: false };
+
+  const context = {};
+  if (config.include.length > 0) context.include = config.include.map(selector => [selector]);
+  if (config.exclude.length > 0) context.exclude = config.exclude.map(selector => [selector]);
+
+  return {
+    context: Object.keys(context).length > 0 ? context : null,
+    options: {
+      runOnly: {
+        type: 'tag',
+        values: [...new Set([...getWcagTags(config), ...config.tags])]
+      },
+      rules,
+      reporter: 'v2',
+      resultTypes: ['violations', 'incomplete', 'inapplicable']
+    }
+  };
+}
+
+// Human readable standards list for report metadata
+function describeStandards(config = DEFAULT_RULE_CONFIG) {
+  const standards = [`WCAG ${config.wcagVersion} Level ${config.level}`];
+  if (config.tags.includes('section508')) standards.push('Section 508');
+  if (config.tags.includes('best-practice')) standards.push('Best Practices');
+  standards.push('ATAG 2.0');
+  const plugins = activePlugins(config);
+  if (plugins.length > 0) standards.push(`Custom Rules (${plugins.map(plugin => plugin.id).join(', ')})`);
+  return standards;
+}
+
+/**
+ * Every rule the scanner knows with its status under a configuration:
+ * "enabled", "disabled" (switched off), "not-selected" (outside the
+ * configured level and tags) or "error" (a plugin that failed to load).
+ */
+function listRules(config = DEFAULT_RULE_CONFIG) {
+  const { options } = buildAxeRunArgs(config);
+  const selectedTags = new Set(options.runOnly.values);
+  const disabled = new Set(config.disabledRules);
+  const { plugins, errors } = getPlugins();
+  const pluginIds = new Set(plugins.map(plugin => plugin.id));
+
+  const axeRules = axe.getRules()
+    .filter(rule => !pluginIds.has(rule.ruleId))
+    .map(rule => ({
+      id: rule.ruleId,
+      source: 'axe',
+      description: rule.description,
+      help: rule.help,
+      helpUrl: rule.helpUrl,
+      tags: rule.tags,
+      status: disabled.has(rule.ruleId) ? 'disabled'
+        : ALWAYS_ENABLED_RULES.includes(rule.ruleId) || rule.tags.some(tag => selectedTags.has(tag))
+          ? 'enabled' : 'not-selected'
+    }));
+
+  const scannerRules = SCANNER_RULES.map(id => ({
+    id,
+    source: 'scanner',
+    tags: SCANNER_RULE_TAGS[id],
+    status: disabled.has(id) ? 'disabled' : isRuleEnabled(config, id) ? 'enabled' : 'not-selected'
+  }));
+
+  const active = new Set(activePlugins(config).map(plugin => plugin.id));
+  const customRules = [
+    ...plugins.map(plugin => ({
+      id: plugin.id,
+      source: 'plugin',
+      type: plugin.type,
+      file: plugin.file,
+      description: plugin.description,
+      help: plugin.help || plugin.description,
+      helpUrl: plugin.helpUrl,
+      impact: plugin.impact,
+      tags: plugin.tags,
+      wcag: plugin.wcag,
+      status: active.has(plugin.id) ? 'enabled' : 'disabled'
+    })),
+    ...errors.map(({ id, file, error }) => ({ id, source: 'plugin', file, status: 'error', error }))
+  ];
+
+  return [...axeRules, ...scannerRules, ...customRules];
+}
+
+module.exports = {
+  DEFAULT_RULE_CONFIG,
+  SCANNER_RULES,
+  LEVELS,
+  WCAG_VERSIONS,
+  normalizeRuleConfig,
+  buildAxeRunArgs,
+  isRuleEnabled,
+  builtInRuleIds,
+  describeStandards,
+  listRules
+};
@@ -0,0 +1,222 @@
+const { generateFixSuggestions } = require('../utils/aiUtils');
+const { injectPageHelpers } = require('./pageHelpers');
+
+const MAX_TRANSCRIPT_ENTRIES = 2000;
+const MAX_LOCATED_ISSUES = 25;
+
+const LANDMARK_ROLES = ['banner', 'navigation', 'main', 'contentinfo', 'complementary', 'region', 'search', 'form'];
+const FORM_CONTROL_ROLES = ['textbox', 'searchbox', 'combobox', 'listbox', 'checkbox', 'radio', 'switch',
+  'slider', 'spinbutton'];
+const GENERIC_LINK_TEXT = ['click here', 'click', 'here', 'read more', 'more', 'learn more', 'link',
+  'this', 'details', 'more info', 'continue', 'go'];
+// Roles the transcript skips because a screen reader announces only their children
+const CONTAINER_ROLES = ['WebArea', 'RootWebArea', 'document', 'generic', 'none', 'presentation', 'group'];
+
+// Build the phrase a screen reader would announce for one accessibility node
+function announce(node) {
+  const parts = [];
+  if (node.role === 'heading' && node.level) parts.push(`heading level ${node.level}`);
+  else if (LANDMARK_ROLES.includes(node.role)) parts.push(`${node.role} landmark`);
+  else if (['WebArea', 'RootWebArea'].includes(node.role)) parts.push('document');
+  else if (node.role !== 'text' && node.role !== 'StaticText') parts.push(node.role);
+
+  if (node.name) parts.push(`"${node.name}"`);
+  if (node.value !== undefined && node.value !== '') parts.push(`value "${node.value}"`);
+
+  if (node.checked !== undefined) parts.push(node.checked === 'mixed' ? 'partially checked' : node.checked ? 'checked' : 'not checked');
+  if (node.pressed !== undefined) parts.push(node.pressed ? 'pressed' : 'not pressed');
+  if (node.expanded !== undefined) parts.push(node.expanded ? 'expanded' : 'collapsed');
+  if (node.selected) parts.push('selected');
+  if (node.disabled) parts.push('dimmed');
+  if (node.required) parts.push('required');
+  if (node.invalid && node.invalid !== 'false') parts.push('invalid entry');
+  return parts.join(', ');
+}
+
+/**
+ * Flatten the accessibility tree into reading order. Each entry keeps the
+ * role, name, states and the landmark it sits in.
+ */
+function buildTranscript(root) {
+  const transcript = [];
+
+  const visit = (node, landmark) => {
+    if (!node || transcript.length >= MAX_TRANSCRIPT_ENTRIES) return;
+    const isLandmark = LANDMARK_ROLES.includes(node.role);
+    const skip = CONTAINER_ROLES.includes(node.role) && !node.name;
+
+    if (!skip) {
+      transcript.push({
+        role: node.role,
+        name: node.name || '',
+        level: node.level,
+        landmark: isLandmark ? undefined : landmark,
+        text: announce(node)
+      });
+    }
+
+    const within = isLandmark ? (node.name ? `${node.role} "${node.name}"` : node.role) : landmark;
+    for (const child of node.children || []) visit(child, within);
+  };
+
+  visit(root, undefined);
+  return transcript;
+}
+
+// Walk the tree numbering nodes that share a role and accessible name, so
+// each can be found again with getByRole(role, { name, exact: true }).nth()
+function collectNodes(root) {
+  const nodes = [];
+  const ordinals = {};
+
+  const visit = (node, parent) => {
+    if (!node) return;
+    const name = (node.name || '').trim().replace(/\s+/g, ' ');
+    const key = `${node.role}|${name}`;
+    ordinals[key] = (ordinals[key] || 0) + 1;
+    nodes.push({ node, parent, name, ordinal: ordinals[key] - 1 });
+    for (const child of node.children || []) visit(child, node);
+  };
+
+  visit(root, null);
+  return nodes;
+}
+
+function findTreeIssues(root) {
+  const issues = [];
+  const entries = collectNodes(root);
+  let previousLink = null;
+
+  for (const { node, name, ordinal } of entries) {
+    if (node.role === 'img' && !name) {
+      issues.push({ type: 'screenreader-missing-alt', role: node.role, ordinal, name,
+        message: 'Image is announced without a text alternative' });
+    }
+    if (['button', 'link'].includes(node.role) && !name) {
+      issues.push({ type: 'screenreader-missing-aria', role: node.role, ordinal, name,
+        message: `${node.role === 'link' ? 'Link' : 'Button'} has no accessible name` });
+    }
+    if (FORM_CONTROL_ROLES.includes(node.role) && !name) {
+      issues.push({ type: 'screenreader-unnamed-control', role: node.role, ordinal, name,
+        message: `Form control (${node.role}) has no accessible name` });
+    }
+
+    if (node.role !== 'link') continue;
+    const normalized = name.toLowerCase().replace(/[^\w\s]/g, '').trim();
+
+    if (GENERIC_LINK_TEXT.includes(normalized)) {
+      issues.push({ type: 'screenreader-generic-link-text', role: node.role, ordinal, name,
+        message: `Link text "${name}" does not describe its destination` });
+    } else if (/^(link|link to)\b/.test(normalized)) {
+      issues.push({ type: 'screenreader-redundant-link-text', role: node.role, ordinal, name,
+        message: `Link text "${name}" repeats the role a screen reader already announces` });
+    } else if (name && previousLink === name) {
+      issues.push({ type: 'screenreader-redundant-link-text', role: node.role, ordinal, name,
+        message: `Adjacent links are both announced as "${name}"` });
+    }
+    previousLink = name;
+  }
+  return issues;
+}
+
+// Conflicting or invalid ARIA roles need the DOM, not the computed tree
+async function findRoleConflicts(page) {
+  return page.evaluate(() => {
+    const { deepPath, deepQueryAll, snippet } = window.__complyai;
+    const VALID_ROLES = ['alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button',
+      'caption', 'cell', 'checkbox', 'code', 'columnheader', 'combobox', 'complementary', 'contentinfo',
+      'definition', 'deletion', 'dialog', 'directory', 'document', 'emphasis', 'feed', 'figure', 'form',
+      'generic', 'grid', 'gridcell', 'group', 'heading', 'img', 'insertion', 'link', 'list', 'listbox',
+      'listitem', 'log', 'main', 'mark', 'marquee', 'math', 'menu', 'menubar', 'menuitem', 'menuitemcheckbox',
+      'menuitemradio', 'meter', 'navigation', 'none', 'note', 'option', 'paragraph', 'presentation',
+      'progressbar', 'radio', 'radiogroup', 'region', 'row', 'rowgroup', 'rowheader', 'scrollbar', 'search',
+      'searchbox', 'separator', 'slider', 'spinbutton', 'status', 'strong', 'subscript', 'superscript',
+      'switch', 'tab', 'table', 'tablist', 'tabpanel', 'term', 'textbox', 'time', 'timer', 'toolbar',
+      'tooltip', 'tree', 'treegrid', 'treeitem'];
+    const NATIVE_CONTROLS = 'a[href], button, input:not([type="hidden"]), select, textarea';
+    const issues = [];
+    const add = (el, type, message) => issues.push({
+      type, element: el.tagName, selector: deepPath(el), html: snippet(el), message
+    });
+
+    for (const el of deepQueryAll('[role]')) {
+      const roles = el.getAttribute('role').trim().split(/\s+/);
+      const role = roles.find(r => VALID_ROLES.includes(r));
+
+      if (!role) {
+        add(el, 'screenreader-conflicting-role', `role="${roles.join(' ')}" is not a valid ARIA role`);
+      } else if (el.matches(NATIVE_CONTROLS) && ['presentation', 'none'].includes(role)) {
+        add(el, 'screenreader-conflicting-role', `Interactive ${el.tagName.toLowerCase()} has role="${role}", which is ignored and confuses assistive technology`);
+      } else if (el.matches('button, input[type="button"], input[type="submit"]') && ['link', 'heading', 'img'].includes(role)) {
+        add(el, 'screenreader-conflicting-role', `Button is announced as ${role}, contradicting its behaviour`);
+      } else if (el.matches('h1, h2, h3, h4, h5, h6') && role !== 'heading' && !['presentation', 'none'].includes(role)) {
+        add(el, 'screenreader-conflicting-role', `Heading element is overridden with role="${role}"`);
+      }
+    }
+
+    for (const el of deepQueryAll('[aria-hidden="true"]')) {
+      const focusable = el.matches(NATIVE_CONTROLS) || el.tabIndex >= 0 ? el
+        : el.querySelector(`${NATIVE_CONTROLS}, [tabindex]:not([tabindex="-1"])`);
+      if (focusable) {
+        add(focusable, 'screenreader-conflicting-role', 'Focusable element is hidden from screen readers with aria-hidden');
+      }
+    }
+
+    for (const el of deepQueryAll('a[href] a[href], a[href] button, button a[href], button button')) {
+      add(el, 'screenreader-conflicting-role', 'Interactive element is nested inside another interactive element');
+    }
+    return issues;
+  });
+}
+
+// Map a tree node back to its DOM element so the issue carries a selector.
+// Matching on the exact name keeps the ordinal stable even where the tree
+// leaves out elements that getByRole would count
+async function locate(page, issue) {
+  const locator = page.getByRole(issue.role, { name: issue.name, exact: true }).nth(issue.ordinal);
+
+  return locator.evaluate(el => ({
+    element: el.tagName,
+    selector: window.__complyai.deepPath(el),
+    html: window.__complyai.snippet(el)
+  }), null, { timeout: 1000 }).catch(() => ({}));
+}
+
+/**
+ * Screen reader simulation built on the browser's accessibility tree.
+ * Returns the linear transcript a screen reader would announce and the
+ * problems found along the way.
+ */
+async function simulateScreenReader(page) {
+  await injectPageHelpers(page);
+  const tree = await page.accessibility.snapshot({ interestingOnly: true });
+  if (!tree) return { transcript: [], issues: [] };
+
+  const transcript = buildTranscript(tree);
+  const issues = [];
+
+  for (const [i, found] of findTreeIssues(tree).entries()) {
+    const { role, ordinal, name, ...issue } = found;
+    const location = i < MAX_LOCATED_ISSUES ? await locate(page, found) : {};
+    issues.push({ ...issue, element: location.element || role, selector: location.selector, html: location.html });
+  }
+  issues.push(...await findRoleConflicts(page));
+  for (const issue of issues) {
+    issue.shadowHostChain = issue.selector ? issue.selector.split(' >>> ').slice(0, -1) : [];
+  }
+
+  for (const issue of issues.filter(issue => issue.html).slice(0, MAX_LOCATED_ISSUES)) {
+    issue.suggestion = await generateFixSuggestions({
+      id: issue.type,
+      description: issue.message,
+      nodes: [{ html: issue.html }]
+    });
+  }
+
+  return { transcript, issues };
+}
+
+module.exports = {
+  simulateScreenReader,
+  buildTranscript
+};
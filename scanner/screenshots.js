@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+
+const SCREENSHOT_DIR = process.env.SCREENSHOT_DIR || path.join(__dirname, '../screenshots');
+const MAX_NODES_PER_VIOLATION = 10;
+const CROP_PADDING = 30;
+const MAX_CROP_HEIGHT = 1000;
+
+// Screenshot references are stored relative to SCREENSHOT_DIR ("<scanId>/<file>")
+function resolveScreenshotPath(relativePath) {
+  const resolved = path.resolve(SCREENSHOT_DIR, relativePath);
+  if (!resolved.startsWith(path.resolve(SCREENSHOT_DIR) + path.sep)) {
+    throw new Error('Invalid screenshot path');
+  }
+  return resolved;
+}
+
+function screenshotRef(relativePath) {
+  return {
+    path: relativePath,
+    url: `/api/screenshots/${relativePath}`
+  };
+}
+
+// Only plain top-document selectors can be located; frame and shadow DOM
+// targets come through as multi-part or nested arrays
+function getSelector(node) {
+  const target = [].concat(node.target);
+  return target.length === 1 && typeof target[0] === 'string' ? target[0] : null;
+}
+
+async function addAnnotation(page, selector, number) {
+  return page.evaluate(({ selector, number }) => {
+    const el = document.querySelector(selector);
+    if (!el) return null;
+    const rect = el.getBoundingClientRect();
+    if (rect.width === 0 && rect.height === 0) return null;
+
+    const x = rect.left + window.scrollX;
+    const y = rect.top + window.scrollY;
+    const box = document.createElement('div');
+    box.className = '__complyai-annotation';
+    Object.assign(box.style, {
+      position: 'absolute',
+      left: `${x - 3}px`,
+      top: `${y - 3}px`,
+      width: `${rect.width + 6}px`,
+      height: `${rect.height + 6}px`,
+      border: '3px solid #e74c3c',
+      boxSizing: 'border-box',
+      pointerEvents: 'none',
+      zIndex: '2147483647'
+    });
+
+    const label = document.createElement('span');
+    label.textContent = String(number);
+    Object.assign(label.style, {
+      position: 'absolute',
+      top: '-22px',
+      left: '-3px',
+      background: '#e74c3c',
+      color: '#fff',
+      font: 'bold 12px sans-serif',
+      padding: '2px 6px',
+      borderRadius: '3px'
+    });
+
+    box.appendChild(label);
+    // Children of <html> are positioned against the document, not the body
+    document.documentElement.appendChild(box);
+    return {
+      x,
+      y,
+      width: rect.width,
+      height: rect.height,
+      pageWidth: document.documentElement.scrollWidth
+    };
+  }, { selector, number });
+}
+
+async function clearAnnotations(page) {
+  await page.evaluate(() => {
+    document.querySelectorAll('.__complyai-annotation').forEach(el => el.remove());
+  });
+}
+
+/**
+ * Capture an annotated full-page screenshot plus one cropped, numbered
+ * screenshot per failing node. Adds `screenshot` ({ path, url }) to each
+ * captured node and returns the full-page reference.
+ */
+async function captureViolationScreenshots(page, violations, { scanId, prefix = '' }) {
+  const scanDir = path.join(SCREENSHOT_DIR, scanId);
+  fs.mkdirSync(scanDir, { recursive: true });
+
+  const targets = [];
+  for (const violation of violations) {
+    for (const node of violation.nodes.slice(0, MAX_NODES_PER_VIOLATION)) {
+      const selector = getSelector(node);
+      if (selector) targets.push({ node, selector, number: targets.length + 1 });
+    }
+  }
+
+  try {
+    // 1. Full page with every node outlined and numbered
+    const boxes = [];
+    for (const target of targets) {
+      boxes.push(await addAnnotation(page, target.selector, target.number).catch(() => null));
+    }
+    const fullPageFile = `${prefix}full-page.png`;
+    await page.screenshot({ path: path.join(scanDir, fullPageFile), fullPage: true });
+    await clearAnnotations(page);
+
+    // 2. One crop per node with only that node outlined
+    for (const [i, target] of targets.entries()) {
+      if (!boxes[i]) continue;
+      const box = await addAnnotation(page, target.selector, target.number).catch(() => null);
+      if (!box) continue;
+
+      const file = `${prefix}node-${target.number}.png`;
+      const x = Math.max(0, box.x - CROP_PADDING);
+      const y = Math.max(0, box.y - CROP_PADDING);
+      try {
+        await page.screenshot({
+          path: path.join(scanDir, file),
+          fullPage: true,
+          clip: {
+            x,
+            y,
+            width: Math.max(1, Math.min(box.width + CROP_PADDING * 2, box.pageWidth - x)),
+            height: Math.min(box.height + CROP_PADDING * 2, MAX_CROP_HEIGHT)
+          }
+        });
+        target.node.screenshot = screenshotRef(`${scanId}/${file}`);
+        target.node.screenshotNumber = target.number;
+      } catch (error) {
+        console.warn(`[SCREENSHOT] Could not capture ${target.selector}:`, error.message);
+      } finally {
+        await clearAnnotations(page);
+      }
+    }
+
+    return screenshotRef(`${scanId}/${fullPageFile}`);
+  } catch (error) {
+    console.error(`[SCREENSHOT] Capture failed for scan ${scanId}:`, error.message);
+    await clearAnnotations(page).catch(() => {});
+    return null;
+  }
+}
+
+// Scan ids whose screenshot directories a stored result (as JSON) refers to
+function screenshotScans(json) {
+  const ids = new Set();
+  for (const match of String(json || '').matchAll(/\/api\/screenshots\/([\w-]+)\//g)) ids.add(match[1]);
+  return ids;
+}
+
+/**
+ * Delete the screenshots of a page's previous result once it has been
+ * replaced: every scan directory `previousJson` refers to and `next` does not.
+ */
+function removeReplacedScreenshots(previousJson, next) {
+  const kept = screenshotScans(JSON.stringify(next));
+  for (const scanId of screenshotScans(previousJson)) {
+    if (kept.has(scanId)) continue;
+    fs.rmSync(resolveScreenshotPath(scanId), { recursive: true, force: true });
+    console.log(`[SCREENSHOT] Removed screenshots of replaced scan ${scanId}`);
+  }
+}
+
+module.exports = {
+  SCREENSHOT_DIR,
+  captureViolationScreenshots,
+  resolveScreenshotPath,
+  removeReplacedScreenshots
+};
@@ -0,0 +1,125 @@
+const { injectPageHelpers } = require('./pageHelpers');
+
+const VIEWPORT_PRESETS = {
+  desktop: { label: 'Desktop', width: 1280, height: 800 },
+  tablet: { label: 'Tablet', width: 768, height: 1024 },
+  mobile: { label: 'Mobile', width: 375, height: 667 },
+  // WCAG 1.4.10: 1280px at 400% zoom is 320 CSS pixels wide
+  reflow: { label: '320px Reflow', width: 320, height: 256, reflowCheck: true }
+};
+
+const REFLOW_HELP_URL = 'https://www.w3.org/WAI/WCAG21/Understanding/reflow.html';
+const MAX_REFLOW_NODES = 20;
+
+/**
+ * Turn a list of preset names into preset definitions, throwing on unknown names
+ */
+function resolveViewports(names) {
+  const list = [...new Set([].concat(names).map(name => String(name).toLowerCase()))];
+  const unknown = list.filter(name => !VIEWPORT_PRESETS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown viewport preset(s): ${unknown.join(', ')}. Use ${Object.keys(VIEWPORT_PRESETS).join(', ')}`);
+  }
+  return list.map(name => ({ name, ...VIEWPORT_PRESETS[name] }));
+}
+
+/**
+ * WCAG 1.4.10 Reflow: at the current (320px) width the page must not scroll
+ * horizontally and content must not be cut off. Returns axe-style violations.
+ */
+async function checkReflow(page) {
+  await injectPageHelpers(page);
+
+  const findings = await page.evaluate((maxNodes) => {
+    const { cssPath, snippet } = window.__complyai;
+    const viewportWidth = document.documentElement.clientWidth;
+    const pageWidth = Math.max(document.documentElement.scrollWidth, document.body?.scrollWidth || 0);
+
+    // Content WCAG allows to scroll in two dimensions
+    const EXEMPT = 'table, pre, code, video, canvas, svg, iframe, map, [role="toolbar"], [role="grid"]';
+
+    const scrollsOnItsOwn = (el) => {
+      for (let node = el.parentElement; node && node !== document.body; node = node.parentElement) {
+        if (['auto', 'scroll'].includes(getComputedStyle(node).overflowX)) return true;
+      }
+      return false;
+    };
+
+    const overflowing = [];
+    const clipped = [];
+
+    for (const el of document.body ? document.body.querySelectorAll('*') : []) {
+      if (el.closest(EXEMPT)) continue;
+      const style = getComputedStyle(el);
+      if (style.display === 'none' || style.visibility === 'hidden' || style.position === 'fixed') continue;
+      const rect = el.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) continue;
+
+      // Elements come in document order, so ancestors are seen first and we
+      // only keep the outermost element that sticks out past the viewport
+      if (rect.right > viewportWidth + 1 && !overflowing.some(o => o.contains(el)) && !scrollsOnItsOwn(el)) {
+        overflowing.push(el);
+      }
+
+      const clips = ['hidden', 'clip'].includes(style.overflowX) || style.textOverflow === 'ellipsis';
+      if (clips && el.scrollWidth > el.clientWidth + 1 && el.textContent.trim()) {
+        clipped.push(el);
+      }
+    }
+
+    const toNode = (el, failureSummary) => ({
+      target: [cssPath(el)],
+      html: snippet(el),
+      failureSummary,
+      any: [],
+      all: [],
+      none: []
+    });
+
+    const pageScrolls = pageWidth > viewportWidth + 1;
+    return {
+      viewportWidth,
+      pageWidth,
+      scrollNodes: pageScrolls
+        ? (overflowing.length > 0 ? overflowing : [document.documentElement]).slice(0, maxNodes)
+          .map(el => toNode(el, `Fix this: element extends to ${Math.round(el.getBoundingClientRect().right)}px in a ${viewportWidth}px viewport, forcing horizontal scrolling`))
+        : [],
+      // Without page scrolling, anything past the edge is simply cut off
+      clippedNodes: [
+        ...(pageScrolls ? [] : overflowing).map(el => toNode(el, 'Fix this: element extends past the viewport edge and is cut off')),
+        ...clipped.map(el => toNode(el, `Fix this: text is clipped (${el.scrollWidth}px of content in a ${el.clientWidth}px box)`))
+      ].slice(0, maxNodes)
+    };
+  }, MAX_REFLOW_NODES);
+
+  const violations = [];
+  if (findings.scrollNodes.length > 0) {
+    violations.push({
+      id: 'reflow-horizontal-scroll',
+      impact: 'serious',
+      tags: ['wcag21aa', 'wcag1410'],
+      description: `Page scrolls horizontally at ${findings.viewportWidth} CSS pixels (content is ${findings.pageWidth}px wide)`,
+      help: 'Content must reflow to a 320px wide viewport without horizontal scrolling',
+      helpUrl: REFLOW_HELP_URL,
+      nodes: findings.scrollNodes
+    });
+  }
+  if (findings.clippedNodes.length > 0) {
+    violations.push({
+      id: 'reflow-clipped-content',
+      impact: 'moderate',
+      tags: ['wcag21aa', 'wcag1410'],
+      description: `Content is clipped or cut off at ${findings.viewportWidth} CSS pixels`,
+      help: 'Content must remain fully visible when reflowed to a 320px wide viewport',
+      helpUrl: REFLOW_HELP_URL,
+      nodes: findings.clippedNodes
+    });
+  }
+  return violations;
+}
+
+module.exports = {
+  VIEWPORT_PRESETS,
+  resolveViewports,
+  checkReflow
+};
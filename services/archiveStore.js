@@ -0,0 +1,87 @@
+const { removeArchiveFile } = require('../scanner/archives');
+
+class ArchiveStore {
+  constructor(db) {
+    if (!db) throw new Error('Database connection required');
+    this.db = db;
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+    });
+  }
+
+  /**
+   * Link a recorded archive to the scan that produced it (the page record
+   * and the queue job). Returns the stored archive.
+   */
+  async create({ id, pageId, jobId, url, path, browserType, size, entries }) {
+    await this.run(
+      `INSERT INTO archives (id, page_id, job_id, url, path, browser_type, size, entries)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, pageId || null, jobId || null, url, path, browserType || 'chromium', size || 0, entries || 0]
+    );
+    return this.get(id);
+  }
+
+  async get(id) {
+    const [row] = await this.all('SELECT * FROM archives WHERE id = ?', [id]);
+    return row ? toArchive(row) : null;
+  }
+
+  // A page's id changes whenever it is rescanned, so the domain filter uses
+  // the host of the archived URL rather than the page record
+  async list({ url, domain } = {}) {
+    const rows = await this.all(
+      `SELECT * FROM archives ${url ? 'WHERE url = ?' : ''} ORDER BY created_at DESC`,
+      url ? [url] : []
+    );
+    return rows
+      .filter(row => !domain || hostOf(row.url) === domain)
+      .map(toArchive);
+  }
+
+  // Remove the record and its file; resolves to false when it did not exist
+  async delete(id) {
+    const archive = await this.get(id);
+    if (!archive) return false;
+    await this.run('DELETE FROM archives WHERE id = ?', [id]);
+    removeArchiveFile(archive.path);
+    return true;
+  }
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return null;
+  }
+}
+
+function toArchive(row) {
+  return {
+    id: row.id,
+    pageId: row.page_id,
+    jobId: row.job_id,
+    url: row.url,
+    path: row.path,
+    browserType: row.browser_type,
+    size: row.size,
+    entries: row.entries,
+    createdAt: row.created_at,
+    downloadUrl: `/api/archives/${row.id}/download`
+  };
+}
+
+module.exports = ArchiveStore;
@@ -0,0 +1,91 @@
+const { encryptSecret, decryptSecret } = require('../utils/secretBox');
+const { validateAuthProfile, describeAuthProfile, normalizeOrigins } = require('../scanner/authContext');
+
+class AuthProfileStore {
+  constructor(db) {
+    if (!db) throw new Error('Database connection required');
+    this.db = db;
+  }
+
+  /**
+   * Save a new profile. Everything except the name is encrypted at rest.
+   * `origins` lists where its credentials may be sent; scans of other
+   * origins are refused.
+   */
+  async create(name, profile) {
+    if (!name || typeof name !== 'string') throw new Error('Profile name required');
+    const errors = validateAuthProfile(profile);
+    if (errors.length > 0) throw new Error(`Invalid authentication profile: ${errors.join('; ')}`);
+
+    const { cookies, headers, httpCredentials, loginScript } = profile;
+    const origins = normalizeOrigins(profile.origins);
+    const secrets = encryptSecret({ origins, cookies, headers, httpCredentials, loginScript });
+
+    const id = await new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO auth_profiles (name, secrets) VALUES (?, ?)`,
+        [name, secrets],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+
+    return this.describe(id);
+  }
+
+  /**
+   * Load and decrypt a profile for use by the scanner or crawler
+   */
+  async get(id) {
+    const row = await new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT * FROM auth_profiles WHERE id = ?',
+        [id],
+        (err, row) => err ? reject(err) : resolve(row)
+      );
+    });
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      name: row.name,
+      ...decryptSecret(row.secrets),
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Secret-free view of a single profile
+   */
+  async describe(id) {
+    const profile = await this.get(id);
+    return profile ? { ...describeAuthProfile(profile), createdAt: profile.createdAt } : null;
+  }
+
+  async list() {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT id, name, created_at as createdAt FROM auth_profiles ORDER BY name`,
+        [],
+        (err, rows) => err ? reject(err) : resolve(rows || [])
+      );
+    });
+  }
+
+  async delete(id) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'DELETE FROM auth_profiles WHERE id = ?',
+        [id],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes > 0);
+        }
+      );
+    });
+  }
+}
+
+module.exports = AuthProfileStore;
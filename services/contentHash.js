@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// Runs in the page. The rendered DOM without scripts and with per-request
+// values (nonces, CSRF tokens, hidden field values) blanked, so reloading an
+// unchanged page gives the same text. Must be self-contained.
+function serializeContent(includeInlineScripts) {
+  const root = document.documentElement.cloneNode(true);
+  const inlineScripts = includeInlineScripts
+    ? Array.from(root.querySelectorAll('script:not([src])')).map(script => script.textContent)
+    : [];
+
+  root.querySelectorAll('script, noscript, template').forEach(element => element.remove());
+  root.querySelectorAll('meta[name^="csrf"], meta[name$="token"]').forEach(element => element.remove());
+  root.querySelectorAll('[nonce]').forEach(element => element.removeAttribute('nonce'));
+  root.querySelectorAll('input[type="hidden"]').forEach(element => element.removeAttribute('value'));
+
+  return [root.outerHTML.replace(/\s+/g, ' '), ...inlineScripts].join('\n');
+}
+
+/**
+ * Start collecting the stylesheets and scripts the page loads. Call before
+ * page.goto; `digest()` stops collecting and resolves to a hash of their
+ * contents, independent of load order and of cache-busting URLs.
+ */
+function watchAssets(page) {
+  const hashes = [];
+  const onResponse = (response) => {
+    if (!['stylesheet', 'script'].includes(response.request().resourceType())) return;
+    hashes.push(response.body().then(sha256).catch(() => null));
+  };
+  page.on('response', onResponse);
+
+  return {
+    async digest() {
+      page.off('response', onResponse);
+      const settled = (await Promise.all(hashes)).filter(Boolean);
+      return sha256(settled.sort().join('\n'));
+    }
+  };
+}
+
+/**
+ * Hash of the loaded page's content: the rendered DOM and, when `assets`
+ * (from watchAssets) is given, inline scripts and the linked CSS and JS.
+ */
+async function hashPageContent(page, assets = null) {
+  const content = await page.evaluate(serializeContent, Boolean(assets));
+  return sha256(assets ? `${content}\n${await assets.digest()}` : content);
+}
+
+module.exports = {
+  sha256,
+  watchAssets,
+  hashPageContent
+};
@@ -0,0 +1,304 @@
+const { v4: uuidv4 } = require('uuid');
+
+const URL_STATUSES = ['queued', 'crawled', 'skipped', 'failed', 'document'];
+// Skip reasons that mean the URL was fetched, as opposed to ruled out
+const FETCHED_REASONS = ['http-error', 'duplicate-canonical'];
+
+class CrawlSessionStore {
+  constructor(db) {
+    if (!db) throw new Error('Database connection required');
+    this.db = db;
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+    });
+  }
+
+  /**
+   * Record a new crawl of `startUrl`. `mode` is 'crawl' (follow links) or
+   * 'sitemap' (sitemap or URL list only); `options` are SiteCrawler options.
+   */
+  async create({ startUrl, mode = 'crawl', options = {}, authProfileId = null }) {
+    const id = uuidv4();
+    await this.run(
+      `INSERT INTO crawl_sessions (id, domain, start_url, mode, options, auth_profile_id)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [id, new URL(startUrl).hostname, startUrl, mode, JSON.stringify(options), authProfileId]
+    );
+    return this.get(id);
+  }
+
+  // A session with URL counts by crawl status and by scan status
+  async get(id) {
+    const [row] = await this.all('SELECT * FROM crawl_sessions WHERE id = ?', [id]);
+    if (!row) return null;
+
+    const counts = Object.fromEntries(URL_STATUSES.map(status => [status, 0]));
+    for (const { status, total } of await this.all(
+      'SELECT status, COUNT(*) AS total FROM crawl_urls WHERE session_id = ? GROUP BY status', [id])) {
+      counts[status] = total;
+    }
+    const [scans] = await this.all(
+      `SELECT
+         SUM(CASE WHEN scan_status = 'scanned' THEN 1 ELSE 0 END) AS scanned,
+         SUM(CASE WHEN scan_status = 'failed' THEN 1 ELSE 0 END) AS failed,
+         SUM(CASE WHEN scan_status IS NULL AND status IN ('crawled', 'document') THEN 1 ELSE 0 END) AS pending
+       FROM crawl_urls WHERE session_id = ?`,
+      [id]
+    );
+
+    return {
+      ...toSession(row),
+      urls: counts,
+      scans: { scanned: scans.scanned || 0, failed: scans.failed || 0, pending: scans.pending || 0 }
+    };
+  }
+
+  async list({ domain, status } = {}) {
+    const conditions = [];
+    const params = [];
+    if (domain) {
+      conditions.push('domain = ?');
+      params.push(domain);
+    }
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+
+    const rows = await this.all(
+      `SELECT * FROM crawl_sessions
+       ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY created_at DESC`,
+      params
+    );
+    return rows.map(toSession);
+  }
+
+  // Update status, job, report, result or error; terminal statuses set finished_at
+  async update(id, { status, jobId, report, result, error } = {}) {
+    const sets = ['updated_at = CURRENT_TIMESTAMP'];
+    const params = [];
+    const set = (column, value) => {
+      sets.push(`${column} = ?`);
+      params.push(value);
+    };
+
+    if (status !== undefined) {
+      set('status', status);
+      sets.push(`finished_at = ${['completed', 'failed'].includes(status) ? 'CURRENT_TIMESTAMP' : 'NULL'}`);
+    }
+    if (jobId !== undefined) set('job_id', jobId);
+    if (report !== undefined) set('report', JSON.stringify(report));
+    if (result !== undefined) set('result', JSON.stringify(result));
+    if (error !== undefined) set('error', error);
+
+    await this.run(`UPDATE crawl_sessions SET ${sets.join(', ')} WHERE id = ?`, [...params, id]);
+  }
+
+  // Set `status` only if the session is in one of the `from` statuses, so two
+  // concurrent requests cannot both act on it; false when it was not
+  async transition(id, from, status) {
+    const finishedAt = ['completed', 'failed'].includes(status) ? 'CURRENT_TIMESTAMP' : 'NULL';
+    const { changes } = await this.run(
+      `UPDATE crawl_sessions SET status = ?, updated_at = CURRENT_TIMESTAMP, finished_at = ${finishedAt}
+       WHERE id = ? AND status IN (${from.map(() => '?').join(', ')})`,
+      [status, id, ...from]
+    );
+    return changes > 0;
+  }
+
+  // URLs of a session, filtered by crawl ?status and/or ?scanStatus ('pending' for not yet scanned)
+  async urls(id, { status, scanStatus, limit = 100, offset = 0 } = {}) {
+    const conditions = ['session_id = ?'];
+    const params = [id];
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (scanStatus === 'pending') {
+      conditions.push("scan_status IS NULL AND status IN ('crawled', 'document')");
+    } else if (scanStatus) {
+      conditions.push('scan_status = ?');
+      params.push(scanStatus);
+    }
+
+    const rows = await this.all(
+      `SELECT * FROM crawl_urls WHERE ${conditions.join(' AND ')}
+       ORDER BY rowid LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return rows.map(toCrawlUrl);
+  }
+
+  /**
+   * Handle the crawler and indexer use to keep a running session's state in
+   * the database, so a paused or interrupted crawl continues where it stopped.
+   */
+  open(id) {
+    const store = this;
+
+    return {
+      id,
+
+      // Saved crawl state, or null for a session that has not started yet
+      async restore() {
+        const rows = await store.all('SELECT * FROM crawl_urls WHERE session_id = ? ORDER BY rowid', [id]);
+        if (rows.length === 0) return null;
+
+        const crawled = rows.filter(row => row.status === 'crawled');
+        const fetched = rows.filter(row =>
+          row.status === 'crawled' || row.status === 'failed' || FETCHED_REASONS.includes(row.reason));
+        return {
+          queue: rows.filter(row => row.status === 'queued').map(row => ({
+            url: row.url,
+            depth: row.depth,
+            from: row.from_url,
+            info: row.info ? JSON.parse(row.info) : {}
+          })),
+          seen: [...rows.map(row => row.url), ...crawled.map(row => row.page_url).filter(Boolean)],
+          visited: [...fetched.map(row => row.url), ...crawled.map(row => row.page_url).filter(Boolean)],
+          pages: crawled.map(row => ({
+            url: row.page_url || row.url,
+            title: row.title,
+            ...(row.page_url && row.page_url !== row.url && { crawledUrl: row.url }),
+            ...(row.info ? JSON.parse(row.info) : {})
+          })),
+          documents: rows.filter(row => row.status === 'document').map(row => ({
+            url: row.url,
+            type: JSON.parse(row.info || '{}').type,
+            linkedFrom: row.from_url
+          })),
+          skipped: rows.filter(row => row.status === 'skipped' || row.status === 'failed').map(row => ({
+            url: row.url,
+            reason: row.reason,
+            status: JSON.parse(row.info || '{}').status ?? null
+          }))
+        };
+      },
+
+      /**
+       * Persist what one crawl step changed: { enqueued: [{ url, depth, from, info }],
+       * crawled: [{ url, depth, page }], skipped: [{ url, reason, from, ...details }],
+       * documents: [{ url, type, linkedFrom }] }
+       */
+      async save({ enqueued = [], crawled = [], skipped = [], documents = [] }) {
+        for (const item of enqueued) {
+          await store.run(
+            `INSERT OR IGNORE INTO crawl_urls (session_id, url, depth, from_url, status, info)
+             VALUES (?, ?, ?, ?, 'queued', ?)`,
+            [id, item.url, item.depth, item.from || null, item.info ? JSON.stringify(item.info) : null]
+          );
+        }
+        for (const document of documents) {
+          await store.run(
+            `INSERT OR IGNORE INTO crawl_urls (session_id, url, from_url, status, info)
+             VALUES (?, ?, ?, 'document', ?)`,
+            [id, document.url, document.linkedFrom || null, JSON.stringify({ type: document.type })]
+          );
+        }
+        for (const { url, depth, page } of crawled) {
+          const { url: pageUrl, title, crawledUrl, ...info } = page;
+          await store.run(
+            `INSERT INTO crawl_urls (session_id, url, depth, status, page_url, title, info)
+             VALUES (?, ?, ?, 'crawled', ?, ?, ?)
+             ON CONFLICT(session_id, url) DO UPDATE SET status = 'crawled', page_url = excluded.page_url,
+               title = excluded.title, info = excluded.info, updated_at = CURRENT_TIMESTAMP`,
+            [id, url, depth || 0, pageUrl, title || null, JSON.stringify(info)]
+          );
+        }
+        for (const { url, reason, from, error, ...details } of skipped) {
+          await store.run(
+            `INSERT INTO crawl_urls (session_id, url, from_url, status, reason, error, info)
+             VALUES (?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT(session_id, url) DO UPDATE SET status = excluded.status, reason = excluded.reason,
+               error = excluded.error, info = excluded.info, updated_at = CURRENT_TIMESTAMP`,
+            [id, url, from || null, reason === 'error' ? 'failed' : 'skipped', reason, error || null,
+              Object.keys(details).length > 0 ? JSON.stringify(details) : null]
+          );
+        }
+      },
+
+      // Paused sessions stop at the next page
+      async shouldStop() {
+        const [row] = await store.all('SELECT status FROM crawl_sessions WHERE id = ?', [id]);
+        return !row || row.status === 'paused';
+      },
+
+      // URLs already indexed in an earlier run
+      async scannedUrls() {
+        const rows = await store.all(
+          'SELECT url, page_url FROM crawl_urls WHERE session_id = ? AND scan_status IS NOT NULL', [id]);
+        return new Set(rows.flatMap(row => [row.url, row.page_url]).filter(Boolean));
+      },
+
+      async markScanned(url, { riskScore = null, error = null } = {}) {
+        await store.run(
+          `UPDATE crawl_urls SET scan_status = ?, scan_error = ?, risk_score = ?, updated_at = CURRENT_TIMESTAMP
+           WHERE session_id = ? AND (url = ? OR page_url = ?)`,
+          [error ? 'failed' : 'scanned', error, riskScore, id, url, url]
+        );
+      },
+
+      // Average risk over every page scanned in the session, across runs
+      async scanSummary() {
+        const [row] = await store.all(
+          `SELECT COUNT(*) AS scanned, AVG(risk_score) AS avgRisk FROM crawl_urls
+           WHERE session_id = ? AND scan_status = 'scanned'`,
+          [id]
+        );
+        return { scanned: row.scanned || 0, avgRisk: row.avgRisk || 0 };
+      }
+    };
+  }
+}
+
+function toSession(row) {
+  return {
+    id: row.id,
+    domain: row.domain,
+    startUrl: row.start_url,
+    mode: row.mode,
+    status: row.status,
+    options: row.options ? JSON.parse(row.options) : {},
+    authProfileId: row.auth_profile_id,
+    jobId: row.job_id,
+    report: row.report ? JSON.parse(row.report) : null,
+    result: row.result ? JSON.parse(row.result) : null,
+    error: row.error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    finishedAt: row.finished_at
+  };
+}
+
+function toCrawlUrl(row) {
+  return {
+    url: row.url,
+    depth: row.depth,
+    from: row.from_url,
+    status: row.status,
+    reason: row.reason,
+    error: row.error,
+    pageUrl: row.page_url,
+    title: row.title,
+    info: row.info ? JSON.parse(row.info) : null,
+    scanStatus: row.scan_status,
+    scanError: row.scan_error,
+    riskScore: row.risk_score,
+    updatedAt: row.updated_at
+  };
+}
+
+module.exports = CrawlSessionStore;
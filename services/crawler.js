@@ -1,70 +1,541 @@
-const puppeteer = require('puppeteer');
 const { URL } = require('url');
-const db = require('../db/schema');
+const { browserPool } = require('../scanner/browserPool');
+const { documentTypeFor } = require('../scanner/documentChecker');
+const { normalizeUrl, compilePatterns, matchesAny } = require('../utils/urlNormalizer');
+const { DEFAULT_USER_AGENT, fetchRobots } = require('../utils/robots');
+const { loadSitemaps, rankEntries, parseUrlList } = require('../utils/sitemap');
+const { discoverRoutes } = require('./spaDiscovery');
+const { fingerprintPage } = require('./pageTemplates');
+const { watchAssets, hashPageContent } = require('./contentHash');
+
+// The report keeps counts for every skipped URL but lists only this many
+const MAX_REPORTED_SKIPS = 1000;
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 && process.env[name] !== '' ? value : fallback;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// DOM structure for grouping pages by template (pageTemplates.js) and a
+// content hash for change detection (contentHash.js); either is null when
+// it cannot be read
+async function pageSignals(page, assets) {
+  return {
+    fingerprint: await fingerprintPage(page).catch(() => null),
+    contentHash: await hashPageContent(page, assets).catch(() => null)
+  };
+}
 
 class SiteCrawler {
-  constructor() {
-    this.browser = null;
+  /**
+   * Options:
+   *  - userAgent: sent with every request and matched against robots.txt
+   *  - maxDepth, maxPages, maxDurationMs: the crawl budget
+   *  - maxDocuments: how many linked PDF/DOCX files to collect for checking
+   *  - delayMs: minimum pause between requests; a longer robots.txt
+   *    crawl-delay wins
+   *  - include, exclude: URL patterns (see compilePatterns); with `include`
+   *    only matching URLs are crawled
+   *  - respectRobots: set to false only for sites you own
+   *  - sitemaps: seed from the sitemaps robots.txt lists (or /sitemap.xml);
+   *    true by default, false to follow links only, or sitemap URLs to read
+   *  - urls: an uploaded URL list (array or text) seeded instead of sitemaps
+   *  - seedLimit: how many sitemap or list URLs to seed, highest priority
+   *    and most recently modified first (defaults to maxPages)
+   *  - changedSince: only seed sitemap URLs modified since this date
+   *  - spa: single-page-app mode; hash routes count as pages and each page
+   *    is explored for client-side routes in a sandboxed context (see
+   *    spaDiscovery.js), clicking at most `spaMaxClicks` controls
+   *  - hashAssets: include the linked CSS and JS in each page's content
+   *    hash, so a stylesheet or script change counts as a page change
+   */
+  constructor(options = {}) {
+    this.options = {
+      userAgent: options.userAgent || DEFAULT_USER_AGENT,
+      maxDepth: options.maxDepth ?? 2,
+      maxPages: options.maxPages ?? envNumber('CRAWL_MAX_PAGES', 200),
+      maxDocuments: options.maxDocuments ?? envNumber('CRAWL_MAX_DOCUMENTS', 100),
+      maxDurationMs: options.maxDurationMs ?? envNumber('CRAWL_MAX_DURATION_MS', 10 * 60 * 1000),
+      delayMs: options.delayMs ?? envNumber('CRAWL_DELAY_MS', 500),
+      respectRobots: options.respectRobots !== false,
+      sitemaps: options.sitemaps ?? true,
+      urls: options.urls ? parseUrlList(options.urls) : null,
+      seedLimit: options.seedLimit,
+      changedSince: options.changedSince ? Date.parse(options.changedSince) : null,
+      spa: Boolean(options.spa),
+      spaMaxClicks: options.spaMaxClicks,
+      hashAssets: Boolean(options.hashAssets)
+    };
+    this.include = compilePatterns(options.include);
+    this.exclude = compilePatterns(options.exclude);
+    this.leaseOptions = {};
     this.visited = new Set();
+    // Linked PDF/DOCX files, keyed by URL: { url, type, linkedFrom }
+    this.documents = new Map();
+    // Every URL the last crawl skipped: url -> { reason, status }. Unlike
+    // the report this is not capped, so callers can tell a page that was
+    // not reached from one that is gone.
+    this.skippedUrls = new Map();
+    // What the last crawl did and skipped; see crawl()
+    this.report = null;
   }
 
-  async init() {
-    this.browser = await puppeteer.launch({ 
-      headless: 'new',
-      args: ['--no-sandbox']
-    });
+  /**
+   * Choose how pages are opened. Pass `context` to crawl inside an existing
+   * context, or `authProfile` and a pool `scope` to use a logged-in context
+   * for the site, which scans in the same scope share.
+   */
+  async init(options = {}) {
+    this.leaseOptions = options.context
+      ? { context: options.context }
+      : { authProfile: options.authProfile || null, scope: options.scope };
   }
 
-  async crawl(baseUrl, maxDepth = 2) {
-    const domain = new URL(baseUrl).hostname;
-    const pages = [];
-    const queue = [{ url: baseUrl, depth: 0 }];
-    
+  /**
+   * Crawl same-host pages breadth first, one request at a time, starting
+   * from the start URL and the sitemap or list seeds. Resolves to the crawled
+   * pages; `this.report` then lists every skipped URL with the reason:
+   * external, not-included, excluded, robots, max-depth, duplicate-canonical,
+   * http-error, error, not-changed, seed-limit, max-pages, max-documents or
+   * max-duration.
+   *
+   * With a `session` (CrawlSessionStore#open) the frontier, visited URLs and
+   * per-URL outcomes are saved after every page, and a session that already
+   * has state continues from its frontier. A paused session stops with
+   * `stoppedBy: 'paused'`, leaving the frontier for the next run.
+   */
+  async crawl(baseUrl, maxDepth = this.options.maxDepth, { session } = {}) {
+    const { userAgent, maxPages, spa, hashAssets } = this.options;
+    const crawl = await this.begin(baseUrl, maxDepth, session);
+    const { delayMs, deadline, report, skip, rejection, changes } = crawl;
+    // SPA routes found so far: url -> { via, trigger, from }
+    const routeInfo = new Map();
+    if (spa) report.spaRoutes = [];
+
+    // Every URL is considered once; later links to it are ignored
+    const restored = session ? await session.restore() : null;
+    const seen = new Set(restored?.seen);
+    const queue = restored ? restored.queue : [];
+    const pages = restored ? restored.pages : [];
+    const enqueue = (item) => {
+      queue.push(item);
+      changes.enqueued.push(item);
+    };
+
+    if (restored) {
+      restored.visited.forEach(url => this.visited.add(url));
+      restored.documents.forEach(document => this.documents.set(document.url, document));
+      restored.skipped.forEach(({ url, ...skipped }) => this.skippedUrls.set(url, skipped));
+      report.resumed = { pages: pages.length, queued: queue.length };
+      console.log(`[CRAWLER] Resuming with ${pages.length} pages crawled and ${queue.length} queued`);
+    } else {
+      for (const seed of await this.seeds(crawl)) {
+        if (seen.has(seed.url)) continue;
+        seen.add(seed.url);
+        enqueue({ url: seed.url, depth: 0, from: seed.from, info: sitemapFields(seed.entry) });
+      }
+      changes.documents.push(...this.documents.values());
+    }
+    await this.saveChanges(crawl);
+
+    let lastRequestAt = 0;
     while (queue.length > 0) {
-      const { url, depth } = queue.shift();
-      
-      if (depth > maxDepth || this.visited.has(url)) continue;
+      if (session && await session.shouldStop()) {
+        report.stoppedBy = 'paused';
+        break;
+      }
+      if (pages.length >= maxPages) {
+        report.stoppedBy = 'max-pages';
+        break;
+      }
+      const wait = Math.max(lastRequestAt + delayMs - Date.now(), 0);
+      if (Date.now() + wait >= deadline) {
+        report.stoppedBy = 'max-duration';
+        break;
+      }
+
+      const { url, depth, from, info } = queue.shift();
+      // Already crawled as the canonical URL of another page
+      if (this.visited.has(url)) {
+        skip(url, 'duplicate-canonical', { from });
+        await this.saveChanges(crawl);
+        continue;
+      }
       this.visited.add(url);
-      
+
+      if (wait > 0) await sleep(wait);
+      lastRequestAt = Date.now();
+
       try {
-        const page = await this.browser.newPage();
-        await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
-        
-        // Extract page metadata
-        const title = await page.title();
-        const links = await page.evaluate(() => 
-          Array.from(document.querySelectorAll('a[href]'))
-            .map(a => a.href)
-            .filter(href => href.startsWith('http'))
-        );
-        
-        pages.push({ url, title });
-        console.log(`Crawled: ${url} (Depth ${depth})`);
-        
-        // Add internal links to queue
-        links.forEach(link => {
-          try {
-            const nextUrl = new URL(link);
-            if (nextUrl.hostname === domain) {
-              queue.push({ url: link, depth: depth + 1 });
-            }
-          } catch (e) {
-            // Skip invalid URLs
-          }
+        // Pages come from the shared pool, so crawling respects its limits
+        const result = await browserPool.withPage(url, this.leaseOptions, async (page) => {
+          await page.setExtraHTTPHeaders({ 'User-Agent': userAgent });
+          const assets = hashAssets ? watchAssets(page) : null;
+          const response = await page.goto(url, { waitUntil: 'networkidle', timeout: 30000 });
+
+          // Extract page metadata
+          const metadata = {
+            status: response?.status() ?? null,
+            title: await page.title(),
+            canonical: await page.evaluate(() =>
+              document.querySelector('link[rel="canonical"][href]')?.href || null),
+            links: await page.evaluate(() =>
+              Array.from(document.querySelectorAll('a[href]'))
+                .map(a => a.href)
+                .filter(href => href.startsWith('http'))
+            ),
+            ...(await pageSignals(page, assets))
+          };
+          return metadata;
         });
-        
-        await page.close();
+
+        // Route exploration clicks around, so it loads the page again in a
+        // sandboxed context of its own, keeping to the crawl delay
+        result.routes = [];
+        if (spa && result.status < 400) {
+          result.routes = await discoverRoutes(url, {
+            authProfile: this.leaseOptions.authProfile,
+            userAgent,
+            delayMs,
+            maxClicks: this.options.spaMaxClicks
+          }).catch((error) => {
+            console.warn(`[CRAWLER] Route discovery failed for ${url}:`, error.message);
+            return [];
+          });
+          lastRequestAt = Date.now();
+        }
+
+        if (result.status >= 400) {
+          skip(url, 'http-error', { from, status: result.status });
+          continue;
+        }
+
+        // A page naming another URL as canonical is recorded under that URL,
+        // unless the canonical page was already crawled. Single-page apps
+        // often ship one canonical for every route, so SPA mode ignores it.
+        let pageUrl = url;
+        const canonical = !spa && normalizeUrl(result.canonical || '', url);
+        if (canonical && canonical !== url && !rejection(canonical)) {
+          if (this.visited.has(canonical)) {
+            skip(url, 'duplicate-canonical', { from, canonical });
+            continue;
+          }
+          this.visited.add(canonical);
+          seen.add(canonical);
+          pageUrl = canonical;
+        }
+
+        const page = {
+          url: pageUrl,
+          title: result.title,
+          ...(pageUrl !== url && { crawledUrl: url }),
+          ...(result.fingerprint && { fingerprint: result.fingerprint }),
+          ...(result.contentHash && { contentHash: result.contentHash }),
+          ...info
+        };
+        pages.push(page);
+        changes.crawled.push({ url, depth, page });
+        console.log(`Crawled: ${pageUrl} (Depth ${depth})`);
+
+        // Client-side routes are queued like links, remembering how they were reached
+        for (const route of result.routes) {
+          const routeUrl = normalizeUrl(route.url, undefined, { hashRoutes: true });
+          if (!routeUrl || routeInfo.has(routeUrl)) continue;
+          routeInfo.set(routeUrl, { via: route.via, trigger: route.trigger, from: pageUrl });
+          if (report.spaRoutes.length < MAX_REPORTED_SKIPS) report.spaRoutes.push({ url: routeUrl, ...routeInfo.get(routeUrl) });
+        }
+
+        // Add internal links to queue; documents are collected, not visited
+        for (const link of [...result.links, ...result.routes.map(route => route.url)]) {
+          const nextUrl = normalizeUrl(link, undefined, { hashRoutes: spa });
+          if (!nextUrl || seen.has(nextUrl)) continue;
+          seen.add(nextUrl);
+
+          const reason = rejection(nextUrl);
+          if (reason) {
+            skip(nextUrl, reason, { from: pageUrl });
+            continue;
+          }
+
+          const type = documentTypeFor(nextUrl);
+          if (type && this.documents.size >= this.options.maxDocuments) {
+            skip(nextUrl, 'max-documents', { from: pageUrl });
+          } else if (type) {
+            const document = { url: nextUrl, type, linkedFrom: pageUrl };
+            this.documents.set(nextUrl, document);
+            changes.documents.push(document);
+          } else if (depth + 1 > maxDepth) {
+            skip(nextUrl, 'max-depth', { from: pageUrl });
+          } else {
+            enqueue({
+              url: nextUrl,
+              depth: depth + 1,
+              from: pageUrl,
+              info: routeInfo.has(nextUrl) ? { route: routeInfo.get(nextUrl) } : {}
+            });
+          }
+        }
       } catch (error) {
         console.error(`Crawl error for ${url}:`, error.message);
+        skip(url, 'error', { from, error: error.message });
+      } finally {
+        await this.saveChanges(crawl);
       }
     }
-    
+
+    // Whatever the budget cut off is reported too; a paused crawl keeps its frontier
+    if (report.stoppedBy !== 'paused') {
+      for (const { url, from } of queue) {
+        if (!this.visited.has(url)) skip(url, report.stoppedBy, { from });
+      }
+      await this.saveChanges(crawl);
+    }
+
+    return this.finish(crawl, pages);
+  }
+
+  /**
+   * Sitemap-only mode for very large sites: the start URL plus the sitemap
+   * or list seeds, within the page budget, without loading any page.
+   * Linked documents in the seeds are collected as in crawl(). A `session`
+   * keeps the list, so a resumed session reuses it.
+   */
+  async listPages(baseUrl, { session } = {}) {
+    const crawl = await this.begin(baseUrl, 0, session);
+    const { report, skip, changes } = crawl;
+
+    const restored = session ? await session.restore() : null;
+    if (restored) {
+      restored.documents.forEach(document => this.documents.set(document.url, document));
+      restored.skipped.forEach(({ url, ...skipped }) => this.skippedUrls.set(url, skipped));
+      report.resumed = { pages: restored.pages.length, queued: 0 };
+      return this.finish(crawl, restored.pages);
+    }
+
+    const pages = [];
+    for (const seed of await this.seeds(crawl)) {
+      if (this.visited.has(seed.url)) continue;
+      if (pages.length >= this.options.maxPages) {
+        report.stoppedBy = 'max-pages';
+        skip(seed.url, 'max-pages', { from: seed.from });
+        continue;
+      }
+      this.visited.add(seed.url);
+      const page = { url: seed.url, title: null, ...sitemapFields(seed.entry) };
+      pages.push(page);
+      changes.crawled.push({ url: seed.url, depth: 0, page });
+    }
+    changes.documents.push(...this.documents.values());
+    await this.saveChanges(crawl);
+
+    return this.finish(crawl, pages);
+  }
+
+  /**
+   * Load the pages that have no template fingerprint or content hash yet,
+   * as sitemap-only listings do, and read both, at the crawl's politeness
+   * delay. A `session` keeps them and can pause this like a crawl.
+   * Resolves to the number of pages inspected.
+   */
+  async inspectPages(pages, { session } = {}) {
+    const { userAgent, hashAssets } = this.options;
+    const delayMs = this.report?.delayMs ?? this.options.delayMs;
+    let inspected = 0;
+    let lastRequestAt = 0;
+
+    for (const page of pages.filter(candidate => !candidate.fingerprint || !candidate.contentHash)) {
+      if (session && await session.shouldStop()) break;
+      await sleep(Math.max(lastRequestAt + delayMs - Date.now(), 0));
+      lastRequestAt = Date.now();
+
+      let signals;
+      try {
+        signals = await browserPool.withPage(page.url, this.leaseOptions, async (browserPage) => {
+          await browserPage.setExtraHTTPHeaders({ 'User-Agent': userAgent });
+          const assets = hashAssets ? watchAssets(browserPage) : null;
+          const response = await browserPage.goto(page.url, { waitUntil: 'networkidle', timeout: 30000 });
+          return response?.status() >= 400 ? null : pageSignals(browserPage, assets);
+        });
+      } catch (error) {
+        console.error(`[CRAWLER] Could not inspect ${page.url}:`, error.message);
+        continue;
+      }
+      if (!signals) continue;
+
+      if (signals.fingerprint) page.fingerprint = signals.fingerprint;
+      if (signals.contentHash) page.contentHash = signals.contentHash;
+      inspected++;
+      await session?.save({ crawled: [{ url: page.crawledUrl || page.url, depth: 0, page }] });
+    }
+    return inspected;
+  }
+
+  // Write the pending changes of a session-backed crawl
+  async saveChanges(crawl) {
+    const { changes } = crawl;
+    const pending = {};
+    for (const key of Object.keys(changes)) pending[key] = changes[key].splice(0);
+    if (crawl.session) await crawl.session.save(pending);
+  }
+
+  // Shared set-up for a crawl: robots.txt, the politeness delay, the report
+  // and the rules deciding which URLs may be fetched
+  async begin(baseUrl, maxDepth, session = null) {
+    const { userAgent, maxPages, maxDurationMs, respectRobots } = this.options;
+    // Nothing carries over from an earlier crawl with this instance
+    this.visited = new Set();
+    this.documents = new Map();
+    this.skippedUrls = new Map();
+    const startUrl = normalizeUrl(baseUrl, undefined, { hashRoutes: this.options.spa });
+    if (!startUrl) throw new Error(`Cannot crawl ${baseUrl}: not an http(s) URL`);
+
+    const domain = new URL(startUrl).hostname;
+    const startedAt = Date.now();
+    const robots = respectRobots ? await fetchRobots(startUrl, { userAgent }) : null;
+    const report = this.report = {
+      startUrl,
+      userAgent,
+      budget: { maxDepth, maxPages, maxDurationMs },
+      delayMs: Math.max(this.options.delayMs, (robots?.crawlDelay || 0) * 1000),
+      robots: robots && {
+        url: robots.url,
+        status: robots.status,
+        found: robots.found,
+        crawlDelay: robots.crawlDelay,
+        error: robots.error
+      },
+      seeds: null,
+      startedAt: new Date(startedAt).toISOString(),
+      finishedAt: null,
+      durationMs: 0,
+      pagesCrawled: 0,
+      documentsFound: 0,
+      stoppedBy: null,
+      skippedCount: 0,
+      skippedByReason: {},
+      skipped: []
+    };
+
+    // Outcomes not yet written to the session
+    const changes = { enqueued: [], crawled: [], skipped: [], documents: [] };
+    const skip = (url, reason, details = {}) => {
+      report.skippedCount++;
+      report.skippedByReason[reason] = (report.skippedByReason[reason] || 0) + 1;
+      if (report.skipped.length < MAX_REPORTED_SKIPS) report.skipped.push({ url, reason, ...details });
+      changes.skipped.push({ url, reason, ...details });
+      this.skippedUrls.set(url, { reason, status: details.status ?? null });
+    };
+
+    // Why a URL may not be fetched, or null when it may
+    const rejection = (url) => {
+      if (new URL(url).hostname !== domain) return 'external';
+      if (this.include.length > 0 && !matchesAny(url, this.include)) return 'not-included';
+      if (matchesAny(url, this.exclude)) return 'excluded';
+      if (robots && !robots.isAllowed(url)) return 'robots';
+      return null;
+    };
+
+    return {
+      startUrl,
+      domain,
+      robots,
+      startedAt,
+      deadline: startedAt + maxDurationMs,
+      delayMs: report.delayMs,
+      report,
+      skip,
+      rejection,
+      session,
+      changes
+    };
+  }
+
+  /**
+   * The start URL followed by the URL list or sitemap entries that pass the
+   * crawl rules, ranked by priority and lastmod and cut to `seedLimit`.
+   * Documents among them are collected instead. Fills `report.seeds`.
+   */
+  async seeds(crawl) {
+    const { userAgent, maxPages, urls, sitemaps, changedSince } = this.options;
+    const { startUrl, robots, report, skip, rejection } = crawl;
+    const seedLimit = this.options.seedLimit ?? maxPages;
+
+    let source = null;
+    let entries = [];
+    if (urls) {
+      source = 'url-list';
+      entries = urls.map(loc => ({ loc }));
+      report.seeds = { source, listed: urls.length };
+    } else if (sitemaps) {
+      source = 'sitemap';
+      const sitemapUrls = Array.isArray(sitemaps) ? sitemaps
+        : robots?.sitemaps.length > 0 ? robots.sitemaps
+          : [new URL('/sitemap.xml', startUrl).toString()];
+      const loaded = await loadSitemaps(sitemapUrls, { userAgent });
+      entries = rankEntries(loaded.entries);
+      report.seeds = { source, sitemaps: loaded.sitemaps, listed: entries.length, truncated: loaded.truncated };
+    }
+
+    const result = [];
+    const startRejection = rejection(startUrl);
+    if (startRejection) skip(startUrl, startRejection);
+    else result.push({ url: startUrl, from: null, entry: null });
+
+    const seen = new Set([startUrl]);
+    let seeded = 0;
+    for (const entry of entries) {
+      const url = normalizeUrl(entry.loc, undefined, { hashRoutes: this.options.spa });
+      if (!url || seen.has(url)) continue;
+      seen.add(url);
+
+      const reason = rejection(url);
+      const lastmod = Date.parse(entry.lastmod);
+      if (reason) {
+        skip(url, reason, { from: source });
+      } else if (documentTypeFor(url) && this.documents.size >= this.options.maxDocuments) {
+        skip(url, 'max-documents', { from: source });
+      } else if (documentTypeFor(url)) {
+        this.documents.set(url, { url, type: documentTypeFor(url), linkedFrom: source });
+      } else if (changedSince && lastmod < changedSince) {
+        skip(url, 'not-changed', { from: source, lastmod: entry.lastmod });
+      } else if (seeded >= seedLimit) {
+        skip(url, 'seed-limit', { from: source });
+      } else {
+        seeded++;
+        result.push({ url, from: source, entry });
+      }
+    }
+
+    if (report.seeds) report.seeds.seeded = seeded;
+    return result;
+  }
+
+  finish(crawl, pages) {
+    const { report, domain, startedAt } = crawl;
+    report.finishedAt = new Date().toISOString();
+    report.durationMs = Date.now() - startedAt;
+    report.pagesCrawled = pages.length;
+    report.documentsFound = this.documents.size;
+    console.log(`[CRAWLER] ${domain}: ${pages.length} pages, ${report.skippedCount} skipped` +
+      (report.stoppedBy ? ` (stopped by ${report.stoppedBy})` : ''));
     return pages;
   }
 
+  // Pooled contexts stay with the pool; kept so callers can always close a crawler
   async close() {
-    if (this.browser) await this.browser.close();
+    this.leaseOptions = {};
   }
 }
 
-module.exports = SiteCrawler;
\ No newline at end of file
+// Sitemap details kept with a seeded page
+function sitemapFields(entry) {
+  if (!entry) return {};
+  return {
+    ...(entry.lastmod && { lastmod: entry.lastmod }),
+    ...(entry.priority != null && { priority: entry.priority })
+  };
+}
+
+module.exports = SiteCrawler;
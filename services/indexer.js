@@ -1,20 +1,70 @@
 const { OpenAI } = require('openai');
-const db = require('../db/schema');
+const { v4: uuidv4 } = require('uuid');
 const { scanPage, enhanceResults } = require('../scanner/axeScanner');
-const SiteCrawler = require('../crawler/crawler');
+const { redactSecrets } = require('../scanner/authContext');
+const { browserPool } = require('../scanner/browserPool');
+const { createPhaseTimer, addTimings } = require('../scanner/profiling');
+const { removeReplacedScreenshots } = require('../scanner/screenshots');
+const SiteCrawler = require('./crawler');
+const ScanProfileStore = require('./scanProfiles');
+const { checkDocument } = require('../scanner/documentChecker');
+const {
+  DEFAULT_SAMPLES_PER_TEMPLATE,
+  clusterPages,
+  selectSamples,
+  summarizeTemplate,
+  samplingConfidence
+} = require('./pageTemplates');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The change summary lists at most this many URLs of each kind
+const MAX_LISTED_CHANGES = 500;
+
+// 'new', 'changed' or 'unchanged' against the stored page, if any
+function changeOf(previous, contentHash) {
+  if (!previous || previous.removedAt) return 'new';
+  return contentHash && contentHash === previous.contentHash ? 'unchanged' : 'changed';
+}
 
 class AIIndexer {
-  constructor() {
+  constructor(db) {
+    if (!db) throw new Error('Database connection required');
     this.openai = new OpenAI({ 
       apiKey: process.env.OPENAI_API_KEY,
       timeout: 30000
     });
     this.db = db;
+    this.scanProfiles = new ScanProfileStore(db);
+    // Page writes queue up here; see storePageResults
+    this.writes = Promise.resolve();
   }
 
-  async indexWebsite(domain) {
-    const crawler = new SiteCrawler();
-    await crawler.init();
+  // `options.ruleConfig` (see ruleConfig.js) applies to every page and
+  // linked document; the slow media and motion checks run only with
+  // `media: true`. `options.crawl` sets the crawler's budget, politeness,
+  // URL patterns and seeds. With `mode: 'sitemap'` pages come from the
+  // sitemaps (or the uploaded `crawl.urls`) alone, without crawling, for
+  // very large sites.
+  // With a `session` (CrawlSessionStore#open) the crawl and the scans are
+  // saved as they happen: a paused or interrupted session picks up where it
+  // stopped and pages indexed in an earlier run are not scanned again.
+  // With `sampling` ({ perTemplate, maxDistance }) pages are grouped by DOM
+  // template and only `perTemplate` samples of each are scanned; findings
+  // and the score are then estimated for every page of the template.
+  // Re-indexing is incremental unless `incremental: false`: pages whose
+  // content hash (see contentHash.js) matches the stored one keep their
+  // results, pages that are gone are marked removed, and the result has a
+  // `changes` summary.
+  async indexWebsite(domain, options = {}) {
+    const { authProfile, ruleConfig, media = false, jobId, mode = 'crawl', session, sampling, incremental = true, onProgress } = options;
+    const crawler = new SiteCrawler(options.crawl);
+
+    // Crawler and scanner lease pages from the shared pool in a scope of
+    // their own, sharing one context per site and login, so a login only
+    // happens once and nothing carries over from other scans
+    const scope = `index:${uuidv4()}`;
+    await crawler.init({ authProfile, scope });
     
     try {
       // Validate and normalize domain
@@ -25,63 +75,323 @@ class AIIndexer {
       const baseDomain = domainObj.hostname;
 
       // Crawl website
-      console.log(`[INDEXER] Starting crawl for: ${baseDomain}`);
-      const pages = await crawler.crawl(domain);
-      console.log(`[INDEXER] Found ${pages.length} pages to index`);
+      console.log(`[INDEXER] Starting ${mode === 'sitemap' ? 'sitemap listing' : 'crawl'} for: ${baseDomain}`);
+      const pages = mode === 'sitemap'
+        ? await crawler.listPages(domain, { session })
+        : await crawler.crawl(domain, undefined, { session });
+      if (crawler.report.stoppedBy === 'paused') {
+        console.log(`[INDEXER] Crawl of ${baseDomain} paused`);
+        return { domain: baseDomain, paused: true, crawl: crawler.report };
+      }
+
+      // Template fingerprints and content hashes come from the crawl; pages
+      // listed from sitemaps are loaded once to read them
+      if (pages.some(page => (sampling && !page.fingerprint) || (incremental && !page.contentHash))) {
+        console.log(`[INDEXER] Inspecting pages of ${baseDomain} for ` +
+          (sampling ? 'template sampling' : 'change detection'));
+        await crawler.inspectPages(pages, { session });
+        if (session && await session.shouldStop()) {
+          console.log(`[INDEXER] Indexing of ${baseDomain} paused while inspecting pages`);
+          return { domain: baseDomain, paused: true, crawl: crawler.report };
+        }
+      }
+
+      // With sampling, only a few pages of each template are scanned
+      let templates = null;
+      let toScan = pages;
+      if (sampling) {
+        templates = clusterPages(pages, { maxDistance: sampling.maxDistance });
+        for (const template of templates) {
+          template.samples = selectSamples(template, sampling.perTemplate || DEFAULT_SAMPLES_PER_TEMPLATE);
+        }
+        toScan = templates.flatMap(template => template.samples);
+        console.log(`[INDEXER] ${pages.length} pages in ${templates.length} templates, ${toScan.length} samples`);
+      }
+
+      // Pages indexed by an earlier run of the session are not scanned
+      // again, nor are pages whose content is unchanged since they were stored
+      const alreadyIndexed = session ? await session.scannedUrls() : new Set();
+      const stored = incremental ? await this.storedPages(baseDomain) : new Map();
+      const changes = incremental ? { new: [], changed: [], unchanged: [], removed: [] } : null;
+      for (const page of changes ? toScan : []) changes[changeOf(stored.get(page.url), page.contentHash)].push(page.url);
+      const unchanged = new Set(changes?.unchanged);
+      const pending = toScan.filter(page => !alreadyIndexed.has(page.url) && !unchanged.has(page.url));
+      console.log(`[INDEXER] Found ${pages.length} pages, ${pending.length} to index` +
+        (changes ? `, ${unchanged.size} unchanged` : ''));
 
+      // Session bookkeeping that fails is logged; the scan itself already succeeded or failed
+      const markScanned = (url, outcome) => session?.markScanned(url, outcome)
+        .catch(error => console.error(`[INDEXER] Failed to record the scan of ${url}:`, error.message));
+
+      // url -> { riskScore, violations } of everything scanned in this run
+      const results = new Map();
       let totalScore = 0;
       let indexedPages = 0;
+      let paused = false;
+
+      // Unchanged pages count with their stored risk score
+      let reusedScore = 0;
+      let reusedPages = 0;
+      const reuse = async (url) => {
+        const { riskScore } = stored.get(url);
+        reusedScore += riskScore;
+        reusedPages++;
+        if (!alreadyIndexed.has(url)) await markScanned(url, { riskScore });
+      };
+      for (const url of unchanged) await reuse(url);
 
-      // Process pages in batches
+      // Scans and downloads keep to the crawl's user agent and politeness
+      // delay (the larger of the configured one and robots.txt's crawl-delay):
+      // each reserves the next start time, so requests begin delayMs apart
+      // even within a batch
+      const { userAgent } = crawler.options;
+      const delayMs = crawler.report?.delayMs ?? crawler.options.delayMs ?? 0;
+      let nextRequestAt = 0;
+      const pace = async () => {
+        const startAt = Math.max(nextRequestAt, Date.now());
+        nextRequestAt = startAt + delayMs;
+        if (startAt > Date.now()) await sleep(startAt - Date.now());
+      };
+
+      // Process pages in batches; the browser pool caps how many actually run
       const BATCH_SIZE = 5;
-      for (let i = 0; i < pages.length; i += BATCH_SIZE) {
-        const batch = pages.slice(i, i + BATCH_SIZE);
+      for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+        if (session && await session.shouldStop()) {
+          paused = true;
+          break;
+        }
+        if (onProgress) await onProgress(i, pending.length);
+        const batch = pending.slice(i, i + BATCH_SIZE);
         
         await Promise.all(batch.map(async (page) => {
           try {
+            await pace();
             console.log(`[INDEXER] Scanning ${page.url}`);
-            const scanResults = await scanPage(page.url);
-            const enhanced = await enhanceResults(scanResults);
+            const scanResults = await scanPage(page.url, { authProfile, ruleConfig, media, scope, userAgent, delayMs });
+            // Enhancement and storage are timed on top of the scan's own phases, as for single scans
+            const timer = createPhaseTimer();
+            const enhanced = await timer.time('enhancement', () => enhanceResults(redactSecrets(scanResults, authProfile)));
+            if (authProfile) enhanced.authProfile = { id: authProfile.id, name: authProfile.name };
             
             // Store results
-            await this.storePageResults(baseDomain, page.url, page.title, enhanced);
+            const pageId = await timer.time('storage', () =>
+              this.storePageResults(baseDomain, page.url, page.title || enhanced.pageTitle, enhanced, {
+                contentHash: page.contentHash
+              }));
+            await this.recordProfile({ pageId, jobId, url: page.url, domain: baseDomain, results: enhanced,
+              timings: addTimings(scanResults.timings, timer.summary()) });
+            await markScanned(page.url, { riskScore: enhanced.metrics.riskScore });
+            results.set(page.url, { riskScore: enhanced.metrics.riskScore, violations: enhanced.violations });
             
             totalScore += enhanced.metrics.riskScore;
             indexedPages++;
           } catch (error) {
             console.error(`[INDEXER] Failed to index ${page.url}:`, error.message);
+            await markScanned(page.url, { error: error.message });
           }
         }));
       }
 
-      // Calculate and update compliance score
-      const avgScore = indexedPages > 0 ? totalScore / indexedPages : 0;
-      const complianceScore = 100 - Math.min(avgScore, 100);
+      // Check linked PDF/DOCX documents offline; they count toward the site score
+      const documents = paused ? [] : Array.from(crawler.documents.values())
+        .filter(document => !alreadyIndexed.has(document.url));
+      const documentSummary = { found: documents.length, checked: 0, unchanged: 0, failed: 0, byType: {} };
+      console.log(`[INDEXER] Found ${documents.length} linked documents to check`);
+
+      for (const document of documents) {
+        if (session && await session.shouldStop()) {
+          paused = true;
+          break;
+        }
+        try {
+          // Downloads go through the site's pooled context so they carry the login
+          await pace();
+          const timer = createPhaseTimer();
+          const checked = await browserPool.withPage(document.url, { authProfile, scope }, (page, context) =>
+            checkDocument(document.url, { context, ruleConfig, userAgent }));
+
+          // An unchanged file keeps its stored results, saving the AI suggestions
+          const change = changes && changeOf(stored.get(document.url), checked.contentHash);
+          if (change) changes[change].push(document.url);
+          if (change === 'unchanged') {
+            unchanged.add(document.url);
+            await reuse(document.url);
+            documentSummary.unchanged++;
+            continue;
+          }
+
+          const enhanced = await timer.time('enhancement', () => enhanceResults(redactSecrets(checked, authProfile)));
+          enhanced.linkedFrom = document.linkedFrom;
+
+          const pageId = await timer.time('storage', () =>
+            this.storePageResults(baseDomain, document.url, enhanced.pageTitle, enhanced, {
+              documentType: document.type,
+              contentHash: checked.contentHash
+            }));
+          await this.recordProfile({ pageId, jobId, url: document.url, domain: baseDomain, results: enhanced,
+            timings: timer.summary() });
+
+          await markScanned(document.url, { riskScore: enhanced.metrics.riskScore });
+          results.set(document.url, { riskScore: enhanced.metrics.riskScore, violations: enhanced.violations });
+
+          totalScore += enhanced.metrics.riskScore;
+          indexedPages++;
+          documentSummary.checked++;
+          const byType = documentSummary.byType[document.type] ||= { checked: 0, violations: 0 };
+          byType.checked++;
+          byType.violations += enhanced.violations.length;
+        } catch (error) {
+          documentSummary.failed++;
+          console.error(`[INDEXER] Failed to check document ${document.url}:`, error.message);
+          await markScanned(document.url, { error: error.message });
+        }
+      }
+
+      if (paused) {
+        console.log(`[INDEXER] Indexing of ${baseDomain} paused after ${indexedPages} pages`);
+        return { domain: baseDomain, paused: true, pages: indexedPages, crawl: crawler.report };
+      }
+
+      if (changes) {
+        changes.removed = this.findRemoved(stored, pages, crawler);
+        await this.markRemoved(changes.removed);
+        console.log(`[INDEXER] Changes for ${baseDomain}: ${changes.new.length} new, ` +
+          `${changes.changed.length} changed, ${changes.unchanged.length} unchanged, ${changes.removed.length} removed`);
+      }
+
+      // Calculate and update compliance score from fresh results and those
+      // of unchanged pages; a session counts every page it has indexed,
+      // including earlier runs. Sampled scores weigh each template by its
+      // page count.
+      let templateSummaries = null;
+      let samplingSummary = null;
+      let summary;
+      if (templates) {
+        const earlier = [...templates.flatMap(template => template.samples), ...crawler.documents.values()]
+          .map(page => page.url)
+          .filter(url => (alreadyIndexed.has(url) || unchanged.has(url)) && !results.has(url));
+        for (const [url, result] of await this.storedResults(earlier)) results.set(url, result);
+
+        templateSummaries = templates.map(template => summarizeTemplate(template, template.samples, results));
+        samplingSummary = samplingConfidence(templateSummaries);
+        summary = this.sampledRisk(templateSummaries, [...crawler.documents.keys()], results);
+      } else {
+        const scanned = indexedPages + reusedPages;
+        summary = session
+          ? await session.scanSummary()
+          : { scanned, avgRisk: scanned > 0 ? (totalScore + reusedScore) / scanned : 0 };
+      }
+      const complianceScore = 100 - Math.min(summary.avgRisk, 100);
       
-      await this.updateWebsiteScore(baseDomain, complianceScore);
+      await this.updateWebsiteScore(baseDomain, complianceScore, samplingSummary);
+      await this.storeTemplates(baseDomain, templateSummaries || []);
       
-      console.log(`[INDEXER] Completed indexing for ${baseDomain}. Compliance score: ${complianceScore}`);
+      console.log(`[INDEXER] Completed indexing for ${baseDomain}. Compliance score: ${complianceScore}` +
+        (samplingSummary ? ` (estimated from ${samplingSummary.scannedPages} of ${samplingSummary.pages} pages, ` +
+          `${samplingSummary.level} confidence)` : ''));
       return { 
         domain: baseDomain, 
-        pages: indexedPages, 
+        pages: summary.scanned, 
+        indexedThisRun: indexedPages,
+        documents: documentSummary,
+        ...(templateSummaries && { templates: templateSummaries, sampling: samplingSummary }),
+        ...(changes && {
+          changes: {
+            new: changes.new.length,
+            changed: changes.changed.length,
+            unchanged: changes.unchanged.length,
+            removed: changes.removed.length,
+            urls: {
+              new: changes.new.slice(0, MAX_LISTED_CHANGES),
+              changed: changes.changed.slice(0, MAX_LISTED_CHANGES),
+              removed: changes.removed.slice(0, MAX_LISTED_CHANGES)
+            }
+          }
+        }),
+        crawl: crawler.report,
         complianceScore 
       };
 
     } finally {
       await crawler.close();
+      browserPool.closeScope(scope);
     }
   }
 
-  async storePageResults(domain, url, title, scanData) {
+  // Pages of a batch finish scanning together, but their transactions share
+  // one connection, so they are written one after another. Embeddings are
+  // fetched first: a transaction left open while OpenAI answers would lock
+  // out the server's other connections.
+  // The screenshots of the result a page replaces are deleted with it.
+  // Resolves to the stored page's id.
+  async storePageResults(domain, url, title, scanData, options) {
+    const embeddings = await this.embedViolations(scanData.violations || []);
+    const write = this.writes.then(async () => {
+      const previous = await new Promise((resolve, reject) => {
+        this.db.get('SELECT scan_data FROM pages WHERE url = ?', [url],
+          (err, row) => err ? reject(err) : resolve(row));
+      });
+      const pageId = await this.writePageResults(domain, url, title, scanData, embeddings, options);
+      removeReplacedScreenshots(previous?.scan_data, scanData);
+      return pageId;
+    });
+    this.writes = write.catch(() => {});
+    return write;
+  }
+
+  // Keep the timing profile of an indexed page, like a single scan's; a
+  // failure is logged and does not fail the page
+  async recordProfile({ pageId, jobId, url, domain, results, timings }) {
+    await this.scanProfiles.record({
+      pageId,
+      jobId,
+      url,
+      domain,
+      browserType: 'chromium',
+      timings,
+      pageWeight: results.pageWeight,
+      elementCount: results.elementCount
+    }).catch(error => console.warn('[DB] Failed to store scan profile:', error.message));
+  }
+
+  // Compressed embedding of each violation, or null where it failed
+  async embedViolations(violations) {
+    const BATCH_SIZE = 5;
+    const embeddings = [];
+    for (let i = 0; i < violations.length; i += BATCH_SIZE) {
+      const batch = violations.slice(i, i + BATCH_SIZE);
+      embeddings.push(...await Promise.all(batch.map(violation => this.embedViolation(violation))));
+    }
+    return embeddings;
+  }
+
+  async embedViolation(violation) {
+    try {
+      // Enhanced embedding generation with more context
+      const embeddingText = `Violation: ${violation.id} | ${violation.description} | 
+                         Standard: ${violation.tags.join(', ')} | 
+                         Element: ${violation.nodes[0]?.html.substring(0,100)}`;
+
+      // Compress embedding to save space
+      return this.compressEmbedding(await this.generateEmbedding(embeddingText));
+    } catch (error) {
+      console.error(`[INDEXER] Failed to embed violation ${violation.id}:`, error);
+      return null;
+    }
+  }
+
+  async writePageResults(domain, url, title, scanData, embeddings, { documentType = null, contentHash = null } = {}) {
   const complianceScore = 100 - scanData.metrics.riskScore;
+  const indexer = this;
   return new Promise((resolve, reject) => {
     this.db.serialize(() => {
       try {
         this.db.run('BEGIN TRANSACTION');
 
-        // 1. Insert/Update website
+        // 1. Insert/Update website, keeping its id so earlier pages stay attached
         this.db.run(
-          `INSERT OR REPLACE INTO websites (domain, compliance_score) VALUES (?, ?)`,
+          `INSERT INTO websites (domain, compliance_score) VALUES (?, ?)
+           ON CONFLICT(domain) DO UPDATE SET compliance_score = excluded.compliance_score`,
           [domain, complianceScore],
           (err) => {
             if (err) {
@@ -92,15 +402,15 @@ class AIIndexer {
             // 2. Insert/Update page
             this.db.run(
               `INSERT OR REPLACE INTO pages 
-              (website_id, url, title, risk_score, scan_data) 
+              (website_id, url, title, risk_score, scan_data, document_type, content_hash) 
               VALUES (
                 (SELECT id FROM websites WHERE domain = ?),
-                ?, ?, ?, ?
+                ?, ?, ?, ?, ?, ?
               )`,
-              [domain, url, title, scanData.metrics.riskScore, JSON.stringify(scanData)],
+              [domain, url, title, scanData.metrics.riskScore, JSON.stringify(scanData), documentType, contentHash],
               async function(err) {
                 if (err) {
-                  this.db.run('ROLLBACK');
+                  indexer.db.run('ROLLBACK');
                   return reject(err);
                 }
                 const pageId = this.lastID;
@@ -108,42 +418,35 @@ class AIIndexer {
                 try {
                   // 3. Delete old violations
                   await new Promise((res, rej) => {
-                    this.db.run(
+                    indexer.db.run(
                       'DELETE FROM violations WHERE page_id = ?',
                       [pageId],
                       (err) => err ? rej(err) : res()
                     );
                   });
 
-                  // 4. Insert new violations with embeddings
+                  // 4. Insert new violations with their embeddings
                   const violations = scanData.violations || [];
-                  const BATCH_SIZE = 5;
-                  
-                  for (let i = 0; i < violations.length; i += BATCH_SIZE) {
-                    const batch = violations.slice(i, i + BATCH_SIZE);
+                  for (const [i, violation] of violations.entries()) {
                     try {
-                      await Promise.all(
-                        batch.map(violation => 
-                          this.insertViolation(pageId, violation)
-                        )
-                      );
-                    } catch (batchErr) {
-                      console.error(`Batch ${i} failed:`, batchErr);
-                      // Continue with next batch
+                      await indexer.insertViolation(pageId, violation, embeddings[i]);
+                    } catch (insertErr) {
+                      console.error(`[INDEXER] Failed to store violation ${violation.id}:`, insertErr);
+                      // Continue with the next violation
                     }
                   }
 
                   // Commit transaction
-                  this.db.run('COMMIT', (err) => {
+                  indexer.db.run('COMMIT', (err) => {
                     if (err) {
-                      this.db.run('ROLLBACK');
+                      indexer.db.run('ROLLBACK');
                       reject(err);
                     } else {
-                      resolve();
+                      resolve(pageId);
                     }
                   });
                 } catch (err) {
-                  this.db.run('ROLLBACK');
+                  indexer.db.run('ROLLBACK');
                   reject(err);
                 }
               }
@@ -151,30 +454,22 @@ class AIIndexer {
           }
         );
       } catch (err) {
-        this.db.run('ROLLBACK');
+        indexer.db.run('ROLLBACK');
         reject(err);
       }
     });
   });
 }
 
-async insertViolation(pageId, violation) {
+// `embedding` comes from embedViolation; without one the violation is stored without it
+async insertViolation(pageId, violation, embedding) {
+  if (!embedding) return this.storeBasicViolation(pageId, violation);
   try {
-    // Enhanced embedding generation with more context
-     const embeddingText = `Violation: ${violation.id} | ${violation.description} | 
-                         Standard: ${violation.tags.join(', ')} | 
-                         Element: ${violation.nodes[0]?.html.substring(0,100)}`;
-    
-    const embedding = await this.generateEmbedding(embeddingText);
-    
-    // Compress embedding to save space
-    const compressedEmbedding = this.compressEmbedding(embedding);
-
-    return new Promise((resolve, reject) => {
+    return await new Promise((resolve, reject) => {
       this.db.run(
         `INSERT INTO violations 
-        (page_id, violation_id, description, severity, html, suggestion, embedding)
-        VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        (page_id, violation_id, description, severity, html, suggestion, embedding, screenshot)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           pageId,
           violation.id,
@@ -182,13 +477,14 @@ async insertViolation(pageId, violation) {
           violation.severity,
           violation.nodes[0]?.html || '',
           violation.suggestion?.suggestion || '',
-          compressedEmbedding
+          embedding,
+          violation.nodes[0]?.screenshot?.path || null
         ],
         (err) => err ? reject(err) : resolve()
       );
     });
   } catch (error) {
-    console.error(`[INDEXER] Failed to process violation ${violation.id}:`, error);
+    console.error(`[INDEXER] Failed to store violation ${violation.id} with its embedding:`, error);
     return this.storeBasicViolation(pageId, violation);
   }
 }
@@ -203,15 +499,16 @@ async storeBasicViolation(pageId, violation) {
   return new Promise((resolve, reject) => {
     this.db.run(
       `INSERT INTO violations 
-      (page_id, violation_id, description, severity, html, suggestion)
-      VALUES (?, ?, ?, ?, ?, ?)`,
+      (page_id, violation_id, description, severity, html, suggestion, screenshot)
+      VALUES (?, ?, ?, ?, ?, ?, ?)`,
       [
         pageId,
         violation.id,
         violation.description,
         violation.severity,
         violation.nodes[0]?.html || '',
-        violation.suggestion?.suggestion || ''
+        violation.suggestion?.suggestion || '',
+        violation.nodes[0]?.screenshot?.path || null
       ],
       (err) => err ? reject(err) : resolve()
     );
@@ -222,32 +519,145 @@ async storeBasicViolation(pageId, violation) {
   return new Promise((resolve, reject) => {
     this.db.run(
       `INSERT INTO violations 
-      (page_id, violation_id, description, severity, html, suggestion)
-      VALUES (?, ?, ?, ?, ?, ?)`,
+      (page_id, violation_id, description, severity, html, suggestion, screenshot)
+      VALUES (?, ?, ?, ?, ?, ?, ?)`,
       [
         pageId,
         violation.id,
         violation.description,
         violation.severity,
         violation.nodes[0]?.html || '',
-        violation.suggestion?.suggestion || ''
+        violation.suggestion?.suggestion || '',
+        violation.nodes[0]?.screenshot?.path || null
       ],
       (err) => err ? reject(err) : resolve()
     );
   });
 }
 
-  async updateWebsiteScore(domain, score) {
+  // `sampling` is the confidence of a score estimated from template samples
+  async updateWebsiteScore(domain, score, sampling = null) {
     return new Promise((resolve, reject) => {
       this.db.run(
-        `UPDATE websites SET compliance_score = ?, last_scanned = CURRENT_TIMESTAMP 
+        `UPDATE websites SET compliance_score = ?, sampling = ?, last_scanned = CURRENT_TIMESTAMP 
          WHERE domain = ?`,
-        [score, domain],
+        [score, sampling ? JSON.stringify(sampling) : null, domain],
         (err) => err ? reject(err) : resolve()
       );
     });
   }
 
+  // Average risk with every page of a template counted at its samples'
+  // average, plus the site's checked documents
+  sampledRisk(templates, documentUrls, results) {
+    let risk = 0;
+    let weight = 0;
+    let scanned = 0;
+    for (const template of templates) {
+      if (template.riskScore === null) continue;
+      risk += template.riskScore * template.pageCount;
+      weight += template.pageCount;
+      scanned += template.sampleUrls.length;
+    }
+    for (const url of documentUrls.filter(url => results.has(url))) {
+      risk += results.get(url).riskScore;
+      weight++;
+      scanned++;
+    }
+    return { scanned, avgRisk: weight > 0 ? risk / weight : 0 };
+  }
+
+  // Stored pages and documents of the site: url -> { contentHash, riskScore, removedAt }
+  async storedPages(domain) {
+    const rows = await new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT p.url, p.content_hash, p.risk_score, p.removed_at FROM pages p
+         JOIN websites w ON p.website_id = w.id
+         WHERE w.domain = ?`,
+        [domain],
+        (err, found) => err ? reject(err) : resolve(found || [])
+      );
+    });
+    return new Map(rows.map(row => [row.url, {
+      contentHash: row.content_hash,
+      riskScore: row.risk_score,
+      removedAt: row.removed_at
+    }]));
+  }
+
+  // Stored pages the crawl no longer found. When the crawl stopped early,
+  // only pages that now answer 404 or 410 count, since the rest may just
+  // not have been reached.
+  findRemoved(stored, pages, crawler) {
+    const found = new Set([
+      ...pages.flatMap(page => [page.url, page.crawledUrl]),
+      ...crawler.documents.keys()
+    ]);
+    const complete = !crawler.report.stoppedBy;
+
+    return Array.from(stored.keys()).filter(url => {
+      if (stored.get(url).removedAt || found.has(url)) return false;
+      const skipped = crawler.skippedUrls.get(url);
+      if (skipped) return skipped.reason === 'http-error' && [404, 410].includes(skipped.status);
+      return complete;
+    });
+  }
+
+  // Removed pages stay stored but drop out of scores and searches until seen again
+  async markRemoved(urls) {
+    for (const url of urls) {
+      await new Promise((resolve, reject) => {
+        this.db.run(
+          'UPDATE pages SET removed_at = CURRENT_TIMESTAMP WHERE url = ? AND removed_at IS NULL',
+          [url],
+          (err) => err ? reject(err) : resolve()
+        );
+      });
+    }
+  }
+
+  // Stored results of pages indexed earlier: url -> { riskScore, violations }
+  async storedResults(urls) {
+    const results = new Map();
+    for (const url of urls) {
+      const row = await new Promise((resolve, reject) => {
+        this.db.get('SELECT risk_score, scan_data FROM pages WHERE url = ?', [url],
+          (err, found) => err ? reject(err) : resolve(found));
+      });
+      if (!row) continue;
+      const scanData = row.scan_data ? JSON.parse(row.scan_data) : {};
+      results.set(url, { riskScore: row.risk_score, violations: scanData.violations || [] });
+    }
+    return results;
+  }
+
+  // Replace the site's templates with those of this indexing run
+  async storeTemplates(domain, templates) {
+    const run = (sql, params) => new Promise((resolve, reject) => {
+      this.db.run(sql, params, (err) => err ? reject(err) : resolve());
+    });
+
+    await run('DELETE FROM page_templates WHERE domain = ?', [domain]);
+    for (const template of templates) {
+      await run(
+        `INSERT INTO page_templates
+         (domain, template_key, url_pattern, fingerprint, page_count, sample_urls, risk_score, findings, confidence)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          domain,
+          template.id,
+          template.urlPattern,
+          template.fingerprint,
+          template.pageCount,
+          JSON.stringify(template.sampleUrls),
+          template.riskScore,
+          JSON.stringify(template.findings),
+          JSON.stringify(template.confidence)
+        ]
+      );
+    }
+  }
+
   async generateEmbedding(text) {
     try {
       const response = await this.openai.embeddings.create({
@@ -0,0 +1,137 @@
+const { validateJourney } = require('../scanner/journeyRunner');
+
+class JourneyStore {
+  constructor(db) {
+    if (!db) throw new Error('Database connection required');
+    this.db = db;
+  }
+
+  /**
+   * Save a journey definition (name, optional startUrl, steps)
+   */
+  async create({ name, startUrl, steps, authProfileId }) {
+    const errors = validateJourney({ name, startUrl, steps });
+    if (errors.length > 0) throw new Error(`Invalid journey: ${errors.join('; ')}`);
+
+    const id = await new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO journeys (name, start_url, steps, auth_profile_id) VALUES (?, ?, ?, ?)`,
+        [name, startUrl || null, JSON.stringify(steps), authProfileId || null],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+
+    return this.get(id);
+  }
+
+  async get(id) {
+    const row = await new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT * FROM journeys WHERE id = ?',
+        [id],
+        (err, row) => err ? reject(err) : resolve(row)
+      );
+    });
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      name: row.name,
+      startUrl: row.start_url,
+      steps: JSON.parse(row.steps),
+      authProfileId: row.auth_profile_id,
+      createdAt: row.created_at
+    };
+  }
+
+  async list() {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT j.id, j.name, j.start_url as startUrl, j.created_at as createdAt,
+                (SELECT COUNT(*) FROM journey_runs r WHERE r.journey_id = j.id) as runCount
+         FROM journeys j
+         ORDER BY j.name`,
+        [],
+        (err, rows) => err ? reject(err) : resolve(rows || [])
+      );
+    });
+  }
+
+  async delete(id) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'DELETE FROM journeys WHERE id = ?',
+        [id],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes > 0);
+        }
+      );
+    });
+  }
+
+  /**
+   * Link a queued run to its journey so runs can be listed later
+   */
+  async recordRun(journeyId, jobId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO journey_runs (journey_id, job_id) VALUES (?, ?)`,
+        [journeyId, jobId],
+        (err) => err ? reject(err) : resolve()
+      );
+    });
+  }
+
+  /**
+   * Store the results of a finished run with the journey
+   */
+  async recordResult(jobId, result) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE journey_runs SET status = ?, violation_count = ?, result = ? WHERE job_id = ?`,
+        [result.status, result.violations?.length || 0, JSON.stringify(result), jobId],
+        (err) => err ? reject(err) : resolve()
+      );
+    });
+  }
+
+  async getRun(journeyId, jobId) {
+    const row = await new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT job_id, status, result, created_at FROM journey_runs WHERE journey_id = ? AND job_id = ?`,
+        [journeyId, jobId],
+        (err, row) => err ? reject(err) : resolve(row)
+      );
+    });
+    if (!row) return null;
+
+    return {
+      jobId: row.job_id,
+      status: row.status,
+      result: row.result ? JSON.parse(row.result) : null,
+      createdAt: row.created_at
+    };
+  }
+
+  async listRuns(journeyId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT r.job_id as jobId, j.status, r.status as journeyStatus,
+                r.violation_count as violationCount, j.progress, j.error,
+                r.created_at as createdAt, j.finished_at as finishedAt
+         FROM journey_runs r
+         LEFT JOIN scan_jobs j ON j.id = r.job_id
+         WHERE r.journey_id = ?
+         ORDER BY r.created_at DESC, r.id DESC`,
+        [journeyId],
+        (err, rows) => err ? reject(err) : resolve(rows || [])
+      );
+    });
+  }
+}
+
+module.exports = JourneyStore;
@@ -0,0 +1,308 @@
+const crypto = require('crypto');
+
+const DEFAULT_SAMPLES_PER_TEMPLATE = 3;
+// Fingerprints at most this many bits apart (of 128) share a template
+const DEFAULT_MAX_DISTANCE = 28;
+const RECENTRE_ROUNDS = 5;
+const MAX_DEPTH = 12;
+const MAX_PATHS = 2000;
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+const SEVERITY_ORDER = ['critical', 'serious', 'moderate', 'minor'];
+
+// Runs in the page. Distinct element paths such as "body>div>main>article>h2",
+// with the role as the only attribute. Text-level elements are not descended
+// into and repeated siblings collapse into one path, so pages built from the
+// same template share their paths whatever their content. Must be self-contained.
+function collectStructure({ maxDepth, maxPaths }) {
+  const skipped = new Set(['script', 'style', 'noscript', 'template', 'link', 'meta']);
+  const leaves = new Set([
+    'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'a', 'button', 'label', 'span', 'strong', 'em', 'b', 'i',
+    'small', 'code', 'pre', 'blockquote', 'figcaption', 'table', 'svg', 'iframe', 'video', 'audio', 'picture'
+  ]);
+  const paths = new Set();
+
+  const walk = (element, path, depth) => {
+    for (const child of element.children) {
+      if (paths.size >= maxPaths) return;
+      const tag = child.localName;
+      if (skipped.has(tag)) continue;
+      const role = child.getAttribute('role');
+      const childPath = `${path}>${tag}${role ? `[${role}]` : ''}`;
+      paths.add(childPath);
+      if (depth < maxDepth && !leaves.has(tag)) walk(child, childPath, depth + 1);
+    }
+  };
+  if (document.body) walk(document.body, 'body', 1);
+  return Array.from(paths);
+}
+
+// 128-bit SimHash of a set of features as 32 hex digits: similar sets give
+// fingerprints that differ in few bits
+function simhash(features) {
+  const weights = new Array(128).fill(0);
+  for (const feature of features) {
+    const digest = crypto.createHash('md5').update(feature).digest();
+    for (let bit = 0; bit < 128; bit++) {
+      weights[bit] += (digest[bit >> 3] >> (bit & 7)) & 1 ? 1 : -1;
+    }
+  }
+
+  let hash = 0n;
+  weights.forEach((weight, bit) => {
+    if (weight > 0) hash |= 1n << BigInt(bit);
+  });
+  return hash.toString(16).padStart(32, '0');
+}
+
+// Structural fingerprint of the loaded page, or null for an empty page
+async function fingerprintPage(page) {
+  const paths = await page.evaluate(collectStructure, { maxDepth: MAX_DEPTH, maxPaths: MAX_PATHS });
+  return paths.length > 0 ? simhash(paths) : null;
+}
+
+// Number of bits two fingerprints differ in
+function fingerprintDistance(a, b) {
+  let bits = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (bits) {
+    bits &= bits - 1n;
+    count++;
+  }
+  return count;
+}
+
+// "/news/*/*" for pages under /news/a/b and /news/c/d; the page's own path
+// for a single page
+function urlPattern(urls) {
+  const paths = urls.map(url => new URL(url).pathname.split('/').filter(Boolean));
+  const length = paths.reduce((min, segments) => Math.min(min, segments.length), Infinity);
+  const segments = [];
+  for (let i = 0; i < length; i++) {
+    segments.push(paths.every(path => path[i] === paths[0][i]) ? paths[0][i] : '*');
+  }
+  if (paths.some(path => path.length > length) && segments[segments.length - 1] !== '*') segments.push('*');
+  return `/${segments.join('/')}`;
+}
+
+// The fingerprint with each bit set as in most of the given ones
+function majorityFingerprint(fingerprints) {
+  const counts = new Array(128).fill(0);
+  for (const fingerprint of fingerprints) {
+    const bits = BigInt(`0x${fingerprint}`);
+    for (let bit = 0; bit < 128; bit++) {
+      if ((bits >> BigInt(bit)) & 1n) counts[bit]++;
+    }
+  }
+  let hash = 0n;
+  counts.forEach((count, bit) => {
+    if (count * 2 > fingerprints.length) hash |= 1n << BigInt(bit);
+  });
+  return hash.toString(16).padStart(32, '0');
+}
+
+// Put each fingerprinted page in the template whose fingerprint is nearest,
+// if within `maxDistance` bits, or start a new template with it
+function assignPages(pages, centres, maxDistance) {
+  const templates = centres.map(fingerprint => ({ fingerprint, pages: [] }));
+  for (const page of pages) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (const template of templates) {
+      const distance = fingerprintDistance(template.fingerprint, page.fingerprint);
+      if (distance <= maxDistance && distance < nearestDistance) {
+        nearest = template;
+        nearestDistance = distance;
+      }
+    }
+    if (nearest) nearest.pages.push(page);
+    else templates.push({ fingerprint: page.fingerprint, pages: [page] });
+  }
+  return templates.filter(template => template.pages.length > 0);
+}
+
+// Move a template to its most central page, the one nearest the majority of
+// its fingerprints, and list that page first
+function recentre(template) {
+  const majority = majorityFingerprint(template.pages.map(page => page.fingerprint));
+  const distances = template.pages.map(page => fingerprintDistance(majority, page.fingerprint));
+  const central = template.pages[distances.indexOf(Math.min(...distances))];
+  return {
+    fingerprint: central.fingerprint,
+    pages: [central, ...template.pages.filter(page => page !== central)]
+  };
+}
+
+/**
+ * Group pages by template: each page joins the template whose fingerprint
+ * is nearest to its own, if within `maxDistance` bits, or starts a new one.
+ * A first pass compares with the page that started each template, which
+ * depends on page order, so templates are then moved to their most central
+ * page and pages assigned again, for up to RECENTRE_ROUNDS rounds or until
+ * nothing moves. Pages without a fingerprint get a template of their own,
+ * so they are always scanned.
+ * Returns [{ id, fingerprint, urlPattern, pages }], largest first; each
+ * template's central page comes first.
+ */
+function clusterPages(pages, { maxDistance = DEFAULT_MAX_DISTANCE } = {}) {
+  const fingerprinted = pages.filter(page => page.fingerprint);
+  let clustered = assignPages(fingerprinted, [], maxDistance).map(recentre);
+
+  for (let round = 0; round < RECENTRE_ROUNDS; round++) {
+    const next = assignPages(fingerprinted, clustered.map(template => template.fingerprint), maxDistance)
+      .map(recentre);
+    const moved = next.length !== clustered.length ||
+      next.some((template, i) => template.fingerprint !== clustered[i].fingerprint ||
+        template.pages.length !== clustered[i].pages.length);
+    clustered = next;
+    if (!moved) break;
+  }
+
+  const templates = [
+    ...clustered,
+    ...pages.filter(page => !page.fingerprint).map(page => ({ fingerprint: null, pages: [page] }))
+  ];
+
+  return templates
+    .sort((a, b) => b.pages.length - a.pages.length)
+    .map((template, index) => ({
+      id: `t${index + 1}`,
+      ...template,
+      urlPattern: urlPattern(template.pages.map(page => page.url))
+    }));
+}
+
+/**
+ * Pick up to `count` pages of a template to scan in full: its central
+ * page, then each time the page structurally furthest from
+ * those already picked, so the samples cover the template's variations.
+ */
+function selectSamples(template, count = DEFAULT_SAMPLES_PER_TEMPLATE) {
+  const [first, ...rest] = template.pages;
+  const samples = [first];
+  const remaining = rest.filter(page => page.fingerprint);
+
+  while (samples.length < count && remaining.length > 0) {
+    let best = 0;
+    let bestDistance = -1;
+    remaining.forEach((page, index) => {
+      const nearest = Math.min(...samples.map(sample =>
+        fingerprintDistance(sample.fingerprint, page.fingerprint)));
+      if (nearest > bestDistance) {
+        best = index;
+        bestDistance = nearest;
+      }
+    });
+    samples.push(...remaining.splice(best, 1));
+  }
+  return samples;
+}
+
+/**
+ * How far the samples of a template can be trusted for its other pages.
+ * Consistency is the share of findings that every sample has: templated
+ * pages usually fail in the same places, and disagreeing samples mean the
+ * template hides variations the samples may not cover. The margin of error
+ * is the worst case for a finding's share of pages, at 95% confidence.
+ */
+function templateConfidence(samples, pages, consistency) {
+  const marginOfError = samples >= pages ? 0
+    : samples === 0 ? 1
+      : Math.min(1, 1.96 * Math.sqrt((0.25 / samples) * ((pages - samples) / (pages - 1))));
+
+  let level = 'low';
+  if (samples > 0 && (samples >= pages || (samples >= 3 && consistency >= 0.8))) level = 'high';
+  else if (samples >= 2 && consistency >= 0.5) level = 'medium';
+
+  return {
+    samples,
+    pages,
+    coverage: pages > 0 ? Number((samples / pages).toFixed(4)) : 0,
+    consistency: Number(consistency.toFixed(2)),
+    marginOfError: Number(marginOfError.toFixed(2)),
+    level
+  };
+}
+
+/**
+ * Attribute the findings of a template's scanned samples to all its pages.
+ * `results` maps sample URLs to { riskScore, violations }. Each finding
+ * gets the share of samples it was found on and the pages it is estimated
+ * to affect; fixing it in the template fixes all of them.
+ */
+function summarizeTemplate(template, samples, results) {
+  const scanned = samples.filter(page => results.has(page.url));
+  const pageCount = template.pages.length;
+  const findings = new Map();
+
+  for (const page of scanned) {
+    for (const violation of results.get(page.url).violations || []) {
+      const finding = findings.get(violation.id) || {
+        id: violation.id,
+        severity: violation.severity,
+        description: violation.description,
+        suggestion: violation.suggestion?.suggestion || violation.suggestion || null,
+        samplesAffected: 0,
+        elements: 0
+      };
+      finding.samplesAffected++;
+      finding.elements += violation.nodes?.length || violation.elements || 0;
+      findings.set(violation.id, finding);
+    }
+  }
+
+  const summarized = Array.from(findings.values()).map(finding => {
+    const share = finding.samplesAffected / scanned.length;
+    return {
+      ...finding,
+      elements: Math.round(finding.elements / finding.samplesAffected),
+      share: Number(share.toFixed(2)),
+      estimatedPages: Math.round(share * pageCount)
+    };
+  }).sort((a, b) => b.estimatedPages - a.estimatedPages ||
+    SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+
+  const consistency = summarized.length === 0 ? 1
+    : summarized.filter(finding => finding.samplesAffected === scanned.length).length / summarized.length;
+  const riskScore = scanned.length === 0 ? null
+    : scanned.reduce((sum, page) => sum + results.get(page.url).riskScore, 0) / scanned.length;
+
+  return {
+    id: template.id,
+    urlPattern: template.urlPattern,
+    fingerprint: template.fingerprint,
+    pageCount,
+    sampleUrls: scanned.map(page => page.url),
+    riskScore: riskScore === null ? null : Number(riskScore.toFixed(1)),
+    findings: summarized,
+    confidence: templateConfidence(scanned.length, pageCount, consistency)
+  };
+}
+
+// Site-wide sampling confidence: coverage over all pages and the
+// page-weighted average of the template levels
+function samplingConfidence(templates) {
+  const pages = templates.reduce((sum, template) => sum + template.pageCount, 0);
+  const scannedPages = templates.reduce((sum, template) => sum + template.confidence.samples, 0);
+  const rank = pages === 0 ? 0 : templates.reduce((sum, template) =>
+    sum + CONFIDENCE_LEVELS.indexOf(template.confidence.level) * template.pageCount, 0) / pages;
+
+  return {
+    templates: templates.length,
+    pages,
+    scannedPages,
+    estimatedPages: pages - scannedPages,
+    coverage: pages > 0 ? Number((scannedPages / pages).toFixed(4)) : 0,
+    level: rank >= 1.5 ? 'high' : rank >= 0.75 ? 'medium' : 'low'
+  };
+}
+
+module.exports = {
+  DEFAULT_SAMPLES_PER_TEMPLATE,
+  DEFAULT_MAX_DISTANCE,
+  fingerprintPage,
+  fingerprintDistance,
+  clusterPages,
+  selectSamples,
+  summarizeTemplate,
+  samplingConfidence
+};
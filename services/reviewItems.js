@@ -0,0 +1,219 @@
+const { calculateRiskScore } = require('../utils/aiUtils');
+const { formatTarget } = require('../scanner/frames');
+
+const REVIEW_STATUSES = ['open', 'pass', 'fail', 'not-applicable'];
+
+class ReviewItemStore {
+  constructor(db) {
+    if (!db) throw new Error('Database connection required');
+    this.db = db;
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+    });
+  }
+
+  /**
+   * Replace a page's review items with the axe "incomplete" results of a new
+   * scan, one item per node. Decisions already made for the same rule and
+   * target carry over, so a rescan does not reopen reviewed items. Returns
+   * the stored items.
+   */
+  async replaceForPage(pageId, url, incomplete = []) {
+    const decided = new Map();
+    for (const row of await this.all(`SELECT * FROM review_items WHERE url = ? AND status != 'open'`, [url])) {
+      decided.set(decisionKey(row.rule_id, row.selector), toItem(row));
+    }
+    await this.run('DELETE FROM review_items WHERE url = ?', [url]);
+
+    let failed = false;
+    for (const item of incomplete) {
+      for (const node of item.nodes) {
+        const selector = formatTarget(node.target);
+        const decision = decided.get(decisionKey(item.id, selector));
+        const stored = {
+          pageId,
+          ruleId: item.id,
+          description: item.help || item.description,
+          severity: item.severity,
+          html: node.html,
+          screenshot: node.screenshot ? { path: node.screenshot.path } : null
+        };
+
+        // A failed item's violation belonged to the replaced page, so it is added again
+        let violationRowId = null;
+        if (decision?.status === 'fail') {
+          if (decision.violationRowId) {
+            await this.run('DELETE FROM violations WHERE id = ?', [decision.violationRowId]);
+          }
+          violationRowId = await this.insertViolation(stored, decision.note);
+          failed = true;
+        }
+
+        await this.run(
+          `INSERT INTO review_items
+          (page_id, url, rule_id, description, message, severity, help_url, selector, html, screenshot,
+           status, reviewer, note, violation_row_id, reviewed_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            pageId,
+            url,
+            item.id,
+            stored.description,
+            node.any?.[0]?.message || node.failureSummary || null,
+            item.severity,
+            item.helpUrl,
+            selector,
+            node.html,
+            node.screenshot?.path || null,
+            decision?.status || 'open',
+            decision?.reviewer || null,
+            decision?.note || null,
+            violationRowId,
+            decision?.reviewedAt || null
+          ]
+        );
+      }
+    }
+
+    if (failed) await this.updateScores(pageId);
+    return this.list({ url });
+  }
+
+  async list({ url, status, domain } = {}) {
+    const conditions = [];
+    const params = [];
+    if (url) {
+      conditions.push('r.url = ?');
+      params.push(url);
+    }
+    if (status) {
+      conditions.push('r.status = ?');
+      params.push(status);
+    }
+    if (domain) {
+      conditions.push('w.domain = ?');
+      params.push(domain);
+    }
+
+    const rows = await this.all(
+      `SELECT r.* FROM review_items r
+       LEFT JOIN pages p ON p.id = r.page_id
+       LEFT JOIN websites w ON w.id = p.website_id
+       ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY r.url, r.id`,
+      params
+    );
+    return rows.map(toItem);
+  }
+
+  async get(id) {
+    const [row] = await this.all('SELECT * FROM review_items WHERE id = ?', [id]);
+    return row ? toItem(row) : null;
+  }
+
+  /**
+   * Record a reviewer's decision. Failing an item turns it into a real
+   * violation on its page; any other decision removes that violation again.
+   * The page risk score and website compliance score are recalculated.
+   */
+  async decide(id, { status, reviewer, note }) {
+    if (!REVIEW_STATUSES.includes(status)) {
+      throw new Error(`Invalid review status "${status}" (use ${REVIEW_STATUSES.join(', ')})`);
+    }
+    const item = await this.get(id);
+    if (!item) return null;
+
+    let violationRowId = item.violationRowId;
+    if (status === 'fail' && !violationRowId) {
+      violationRowId = await this.insertViolation(item, note);
+    } else if (status !== 'fail' && violationRowId) {
+      await this.run('DELETE FROM violations WHERE id = ?', [violationRowId]);
+      violationRowId = null;
+    }
+
+    await this.run(
+      `UPDATE review_items
+       SET status = ?, reviewer = ?, note = ?, violation_row_id = ?,
+           reviewed_at = ${status === 'open' ? 'NULL' : 'CURRENT_TIMESTAMP'}
+       WHERE id = ?`,
+      [status, reviewer || null, note || null, violationRowId, id]
+    );
+
+    await this.updateScores(item.pageId);
+    return this.get(id);
+  }
+
+  // Store a failed item as a violation of its page, returning the row id
+  async insertViolation(item, note) {
+    const result = await this.run(
+      `INSERT INTO violations (page_id, violation_id, description, severity, html, suggestion, screenshot)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        item.pageId,
+        item.ruleId,
+        item.description || item.ruleId,
+        item.severity || 'medium',
+        item.html,
+        note || '',
+        item.screenshot?.path || null
+      ]
+    );
+    return result.lastID;
+  }
+
+  // The site's score is recalculated from all its current pages, not just this one
+  async updateScores(pageId) {
+    const violations = await this.all('SELECT severity FROM violations WHERE page_id = ?', [pageId]);
+    const riskScore = calculateRiskScore(violations);
+
+    await this.run('UPDATE pages SET risk_score = ? WHERE id = ?', [riskScore, pageId]);
+    await this.run(
+      `UPDATE websites SET compliance_score = 100 - MIN((
+         SELECT AVG(risk_score) FROM pages WHERE website_id = websites.id AND removed_at IS NULL
+       ), 100)
+       WHERE id = (SELECT website_id FROM pages WHERE id = ?)`,
+      [pageId]
+    );
+  }
+}
+
+const decisionKey = (ruleId, selector) => `${ruleId}|${selector}`;
+
+function toItem(row) {
+  return {
+    id: row.id,
+    pageId: row.page_id,
+    url: row.url,
+    ruleId: row.rule_id,
+    description: row.description,
+    message: row.message,
+    severity: row.severity,
+    helpUrl: row.help_url,
+    selector: row.selector,
+    html: row.html,
+    screenshot: row.screenshot
+      ? { path: row.screenshot, url: `/api/screenshots/${row.screenshot}` }
+      : null,
+    status: row.status,
+    reviewer: row.reviewer,
+    note: row.note,
+    violationRowId: row.violation_row_id,
+    createdAt: row.created_at,
+    reviewedAt: row.reviewed_at
+  };
+}
+
+module.exports = ReviewItemStore;
+module.exports.REVIEW_STATUSES = REVIEW_STATUSES;
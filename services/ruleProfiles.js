@@ -0,0 +1,98 @@
+const { normalizeRuleConfig } = require('../scanner/ruleConfig');
+
+class RuleProfileStore {
+  constructor(db) {
+    if (!db) throw new Error('Database connection required');
+    this.db = db;
+  }
+
+  /**
+   * Save a named rule configuration
+   */
+  async create(name, ruleConfig) {
+    if (!name || typeof name !== 'string') throw new Error('Profile name required');
+    const { config, errors } = normalizeRuleConfig(ruleConfig);
+    if (errors.length > 0) throw new Error(`Invalid rule configuration: ${errors.join('; ')}`);
+
+    const id = await new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO rule_profiles (name, config) VALUES (?, ?)`,
+        [name, JSON.stringify(config)],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+
+    return { id, name, config };
+  }
+
+  /**
+   * Look a profile up by numeric id or by name
+   */
+  async find(idOrName) {
+    const row = await new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT * FROM rule_profiles WHERE id = ? OR name = ?',
+        [idOrName, idOrName],
+        (err, row) => err ? reject(err) : resolve(row)
+      );
+    });
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      name: row.name,
+      config: JSON.parse(row.config),
+      createdAt: row.created_at
+    };
+  }
+
+  async list() {
+    const rows = await new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT * FROM rule_profiles ORDER BY name',
+        [],
+        (err, rows) => err ? reject(err) : resolve(rows || [])
+      );
+    });
+    return rows.map(row => ({
+      id: row.id,
+      name: row.name,
+      config: JSON.parse(row.config),
+      createdAt: row.created_at
+    }));
+  }
+
+  async delete(idOrName) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'DELETE FROM rule_profiles WHERE id = ? OR name = ?',
+        [idOrName, idOrName],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes > 0);
+        }
+      );
+    });
+  }
+
+  /**
+   * Resolve the configuration for a scan: a stored profile (optional) with
+   * per-request overrides on top. Returns { config, errors }.
+   */
+  async resolve({ ruleProfile, ruleConfig } = {}) {
+    let base;
+    if (ruleProfile !== undefined && ruleProfile !== null && ruleProfile !== '') {
+      const profile = await this.find(ruleProfile);
+      if (!profile) return { config: null, errors: [`Rule profile "${ruleProfile}" not found`] };
+      base = profile.config;
+    }
+
+    const { config, errors } = normalizeRuleConfig(ruleConfig || {}, base);
+    return { config, errors };
+  }
+}
+
+module.exports = RuleProfileStore;
@@ -0,0 +1,131 @@
+class ScanProfileStore {
+  constructor(db) {
+    if (!db) throw new Error('Database connection required');
+    this.db = db;
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+    });
+  }
+
+  // Keep the timing profile of a finished scan
+  async record({ pageId, jobId, url, domain, browserType, timings = {}, pageWeight, elementCount }) {
+    const { total = null, ...phases } = timings;
+    await this.run(
+      `INSERT INTO scan_profiles
+       (page_id, job_id, url, domain, browser_type, total_ms, timings, page_weight, request_count, element_count)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        pageId || null,
+        jobId || null,
+        url,
+        domain || null,
+        browserType || null,
+        total,
+        JSON.stringify(phases),
+        pageWeight?.bytes ?? null,
+        pageWeight?.requests ?? null,
+        elementCount ?? null
+      ]
+    );
+  }
+
+  /**
+   * Aggregate the most recent profiles (optionally for one domain or since a
+   * date): time per phase and its share of all measured time, total scan
+   * time, page weight and element counts, plus a per-domain breakdown.
+   */
+  async stats({ domain, since, limit = 1000 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (domain) {
+      conditions.push('domain = ?');
+      params.push(domain);
+    }
+    if (since) {
+      conditions.push('created_at >= ?');
+      params.push(since);
+    }
+
+    const rows = await this.all(
+      `SELECT * FROM scan_profiles
+       ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY created_at DESC, id DESC LIMIT ?`,
+      [...params, limit]
+    );
+    const profiles = rows.map(row => ({ ...row, timings: JSON.parse(row.timings || '{}') }));
+
+    const phases = summarisePhases(profiles);
+    const byDomain = new Map();
+    for (const profile of profiles) {
+      const key = profile.domain || 'unknown';
+      if (!byDomain.has(key)) byDomain.set(key, []);
+      byDomain.get(key).push(profile);
+    }
+
+    return {
+      scans: profiles.length,
+      totalMs: distribution(profiles.map(profile => profile.total_ms)),
+      phases,
+      dominantPhase: phases[0]?.phase || null,
+      pageWeight: distribution(profiles.map(profile => profile.page_weight)),
+      requests: distribution(profiles.map(profile => profile.request_count)),
+      elements: distribution(profiles.map(profile => profile.element_count)),
+      byDomain: Array.from(byDomain, ([name, domainProfiles]) => ({
+        domain: name,
+        scans: domainProfiles.length,
+        avgTotalMs: distribution(domainProfiles.map(profile => profile.total_ms)).avg,
+        dominantPhase: summarisePhases(domainProfiles)[0]?.phase || null
+      })).sort((a, b) => b.scans - a.scans)
+    };
+  }
+}
+
+// Per-phase timing across profiles, slowest share first
+function summarisePhases(profiles) {
+  const samples = {};
+  for (const profile of profiles) {
+    for (const [phase, ms] of Object.entries(profile.timings)) {
+      (samples[phase] = samples[phase] || []).push(ms);
+    }
+  }
+
+  const grandTotal = Object.values(samples).flat().reduce((sum, ms) => sum + ms, 0);
+  return Object.entries(samples)
+    .map(([phase, values]) => {
+      const totalMs = values.reduce((sum, ms) => sum + ms, 0);
+      return {
+        phase,
+        scans: values.length,
+        totalMs,
+        share: grandTotal > 0 ? Math.round((totalMs / grandTotal) * 1000) / 10 : 0,
+        ...distribution(values)
+      };
+    })
+    .sort((a, b) => b.totalMs - a.totalMs);
+}
+
+function distribution(values) {
+  const sorted = values.filter(value => typeof value === 'number').sort((a, b) => a - b);
+  if (sorted.length === 0) return { avg: null, p50: null, p95: null, max: null };
+  const at = (quantile) => sorted[Math.min(sorted.length - 1, Math.floor(quantile * sorted.length))];
+  return {
+    avg: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    p50: at(0.5),
+    p95: at(0.95),
+    max: sorted[sorted.length - 1]
+  };
+}
+
+module.exports = ScanProfileStore;
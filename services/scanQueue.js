@@ -0,0 +1,218 @@
+const { v4: uuidv4 } = require('uuid');
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class JobCancelledError extends Error {
+  constructor(jobId) {
+    super(`Job ${jobId} was cancelled`);
+    this.name = 'JobCancelledError';
+  }
+}
+
+class ScanQueue {
+  constructor(db, options = {}) {
+    if (!db) throw new Error('Database connection required');
+    this.db = db;
+    this.concurrency = options.concurrency || Number(process.env.SCAN_CONCURRENCY) || 2;
+    this.pollInterval = options.pollInterval || Number(process.env.SCAN_POLL_INTERVAL) || 2000;
+    this.handlers = {};
+    this.running = new Map();
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Register the function that executes jobs of a given type
+   */
+  register(type, handler) {
+    this.handlers[type] = handler;
+    return this;
+  }
+
+  /**
+   * Add a job to the queue and return its id
+   */
+  async enqueue(type, payload = {}) {
+    const id = uuidv4();
+    await this.run(
+      `INSERT INTO scan_jobs (id, type, status, payload) VALUES (?, ?, 'queued', ?)`,
+      [id, type, JSON.stringify(payload)]
+    );
+    console.log(`[QUEUE] Enqueued ${type} job ${id}`);
+    setImmediate(() => this.tick());
+    return id;
+  }
+
+  /**
+   * Fetch a job with its payload and result decoded
+   */
+  async getJob(id) {
+    const row = await this.get('SELECT * FROM scan_jobs WHERE id = ?', [id]);
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      type: row.type,
+      status: row.status,
+      progress: row.progress,
+      stage: row.stage,
+      payload: row.payload ? JSON.parse(row.payload) : {},
+      result: row.result ? JSON.parse(row.result) : null,
+      error: row.error,
+      attempts: row.attempts,
+      createdAt: row.created_at,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at
+    };
+  }
+
+  /**
+   * Cancel a queued or running job. Running jobs stop at their next checkpoint.
+   */
+  async cancel(id) {
+    const job = await this.get('SELECT status FROM scan_jobs WHERE id = ?', [id]);
+    if (!job) return null;
+    if (TERMINAL_STATUSES.includes(job.status)) return job.status;
+
+    await this.run(
+      `UPDATE scan_jobs
+       SET status = 'cancelled', stage = 'cancelled', finished_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [id]
+    );
+
+    const running = this.running.get(id);
+    if (running) running.cancelled = true;
+
+    console.log(`[QUEUE] Cancelled job ${id}`);
+    return 'cancelled';
+  }
+
+  /**
+   * Put jobs that were interrupted by a restart back on the queue
+   */
+  async recover() {
+    const changes = await this.run(
+      `UPDATE scan_jobs
+       SET status = 'queued', progress = 0, stage = 'requeued after restart'
+       WHERE status = 'running'`
+    );
+    if (changes > 0) console.log(`[QUEUE] Requeued ${changes} interrupted job(s)`);
+    return changes;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.pollInterval);
+    console.log(`[QUEUE] Worker started (concurrency ${this.concurrency})`);
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      while (this.running.size < this.concurrency) {
+        const job = await this.claimNext();
+        if (!job) break;
+        this.execute(job);
+      }
+    } catch (error) {
+      console.error('[QUEUE] Worker tick failed:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async claimNext() {
+    const row = await this.get(
+      `SELECT id FROM scan_jobs WHERE status = 'queued' ORDER BY created_at, rowid LIMIT 1`
+    );
+    if (!row) return null;
+
+    const changes = await this.run(
+      `UPDATE scan_jobs
+       SET status = 'running', started_at = CURRENT_TIMESTAMP, attempts = attempts + 1
+       WHERE id = ? AND status = 'queued'`,
+      [row.id]
+    );
+    return changes > 0 ? this.getJob(row.id) : null;
+  }
+
+  async execute(job) {
+    const state = { cancelled: false };
+    this.running.set(job.id, state);
+
+    const throwIfCancelled = () => {
+      if (state.cancelled) throw new JobCancelledError(job.id);
+    };
+
+    const context = {
+      setProgress: async (progress, stage) => {
+        throwIfCancelled();
+        await this.run(
+          `UPDATE scan_jobs SET progress = ?, stage = ? WHERE id = ? AND status = 'running'`,
+          [progress, stage, job.id]
+        );
+      },
+      throwIfCancelled,
+      isCancelled: () => state.cancelled
+    };
+
+    try {
+      const handler = this.handlers[job.type];
+      if (!handler) throw new Error(`No handler registered for job type: ${job.type}`);
+
+      console.log(`[QUEUE] Running ${job.type} job ${job.id}`);
+      const result = await handler(job, context);
+      throwIfCancelled();
+
+      await this.run(
+        `UPDATE scan_jobs
+         SET status = 'completed', progress = 100, stage = 'completed', result = ?, finished_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status = 'running'`,
+        [JSON.stringify(result ?? null), job.id]
+      );
+      console.log(`[QUEUE] Completed job ${job.id}`);
+    } catch (error) {
+      if (error instanceof JobCancelledError) {
+        console.log(`[QUEUE] Job ${job.id} stopped after cancellation`);
+      } else {
+        console.error(`[QUEUE] Job ${job.id} failed:`, error);
+        await this.run(
+          `UPDATE scan_jobs
+           SET status = 'failed', stage = 'failed', error = ?, finished_at = CURRENT_TIMESTAMP
+           WHERE id = ? AND status = 'running'`,
+          [error.message, job.id]
+        ).catch(err => console.error('[QUEUE] Failed to record job failure:', err));
+      }
+    } finally {
+      this.running.delete(job.id);
+      setImmediate(() => this.tick());
+    }
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+    });
+  }
+}
+
+module.exports = ScanQueue;
+module.exports.JobCancelledError = JobCancelledError;
@@ -59,6 +59,7 @@ class SearchEngine {
           JOIN pages p ON v.page_id = p.id
           JOIN websites w ON p.website_id = w.id
           WHERE v.embedding IS NOT NULL
+            AND p.removed_at IS NULL
           LIMIT 1000
         `, [], (err, rows) => {
           if (err) reject(err);
@@ -90,22 +91,56 @@ class SearchEngine {
   }
 
   /**
-   * Search websites by compliance score
+   * Search websites by compliance score. Local (uploaded) sources are kept
+   * out of crawled-domain results unless requested with sourceType 'local'.
+   * Scores estimated from template samples carry their sampling confidence.
    */
-  async searchWebsitesByCompliance(minScore = 0, limit = 50) {
+  async searchWebsitesByCompliance(minScore = 0, limit = 50, sourceType = 'crawl') {
       return new Promise((resolve, reject) => {
       this.db.all(
         `SELECT domain, 
                 compliance_score,
+                sampling,
                 datetime(last_scanned, 'localtime') as last_scanned
         FROM websites 
         WHERE compliance_score >= ?
+          AND COALESCE(source_type, 'crawl') = ?
         ORDER BY compliance_score DESC
         LIMIT ?`,
-        [minScore, limit],
+        [minScore, sourceType, limit],
         (err, rows) => {
           if (err) reject(err);
-          else resolve(rows || []);
+          else resolve((rows || []).map(row => ({
+            ...row,
+            sampling: row.sampling ? JSON.parse(row.sampling) : null
+          })));
+        }
+      );
+    });
+  }
+
+  /**
+   * Page templates of a site from its last sampled indexing, largest first,
+   * with the findings attributed to all of their pages
+   */
+  async templatesForDomain(domain) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM page_templates WHERE domain = ? ORDER BY page_count DESC`,
+        [domain],
+        (err, rows) => {
+          if (err) return reject(err);
+          resolve((rows || []).map(row => ({
+            id: row.template_key,
+            urlPattern: row.url_pattern,
+            fingerprint: row.fingerprint,
+            pageCount: row.page_count,
+            sampleUrls: JSON.parse(row.sample_urls || '[]'),
+            riskScore: row.risk_score,
+            findings: JSON.parse(row.findings || '[]'),
+            confidence: JSON.parse(row.confidence || 'null'),
+            indexedAt: row.created_at
+          })));
         }
       );
     });
@@ -134,11 +169,13 @@ class SearchEngine {
             v.embedding,
             p.url,
             p.title,
+            p.document_type,
             w.domain
           FROM violations v
           JOIN pages p ON v.page_id = p.id
           JOIN websites w ON p.website_id = w.id
           WHERE v.embedding IS NOT NULL
+            AND p.removed_at IS NULL
           LIMIT 1000
         `, [], (err, rows) => err ? reject(err) : resolve(rows || []));
       });
@@ -212,8 +249,17 @@ class SearchEngine {
     }
   }
 
+  /**
+   * Close the database connection
+   */
+  close() {
+    return new Promise((resolve, reject) => {
+      this.db.close(err => err ? reject(err) : resolve());
+    });
+  }
+
   async searchViolations(filters = {}, limit = 100) {
-  const { violationId, severity, domain } = filters;
+  const { violationId, severity, domain, documentType } = filters;
   
   return new Promise((resolve, reject) => {
     let query = `
@@ -224,13 +270,15 @@ class SearchEngine {
         v.severity,
         v.html,
         v.suggestion,
+        v.screenshot,
         p.url,
         p.title,
+        p.document_type as documentType,
         w.domain
       FROM violations v
       JOIN pages p ON v.page_id = p.id
       JOIN websites w ON p.website_id = w.id
-      WHERE 1=1
+      WHERE p.removed_at IS NULL
     `;
     
     const params = [];
@@ -253,6 +301,12 @@ class SearchEngine {
       params.push(`%${domain}%`);
     }
     
+    // 'html' selects web pages; 'pdf' / 'docx' select linked documents
+    if (documentType) {
+      query += " AND COALESCE(p.document_type, 'html') = ?";
+      params.push(documentType.toLowerCase());
+    }
+    
     query += ' ORDER BY v.severity DESC LIMIT ?';
     params.push(limit);
     
@@ -269,8 +323,10 @@ class SearchEngine {
           severity: row.severity,
           html: row.html,
           suggestion: row.suggestion,
+          screenshotUrl: row.screenshot ? `/api/screenshots/${row.screenshot}` : null,
           url: row.url,
           title: row.title,
+          documentType: row.documentType || 'html',
           domain: row.domain
         }));
         resolve(results);
@@ -0,0 +1,178 @@
+const { browserPool } = require('../scanner/browserPool');
+
+// Labels of controls that change data or commit the user to something;
+// discovery never clicks them
+const DESTRUCTIVE_LABELS = /\b(delete|remove|destroy|erase|purge|drop|log ?out|sign ?out|unsubscribe|deactivate|disable|cancel|revoke|reset|clear|archive|ban|block|pay|buy|purchase|checkout|order|submit|send|publish|post|save|confirm|approve|reject|transfer|upload)\b/i;
+const DEFAULT_MAX_CLICKS = 25;
+const SETTLE_MS = 500;
+
+// Installed with context.addInitScript before the app loads, so every
+// history.pushState/replaceState call and hash change is recorded in
+// window.__complyaiRoutes. Forms are never submitted and window.open is
+// inert in discovery's page. Must be self-contained.
+function captureRoutes(destructivePattern) {
+  if (window.__complyaiRoutes) return;
+  const routes = window.__complyaiRoutes = [];
+  const record = (via) => routes.push({ url: location.href, via });
+
+  for (const method of ['pushState', 'replaceState']) {
+    const original = history[method];
+    history[method] = function(...args) {
+      const result = original.apply(this, args);
+      record(method);
+      return result;
+    };
+  }
+  window.addEventListener('hashchange', () => record('hashchange'));
+  window.addEventListener('popstate', () => record('popstate'));
+  window.addEventListener('submit', event => event.preventDefault(), true);
+  window.open = () => null;
+
+  const destructive = new RegExp(destructivePattern, 'i');
+  // Accessible name, roughly as assistive technology computes it
+  const labelOf = (el) => {
+    const labelledBy = (el.getAttribute('aria-labelledby') || '').split(/\s+/)
+      .map(id => id && document.getElementById(id)?.textContent).filter(Boolean).join(' ');
+    const imageAlt = Array.from(el.querySelectorAll('img[alt]')).map(img => img.alt).join(' ');
+    return (labelledBy || el.getAttribute('aria-label') || el.textContent || imageAlt || el.title || '')
+      .replace(/\s+/g, ' ').trim().slice(0, 80);
+  };
+
+  // Controls that may switch client-side routes: buttons, tabs, menu items
+  // and script-driven links. Ordinary links are collected as hrefs instead.
+  // Unnamed controls (icon-only buttons) are left alone, since nothing tells
+  // whether they are destructive.
+  window.__complyaiNavCandidates = () => Array.from(document.querySelectorAll(
+    'a[href], button, [role="link"], [role="button"], [role="tab"], [role="menuitem"], [onclick], [data-href], [routerlink]'
+  )).filter(el => {
+    if (el.closest('[disabled], [aria-disabled="true"], [inert]')) return false;
+    if (el.getClientRects().length === 0) return false;
+    if (el.matches('a[href]')) {
+      const href = el.getAttribute('href');
+      if (el.target === '_blank' || el.hasAttribute('download')) return false;
+      if (!/^(#|javascript:)/i.test(href)) return false;
+    }
+    // A button inside a form submits or resets it unless it says otherwise
+    if (el.matches('button:not([type="button"])') && el.closest('form')) return false;
+    const label = labelOf(el);
+    return label !== '' && !destructive.test(label) &&
+      !destructive.test(el.className?.baseVal ?? el.className ?? '');
+  }).map(el => ({ el, label: labelOf(el) }));
+
+  // Routes named in router attributes (Angular routerLink, data-href)
+  window.__complyaiRouteAttributes = () => Array.from(document.querySelectorAll('[data-href], [routerlink]'))
+    .map(el => el.getAttribute('data-href') || el.getAttribute('routerlink'))
+    .filter(Boolean)
+    .map(value => {
+      try {
+        return new URL(value, location.href).href;
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+// History changes recorded since the last call
+async function takeRecordedRoutes(page) {
+  return page.evaluate(() => (window.__complyaiRoutes || []).splice(0)).catch(() => []);
+}
+
+// Sandbox for the clicks: only GET requests go out, other origins cannot be
+// opened and WebSockets, service workers and dialogs are switched off. The
+// context is discovery's own, so the route covers every page and worker in it.
+async function guardContext(context, origin) {
+  await context.route('**/*', (route) => {
+    const request = route.request();
+    if (!['GET', 'HEAD'].includes(request.method())) return route.abort();
+    if (request.isNavigationRequest() && new URL(request.url()).origin !== origin) return route.abort();
+    return route.fallback();
+  });
+  await context.addInitScript(() => {
+    window.WebSocket = function() {
+      throw new Error('WebSockets are disabled during route discovery');
+    };
+  });
+  await context.addInitScript(captureRoutes, DESTRUCTIVE_LABELS.source);
+}
+
+/**
+ * Find the client-side routes of a single-page app: URLs it moves to while
+ * loading, routes in router attributes, and routes reached by clicking
+ * same-origin navigational controls that have an accessible name. The page
+ * is loaded in a fresh context of its own (with `authProfile`'s login, when
+ * given), so nothing the clicks do reaches the contexts crawls and scans
+ * share; see guardContext for what the sandbox blocks. The start URL is
+ * reloaded after a click changes the route, `delayMs` after the last load.
+ * Resolves to distinct routes: [{ url, via, trigger }].
+ */
+async function discoverRoutes(url, { authProfile, userAgent, delayMs = 0, maxClicks = DEFAULT_MAX_CLICKS } = {}) {
+  const { origin } = new URL(url);
+  const routes = new Map();
+
+  return browserPool.withPage(url, { authProfile, isolated: true, contextOptions: { serviceWorkers: 'block' } },
+    async (page, context) => {
+      await guardContext(context, origin);
+      page.on('dialog', dialog => dialog.dismiss().catch(() => {}));
+      if (userAgent) await page.setExtraHTTPHeaders({ 'User-Agent': userAgent });
+
+      const load = async (target) => {
+        if (delayMs > 0) await page.waitForTimeout(delayMs);
+        await page.goto(target, { waitUntil: 'networkidle', timeout: 30000 });
+      };
+      await load(url);
+
+      const startUrl = page.url();
+      const add = (routeUrl, via, trigger) => {
+        try {
+          if (new URL(routeUrl).origin !== origin || routeUrl === startUrl || routes.has(routeUrl)) return;
+        } catch (error) {
+          return;
+        }
+        routes.set(routeUrl, { url: routeUrl, via, ...(trigger && { trigger }) });
+      };
+
+      for (const route of await takeRecordedRoutes(page)) add(route.url, route.via);
+      for (const routeUrl of await page.evaluate(() => window.__complyaiRouteAttributes?.() || [])) {
+        add(routeUrl, 'attribute');
+      }
+
+      const labels = await page.evaluate(() =>
+        (window.__complyaiNavCandidates?.() || []).map(candidate => candidate.label));
+
+      for (const [index, label] of labels.slice(0, maxClicks).entries()) {
+        if (page.url() !== startUrl) {
+          await load(startUrl);
+          await takeRecordedRoutes(page);
+        }
+
+        // Candidates are found again by position, since the page may have re-rendered
+        const handle = await page.evaluateHandle(
+          (i) => window.__complyaiNavCandidates?.()[i]?.el || null, index);
+        const element = handle.asElement();
+        if (!element) {
+          await handle.dispose().catch(() => {});
+          continue;
+        }
+
+        try {
+          await element.click({ timeout: 2000 });
+          await page.waitForLoadState('networkidle', { timeout: 3000 }).catch(() => {});
+          await page.waitForTimeout(SETTLE_MS);
+        } catch (error) {
+          continue;
+        } finally {
+          await handle.dispose().catch(() => {});
+        }
+
+        for (const route of await takeRecordedRoutes(page)) add(route.url, route.via, label);
+        add(page.url(), 'click', label);
+      }
+
+      return Array.from(routes.values());
+    });
+}
+
+module.exports = {
+  discoverRoutes
+};
@@ -3,6 +3,44 @@ const fs = require('fs');
 const path = require('path');
 const { format } = require('date-fns');
 const { generateSeverityChart } = require('./chartGeneration');
+const { resolveScreenshotPath } = require('../scanner/screenshots');
+const { formatTarget } = require('../scanner/frames');
+
+// Disk path for a stored screenshot reference, or null when it is missing
+function screenshotFile(screenshot) {
+  if (!screenshot?.path) return null;
+  try {
+    const file = resolveScreenshotPath(screenshot.path);
+    return fs.existsSync(file) ? file : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function formatBytes(bytes) {
+  if (!Number.isFinite(bytes)) return 'Not measured';
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
+
+// How a finding differs between engines: the engines it was found in when it
+// is missing from at least one, otherwise a note that only its elements differ
+function engineDifference(finding, engines = []) {
+  if (!finding.engines || finding.inAllEngines) return null;
+  return finding.engines.length < engines.length
+    ? `only in ${finding.engines.join(', ')}`
+    : 'affected elements differ between engines';
+}
+
+// "axe 3.2s, navigation 1.4s, ..." for the phases of a scan, slowest first
+function formatTimings(timings) {
+  return Object.entries(timings)
+    .filter(([phase, ms]) => phase !== 'total' && ms > 0)
+    .sort((a, b) => b[1] - a[1])
+    .map(([phase, ms]) => `${phase} ${(ms / 1000).toFixed(1)}s`)
+    .join(', ');
+}
 
 function parseSuggestion(suggestion) {
   const suggestionText = typeof suggestion === 'string' 
@@ -85,8 +123,26 @@ const printer = new PdfPrinter({
   Roboto: fonts.Roboto
 });
 
+// Review items still awaiting a decision; before storage they are the raw
+// axe "incomplete" nodes
+function openReviewItems(results) {
+  if (Array.isArray(results.reviewItems)) {
+    return results.reviewItems.filter(item => item.status === 'open');
+  }
+  return (results.incomplete || []).flatMap(item => item.nodes.map(node => ({
+    ruleId: item.id,
+    description: item.help || item.description,
+    message: node.any?.[0]?.message,
+    severity: item.severity,
+    selector: formatTarget(node.target),
+    html: node.html,
+    screenshot: node.screenshot
+  })));
+}
+
 async function generatePDFReport(results, outputPath) {
   const { url, scannedAt, scanDuration, metrics, violations } = results;
+  const reviewItems = openReviewItems(results);
 
   // Generate chart image
   let chartImage = null;
@@ -141,10 +197,28 @@ async function generatePDFReport(results, outputPath) {
           body: [
             [{ text: 'Scan Summary', style: 'tableHeader', colSpan: 2 }, {}],
             ['Scanned URL', { text: url, style: 'urlText' }],
+            ...(results.document ? [[
+              'Document',
+              [
+                results.document.type.toUpperCase(),
+                results.document.pageCount ? `${results.document.pageCount} pages` : null,
+                results.document.type === 'pdf' ? (results.document.tagged ? 'tagged' : 'untagged') : null,
+                results.document.language ? `language ${results.document.language}` : 'no language set'
+              ].filter(Boolean).join(', ')
+            ]] : []),
             ['Scan Date', results.scannedAt ? format(new Date(results.scannedAt), 'yyyy-MM-dd HH:mm:ss') : 'Not available'],
             ['Scan Duration', results.scanDuration || 'Not measured'],
+            ...(results.timings && formatTimings(results.timings)
+              ? [['Time per Phase', formatTimings(results.timings)]]
+              : []),
+            ...(Number.isFinite(results.pageWeight?.bytes)
+              ? [['Page Weight', `${formatBytes(results.pageWeight.bytes)}` +
+                (Number.isFinite(results.pageWeight.requests) ? ` in ${results.pageWeight.requests} requests` : '')]]
+              : []),
+            ...(metrics.elementsScanned ? [['Elements Scanned', metrics.elementsScanned]] : []),
             ['Total Violations', metrics.violationCount || 0],
-            ['Critical Issues', metrics.severityBreakdown?.critical || 0]
+            ['Critical Issues', metrics.severityBreakdown?.critical || 0],
+            ['Needs Manual Review', reviewItems.length]
           ]
         },
         layout: 'noBorders',
@@ -170,8 +244,10 @@ async function generatePDFReport(results, outputPath) {
         style: 'sectionHeader'
       },
       ...(results.keyboardIssues || []).map(issue => ({
-        text: `${issue.type}: ${issue.message}`,
-        style: 'violationDescription',
+        stack: [
+          { text: `${issue.type}: ${issue.message}`, style: 'violationDescription' },
+          issue.selector ? { text: issue.selector, style: 'codeBlock' } : null
+        ].filter(Boolean),
         margin: [0, 5, 0, 10]
       })),
       
@@ -210,7 +286,7 @@ async function generatePDFReport(results, outputPath) {
               margin: [0, 10, 0, 5]
             },
             {
-              text: issue.element,
+              text: issue.html || issue.selector || issue.element,
               style: 'codeBlock',
               margin: [0, 0, 0, 10]
             },
@@ -231,6 +307,180 @@ async function generatePDFReport(results, outputPath) {
           ].filter(Boolean)
         }))
       ] : []),
+
+      // Time-based Media and Motion
+      ...(results.media ? [
+        {
+          text: 'Time-based Media and Motion',
+          style: 'sectionHeader',
+          pageBreak: 'before'
+        },
+        results.media.error ? {
+          text: `Media checks could not complete: ${results.media.error}`,
+          style: 'violationDescription'
+        } : null,
+        {
+          table: {
+            widths: ['*', 'auto'],
+            body: [
+              ['Media elements and players', results.media.elements?.length || 0],
+              ['Flashing (three-flash threshold)', !results.media.flashing ? 'Not checked'
+                : results.media.flashing.passed
+                  ? `Passed (${results.media.flashing.framesPerSecond} frames/s sampled` +
+                    `${results.media.flashing.reliable ? '' : ', too slow to be conclusive'})`
+                  : `Failed: up to ${results.media.flashing.maxFlashesPerSecond} flashes per second`],
+              ['Reduced motion', !results.media.reducedMotion?.checked ? 'No motion detected'
+                : results.media.reducedMotion.passed ? 'Animations stop when reduced motion is requested'
+                  : `${results.media.reducedMotion.motionAfter} animation(s) keep running`]
+            ]
+          },
+          margin: [0, 0, 0, 15]
+        },
+        ...results.media.issues.map(issue => ({
+          stack: [
+            { text: `${issue.type} (${issue.impact || 'unknown'})`, style: 'violationSubtitle' },
+            { text: issue.message, style: 'violationDescription' },
+            issue.wcag ? { text: `WCAG ${issue.wcag}`, style: 'violationDescription', fontSize: 9 } : null,
+            issue.html || issue.selector ? { text: issue.html || issue.selector, style: 'codeBlock' } : null
+          ].filter(Boolean),
+          margin: [0, 5, 0, 10]
+        }))
+      ].filter(Boolean) : []),
+      
+      // Cross-Browser Comparison
+      ...(results.browserComparison ? [
+        {
+          text: 'Cross-Browser Comparison',
+          style: 'sectionHeader',
+          pageBreak: 'before'
+        },
+        {
+          text: `Engines scanned: ${results.browserComparison.engines.join(', ')}`,
+          style: 'violationDescription'
+        },
+        ...Object.entries(results.browserComparison.failedEngines || {}).map(([engine, message]) => ({
+          text: `${engine} scan failed: ${message}`,
+          style: 'violationDescription'
+        })),
+        {
+          table: {
+            widths: ['*', 'auto', 'auto'],
+            body: [
+              [
+                { text: 'Finding Type', style: 'tableHeader' },
+                { text: 'In Every Engine', style: 'tableHeader' },
+                { text: 'Engine-Specific', style: 'tableHeader' }
+              ],
+              ...[
+                ['Violations', 'violations'],
+                ['Keyboard Issues', 'keyboardIssues'],
+                ['Screen Reader Issues', 'screenReaderIssues']
+              ].map(([label, key]) => [
+                label,
+                results.browserComparison.summary[key].common,
+                results.browserComparison.summary[key].engineSpecific
+              ])
+            ]
+          },
+          layout: 'lightHorizontalLines',
+          margin: [0, 0, 0, 20]
+        },
+        ...results.browserComparison.engineSpecific.violations.map(v => ({
+          text: `${v.id}: ${engineDifference(v, results.browserComparison.engines)}`,
+          style: 'violationDescription'
+        })),
+        ...[
+          ...results.browserComparison.engineSpecific.keyboardIssues,
+          ...results.browserComparison.engineSpecific.screenReaderIssues
+        ].map(issue => ({
+          text: `${issue.type}: ${issue.message} (only in ${issue.engines.join(', ')})`,
+          style: 'violationDescription'
+        }))
+      ] : []),
+      
+      // User Journey Steps
+      ...(results.journey && Array.isArray(results.steps) ? [
+        {
+          text: `User Journey: ${results.journey.name}`,
+          style: 'sectionHeader',
+          pageBreak: 'before'
+        },
+        {
+          text: `Status: ${results.status}. Violations are listed once under the step where they first appear.`,
+          style: 'violationDescription'
+        },
+        ...results.steps.map(step => ({
+          stack: [
+            {
+              text: `Step ${step.step}: ${step.name}${step.checkpoint ? ' (checkpoint)' : ''}`,
+              style: 'violationSubtitle',
+              color: step.status === 'failed' ? '#e74c3c' : '#2c3e50',
+              margin: [0, 10, 0, 5]
+            },
+            step.url ? { text: step.url, style: 'urlText', fontSize: 9 } : null,
+            step.error ? {
+              text: `Step failed: ${step.error}`,
+              style: 'violationDescription',
+              color: '#e74c3c'
+            } : null,
+            step.checkpoint && step.status !== 'failed' ? {
+              text: `${step.violationCount || 0} violations ` +
+                `(${(step.newViolations || []).length} new, ${(step.persistingViolations || []).length} carried over), ` +
+                `${step.keyboardIssues || 0} keyboard issues, ${step.screenReaderIssues || 0} screen reader issues`,
+              style: 'violationDescription'
+            } : null,
+            ...(step.newViolations || []).map(id => ({
+              text: `• New: ${id}`,
+              fontSize: 10,
+              margin: [10, 0, 0, 2]
+            })),
+            screenshotFile(step.screenshot) ? {
+              image: screenshotFile(step.screenshot),
+              fit: [515, 260],
+              margin: [0, 5, 0, 0]
+            } : null
+          ].filter(Boolean),
+          unbreakable: true,
+          margin: [0, 0, 0, 15]
+        }))
+      ] : []),
+      
+      // Per-Viewport Results
+      ...(results.viewports && results.viewports.length > 0 ? [
+        {
+          text: 'Results by Viewport',
+          style: 'sectionHeader',
+          pageBreak: 'before'
+        },
+        ...results.viewports.map(viewport => ({
+          stack: [
+            {
+              text: `${viewport.label || viewport.name} (${viewport.width}x${viewport.height})`,
+              style: 'violationSubtitle',
+              margin: [0, 10, 0, 5]
+            },
+            {
+              text: `${viewport.violations?.length || 0} violations, ` +
+                `${viewport.keyboardIssues?.length || 0} keyboard issues, ` +
+                `${viewport.screenReaderIssues?.length || 0} screen reader issues`,
+              style: 'violationDescription'
+            },
+            viewport.reflow ? {
+              text: viewport.reflow.passed
+                ? 'Reflow (WCAG 1.4.10): passed - no horizontal scrolling or clipped content at 320px'
+                : `Reflow (WCAG 1.4.10): failed - ${viewport.reflow.issues.join(', ')}`,
+              style: 'violationDescription',
+              color: viewport.reflow.passed ? '#2ecc71' : '#e74c3c'
+            } : null,
+            ...(viewport.violations || []).map(v => ({
+              text: `• ${v.id} (${v.impact || 'unknown'}): ${v.nodes?.length || 0} element(s)`,
+              fontSize: 10,
+              margin: [10, 0, 0, 2]
+            }))
+          ].filter(Boolean),
+          margin: [0, 0, 0, 15]
+        }))
+      ] : []),
       
       // Violations Details
       {
@@ -238,6 +488,16 @@ async function generatePDFReport(results, outputPath) {
         style: 'sectionHeader',
         pageBreak: 'before'
       },
+      screenshotFile(results.screenshots?.fullPage) ? {
+        stack: [
+          {
+            text: 'Numbered outlines mark each affected element referenced below.',
+            style: 'violationDescription'
+          },
+          { image: screenshotFile(results.screenshots.fullPage), fit: [515, 680] }
+        ],
+        pageBreak: 'after'
+      } : null,
       ...violations.map(violation => ({
         stack: [
           { 
@@ -249,16 +509,52 @@ async function generatePDFReport(results, outputPath) {
             text: violation.description,
             style: 'violationDescription'
           },
+          engineDifference(violation, results.browserComparison?.engines) ? {
+            text: `Engines: ${engineDifference(violation, results.browserComparison.engines)}`,
+            style: 'violationSubtitle'
+          } : null,
+          violation.firstSeenStep ? {
+            text: `First seen at journey step ${violation.firstSeenStep}` +
+              (violation.steps?.length > 1 ? `, persists through steps ${violation.steps.join(', ')}` : ''),
+            style: 'violationSubtitle'
+          } : null,
+          violation.viewports && !violation.inAllViewports ? {
+            text: `Viewports: ${violation.viewports.join(', ')}`,
+            style: 'violationSubtitle'
+          } : null,
+          violation.nodes[0]?.framePath?.length > 0 ? {
+            text: `Inside frame: ${violation.nodes[0].framePath.join(' > ')}`,
+            style: 'violationSubtitle'
+          } : null,
+          violation.nodes[0]?.shadowHostChain?.length > 0 ? {
+            text: `Inside shadow root of: ${violation.nodes[0].shadowHostChain.join(' >>> ')}`,
+            style: 'violationSubtitle'
+          } : null,
           {
             text: 'Affected Element:',
             style: 'violationSubtitle',
             margin: [0, 10, 0, 5]
           },
           {
-            text: violation.nodes[0].html,
+            // Document findings point at a page or part rather than markup
+            text: violation.nodes[0].html || violation.nodes.map(node => node.target).join(', '),
             style: 'codeBlock',
             margin: [0, 0, 0, 10]
           },
+          ...violation.nodes
+            .filter(node => screenshotFile(node.screenshot))
+            .slice(0, 3)
+            .map(node => ({
+              stack: [
+                {
+                  text: `Element #${node.screenshotNumber || ''} on the page`,
+                  style: 'violationSubtitle',
+                  fontSize: 10
+                },
+                { image: screenshotFile(node.screenshot), fit: [515, 200] }
+              ],
+              margin: [0, 0, 0, 10]
+            })),
           {
             text: 'Recommended Fix:',
             style: 'violationSubtitle',
@@ -273,10 +569,37 @@ async function generatePDFReport(results, outputPath) {
             canvas: [{ type: 'line', x1: 0, y1: 5, x2: 515, y2: 5, lineWidth: 0.5 }],
             margin: [0, 10, 0, 20]
           }
-        ],
+        ].filter(Boolean),
         pageBreak: 'after'
       })),
       
+      // Needs Manual Review: results axe could not decide automatically
+      ...(reviewItems.length > 0 ? [
+        {
+          text: 'Needs Manual Review',
+          style: 'sectionHeader',
+          pageBreak: 'before'
+        },
+        {
+          text: `${reviewItems.length} element(s) need a reviewer to confirm whether they pass. ` +
+            'Items marked as failing are added to the violations and the risk score.',
+          style: 'violationDescription'
+        },
+        ...reviewItems.map(item => ({
+          stack: [
+            {
+              text: `${item.ruleId} (${item.severity || 'unknown'})${item.id ? ` - review item #${item.id}` : ''}`,
+              style: 'violationSubtitle'
+            },
+            { text: item.description || '', style: 'violationDescription' },
+            item.message ? { text: item.message, style: 'violationDescription' } : null,
+            { text: item.html || item.selector || '', style: 'codeBlock' },
+            screenshotFile(item.screenshot) ? { image: screenshotFile(item.screenshot), fit: [515, 150] } : null
+          ].filter(Boolean),
+          margin: [0, 5, 0, 15]
+        }))
+      ] : []),
+
       // ATAG 2.0 Compliance
       {
         text: 'ATAG 2.0 Compliance',
@@ -312,7 +635,28 @@ async function generatePDFReport(results, outputPath) {
           }
         ],
         margin: [0, 0, 0, 20]
-      }))
+      })),
+
+      // Appendix: what a screen reader announces, in reading order
+      ...(results.screenReaderTranscript?.length > 0 ? [
+        {
+          text: 'Appendix: Screen Reader Transcript',
+          style: 'sectionHeader',
+          pageBreak: 'before'
+        },
+        {
+          text: 'Announcements in reading order, built from the browser accessibility tree. ' +
+            'Items inside a landmark are prefixed with it.',
+          style: 'violationDescription'
+        },
+        {
+          ol: results.screenReaderTranscript.map(entry => ({
+            text: entry.landmark ? `[${entry.landmark}] ${entry.text}` : entry.text,
+            fontSize: 9,
+            bold: entry.role === 'heading'
+          }))
+        }
+      ] : [])
     ].filter(Boolean), // Remove null entries
     
     styles: {
@@ -398,4 +742,168 @@ async function generatePDFReport(results, outputPath) {
   });
 }
 
-module.exports = { generatePDFReport };
\ No newline at end of file
+/**
+ * Site-wide report of a sampled indexing run: the compliance score with its
+ * sampling confidence, the findings that are fixed once in a template for
+ * many pages, and each template's samples and findings.
+ */
+async function generateSiteReport(site, outputPath) {
+  const { domain, complianceScore, sampling, templates = [], documents } = site;
+  const riskScore = 100 - complianceScore;
+  const estimated = (count) => count.toLocaleString('en-US');
+
+  // The findings that reach the most pages, whichever template they are in
+  const fixOnce = templates
+    .flatMap(template => template.findings.map(finding => ({ ...finding, template })))
+    .filter(finding => finding.estimatedPages > 1)
+    .sort((a, b) => b.estimatedPages - a.estimatedPages)
+    .slice(0, 15);
+
+  const docDefinition = {
+    pageSize: 'A4',
+    pageMargins: [40, 60, 40, 60],
+    header: {
+      text: 'Generated by ComplyAI Accessibility Scanner',
+      alignment: 'right',
+      margin: [0, 20, 20, 0],
+      fontSize: 8,
+      color: '#666'
+    },
+    footer: (currentPage, pageCount) => ({
+      text: `Page ${currentPage} of ${pageCount}`,
+      alignment: 'center',
+      fontSize: 8,
+      margin: [0, 0, 0, 20]
+    }),
+    content: [
+      {
+        columns: [
+          { text: 'Site Compliance Report', style: 'header', width: '70%' },
+          {
+            text: `Compliance Score: ${complianceScore.toFixed(1)}`,
+            style: riskScore > 70 ? 'riskScoreHigh' : riskScore > 40 ? 'riskScoreMedium' : 'riskScoreLow',
+            alignment: 'right'
+          }
+        ],
+        margin: [0, 0, 0, 20]
+      },
+      {
+        table: {
+          widths: ['auto', '*'],
+          body: [
+            [{ text: 'Site Summary', style: 'tableHeader', colSpan: 2 }, {}],
+            ['Site', { text: site.url || domain, style: 'urlText' }],
+            ['Scan Date', format(new Date(site.indexedAt || Date.now()), 'yyyy-MM-dd HH:mm:ss')],
+            ['Page Templates', templates.length],
+            ['Pages', sampling
+              ? `${estimated(sampling.pages)} (${estimated(sampling.scannedPages)} scanned, ` +
+                `${estimated(sampling.estimatedPages)} estimated)`
+              : site.pages],
+            ...(sampling ? [['Sampling Confidence',
+              `${sampling.level} (${(sampling.coverage * 100).toFixed(1)}% of pages scanned)`]] : []),
+            ...(documents ? [['Documents Checked', `${documents.checked} of ${documents.found}`]] : [])
+          ]
+        },
+        layout: 'noBorders',
+        margin: [0, 0, 0, 20]
+      },
+      {
+        text: 'Pages built from the same template share their markup, so a few samples of each template ' +
+          'were scanned in full and their findings attributed to every page of the template. Page counts ' +
+          'are estimates: a finding on 2 of 3 samples is estimated to affect two thirds of the pages.',
+        style: 'note'
+      },
+
+      // Fix once, fixes many
+      ...(fixOnce.length > 0 ? [
+        { text: 'Fix Once, Fix Many', style: 'sectionHeader' },
+        {
+          table: {
+            headerRows: 1,
+            widths: ['*', 'auto', 'auto', 'auto'],
+            body: [
+              ['Finding', 'Severity', 'Template', 'Pages Fixed'].map(text => ({ text, bold: true })),
+              ...fixOnce.map(finding => [
+                { text: `${finding.id}: ${finding.description || ''}`, fontSize: 10 },
+                finding.severity || 'unknown',
+                { text: finding.template.urlPattern, fontSize: 10 },
+                `~${estimated(finding.estimatedPages)}`
+              ])
+            ]
+          },
+          layout: 'lightHorizontalLines',
+          margin: [0, 0, 0, 20]
+        }
+      ] : []),
+
+      // Each template with its samples and findings
+      { text: 'Page Templates', style: 'sectionHeader', pageBreak: 'before' },
+      ...templates.map(template => ({
+        stack: [
+          {
+            text: `${template.urlPattern} (${estimated(template.pageCount)} page${template.pageCount === 1 ? '' : 's'})`,
+            style: 'templateTitle'
+          },
+          {
+            text: [
+              `${template.confidence.samples} sample(s) scanned, average risk `,
+              template.riskScore === null ? 'not available' : template.riskScore,
+              `. Confidence ${template.confidence.level}: samples agree on `,
+              `${Math.round(template.confidence.consistency * 100)}% of findings, margin of error `,
+              `±${Math.round(template.confidence.marginOfError * 100)}% of pages.`
+            ].join(''),
+            style: 'note'
+          },
+          ...template.sampleUrls.map(url => ({ text: url, style: 'urlText', fontSize: 9 })),
+          template.findings.length > 0 ? {
+            table: {
+              headerRows: 1,
+              widths: ['*', 'auto', 'auto', 'auto'],
+              body: [
+                ['Finding', 'Severity', 'Samples', 'Est. Pages'].map(text => ({ text, bold: true })),
+                ...template.findings.map(finding => [
+                  { text: finding.id, fontSize: 10 },
+                  finding.severity || 'unknown',
+                  `${finding.samplesAffected} of ${template.confidence.samples}`,
+                  estimated(finding.estimatedPages)
+                ])
+              ]
+            },
+            layout: 'lightHorizontalLines',
+            margin: [0, 5, 0, 0]
+          } : { text: 'No violations found in the samples.', style: 'note' }
+        ],
+        margin: [0, 0, 0, 20]
+      }))
+    ],
+
+    styles: {
+      header: { fontSize: 24, bold: true, color: '#2c3e50' },
+      riskScoreHigh: { fontSize: 18, bold: true, color: '#e74c3c' },
+      riskScoreMedium: { fontSize: 18, bold: true, color: '#f39c12' },
+      riskScoreLow: { fontSize: 18, bold: true, color: '#2ecc71' },
+      tableHeader: { bold: true, fontSize: 14, color: '#3498db', margin: [0, 0, 0, 10] },
+      urlText: { color: '#3498db', decoration: 'underline' },
+      sectionHeader: { fontSize: 18, bold: true, margin: [0, 0, 0, 10], color: '#3498db' },
+      templateTitle: { fontSize: 14, bold: true, color: '#2c3e50', margin: [0, 0, 0, 5] },
+      note: { fontSize: 10, color: '#555', margin: [0, 0, 0, 10] }
+    },
+    defaultStyle: {
+      font: 'Roboto',
+      fontSize: 11,
+      lineHeight: 1.3
+    }
+  };
+
+  return new Promise((resolve, reject) => {
+    const pdfDoc = printer.createPdfKitDocument(docDefinition);
+    const stream = fs.createWriteStream(outputPath);
+
+    pdfDoc.pipe(stream);
+    pdfDoc.on('end', () => resolve(outputPath));
+    pdfDoc.on('error', reject);
+    pdfDoc.end();
+  });
+}
+
+module.exports = { generatePDFReport, generateSiteReport };
\ No newline at end of file
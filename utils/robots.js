@@ -0,0 +1,53 @@
+const axios = require('axios');
+const robotsParser = require('robots-parser');
+
+const DEFAULT_USER_AGENT = process.env.CRAWLER_USER_AGENT || 'ComplyAI-Crawler/1.0 (accessibility scanner)';
+const ROBOTS_TIMEOUT = 10000;
+const MAX_ROBOTS_SIZE = 512 * 1024;
+
+/**
+ * Fetch and parse robots.txt for the origin of `url`. A missing file (4xx)
+ * or an unreachable server allows everything; a server error (5xx) disallows
+ * everything, as search engines do, until the site answers properly.
+ */
+async function fetchRobots(url, { userAgent = DEFAULT_USER_AGENT } = {}) {
+  const robotsUrl = new URL('/robots.txt', url).toString();
+  let status = null;
+  let contents = '';
+  let error = null;
+
+  try {
+    const response = await axios.get(robotsUrl, {
+      headers: { 'User-Agent': userAgent },
+      timeout: ROBOTS_TIMEOUT,
+      maxContentLength: MAX_ROBOTS_SIZE,
+      responseType: 'text',
+      transformResponse: data => data,
+      validateStatus: () => true
+    });
+    status = response.status;
+    if (status >= 200 && status < 300) contents = String(response.data || '');
+    else if (status >= 500) contents = 'User-agent: *\nDisallow: /';
+  } catch (err) {
+    error = err.message;
+  }
+
+  const robots = robotsParser(robotsUrl, contents);
+  const crawlDelay = robots.getCrawlDelay(userAgent);
+
+  return {
+    url: robotsUrl,
+    status,
+    error,
+    found: status >= 200 && status < 300,
+    crawlDelay: typeof crawlDelay === 'number' ? crawlDelay : null,
+    sitemaps: robots.getSitemaps(),
+    // robots-parser returns undefined for URLs on another origin
+    isAllowed: (pageUrl) => robots.isAllowed(pageUrl, userAgent) !== false
+  };
+}
+
+module.exports = {
+  DEFAULT_USER_AGENT,
+  fetchRobots
+};
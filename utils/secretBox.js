@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+
+function getKey() {
+  const secret = process.env.AUTH_ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error('AUTH_ENCRYPTION_KEY must be set to store authentication profiles');
+  }
+  // Accept any passphrase length by deriving a fixed 256-bit key from it
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+// Encrypt a JSON-serialisable value into "iv:authTag:ciphertext" (base64 parts)
+function encryptSecret(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(JSON.stringify(value), 'utf8'),
+    cipher.final()
+  ]);
+
+  return [iv, cipher.getAuthTag(), ciphertext]
+    .map(part => part.toString('base64'))
+    .join(':');
+}
+
+function decryptSecret(payload) {
+  const [iv, authTag, ciphertext] = String(payload).split(':')
+    .map(part => Buffer.from(part, 'base64'));
+  if (!iv || !authTag || !ciphertext) throw new Error('Malformed encrypted secret');
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(authTag);
+  const plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  return JSON.parse(plaintext.toString('utf8'));
+}
+
+module.exports = {
+  encryptSecret,
+  decryptSecret
+};
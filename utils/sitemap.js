@@ -0,0 +1,160 @@
+const axios = require('axios');
+const zlib = require('zlib');
+
+const SITEMAP_TIMEOUT = 20000;
+// The sitemap protocol caps a file at 50 MB uncompressed and 50,000 URLs
+const MAX_SITEMAP_SIZE = 50 * 1024 * 1024;
+const DEFAULT_MAX_URLS = 50000;
+const DEFAULT_MAX_SITEMAPS = 50;
+
+function decodeXml(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+// Text of the first <tag> in an XML fragment, ignoring namespace prefixes
+function tagValue(xml, tag) {
+  const match = xml.match(new RegExp(`<(?:[\\w-]+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>`, 'i'));
+  return match ? decodeXml(match[1]) : null;
+}
+
+function blocks(xml, tag) {
+  return xml.match(new RegExp(`<(?:[\\w-]+:)?${tag}\\b[^>]*>[\\s\\S]*?</(?:[\\w-]+:)?${tag}>`, 'gi')) || [];
+}
+
+/**
+ * Parse a sitemap: a <sitemapindex> lists further sitemaps, a <urlset> lists
+ * pages with optional lastmod, priority and changefreq. Plain-text sitemaps
+ * (one URL per line) are accepted too.
+ */
+function parseSitemap(text) {
+  if (/<(?:[\w-]+:)?sitemapindex\b/i.test(text)) {
+    return {
+      type: 'index',
+      entries: blocks(text, 'sitemap')
+        .map(block => ({ loc: tagValue(block, 'loc'), lastmod: tagValue(block, 'lastmod') }))
+        .filter(entry => entry.loc)
+    };
+  }
+
+  if (!text.includes('<')) {
+    return {
+      type: 'text',
+      entries: text.split(/\r?\n/).map(line => line.trim()).filter(line => /^https?:\/\//i.test(line))
+        .map(loc => ({ loc, lastmod: null, priority: null, changefreq: null }))
+    };
+  }
+
+  return {
+    type: 'urlset',
+    entries: blocks(text, 'url')
+      .map(block => {
+        const priority = parseFloat(tagValue(block, 'priority'));
+        return {
+          loc: tagValue(block, 'loc'),
+          lastmod: tagValue(block, 'lastmod'),
+          priority: Number.isFinite(priority) ? Math.min(Math.max(priority, 0), 1) : null,
+          changefreq: tagValue(block, 'changefreq')
+        };
+      })
+      .filter(entry => entry.loc)
+  };
+}
+
+// Download a sitemap, gunzipping .gz files (recognised by their magic bytes)
+async function fetchSitemap(url, { userAgent } = {}) {
+  const response = await axios.get(url, {
+    headers: userAgent ? { 'User-Agent': userAgent } : {},
+    timeout: SITEMAP_TIMEOUT,
+    maxContentLength: MAX_SITEMAP_SIZE,
+    responseType: 'arraybuffer'
+  });
+
+  // axios undoes Content-Encoding; a .gz sitemap file still arrives compressed
+  let data = Buffer.from(response.data);
+  if (data[0] === 0x1f && data[1] === 0x8b) {
+    data = zlib.gunzipSync(data, { maxOutputLength: MAX_SITEMAP_SIZE });
+  }
+  return data.toString('utf8');
+}
+
+/**
+ * Read the given sitemaps, following sitemap indexes. Resolves to every page
+ * entry found (deduplicated by URL) and a log of the sitemaps read; a sitemap
+ * that fails is logged and skipped.
+ */
+async function loadSitemaps(sitemapUrls, options = {}) {
+  const { userAgent, maxUrls = DEFAULT_MAX_URLS, maxSitemaps = DEFAULT_MAX_SITEMAPS } = options;
+  const queue = [...sitemapUrls];
+  const seen = new Set(queue);
+  const entries = new Map();
+  const sitemaps = [];
+
+  while (queue.length > 0 && sitemaps.length < maxSitemaps && entries.size < maxUrls) {
+    const url = queue.shift();
+    try {
+      const parsed = parseSitemap(await fetchSitemap(url, { userAgent }));
+      sitemaps.push({ url, type: parsed.type, entries: parsed.entries.length });
+
+      for (const entry of parsed.entries) {
+        if (parsed.type === 'index') {
+          if (!seen.has(entry.loc)) {
+            seen.add(entry.loc);
+            queue.push(entry.loc);
+          }
+        } else if (!entries.has(entry.loc) && entries.size < maxUrls) {
+          entries.set(entry.loc, { ...entry, sitemap: url });
+        }
+      }
+    } catch (error) {
+      const status = error.response?.status;
+      sitemaps.push({ url, error: status ? `HTTP ${status}` : error.message });
+    }
+  }
+
+  console.log(`[SITEMAP] Read ${sitemaps.length} sitemap(s), found ${entries.size} URLs`);
+  return {
+    sitemaps,
+    entries: Array.from(entries.values()),
+    truncated: queue.length > 0
+  };
+}
+
+// Highest priority first, then most recently modified; unknown values last
+function rankEntries(entries) {
+  const time = (entry) => {
+    const parsed = Date.parse(entry.lastmod);
+    return Number.isNaN(parsed) ? -Infinity : parsed;
+  };
+  return [...entries].sort((a, b) =>
+    (b.priority ?? 0.5) - (a.priority ?? 0.5) || time(b) - time(a));
+}
+
+/**
+ * URLs from an uploaded list: a JSON array, or text with one URL per line
+ * (the first column of a CSV). Blank lines and "#" comments are ignored.
+ */
+function parseUrlList(input) {
+  if (Array.isArray(input)) return input.map(String).map(url => url.trim()).filter(Boolean);
+
+  const text = String(input || '').trim();
+  if (text.startsWith('[')) return parseUrlList(JSON.parse(text));
+  return text.split(/\r?\n/)
+    .map(line => line.split(',')[0].replace(/^["']|["']$/g, '').trim())
+    .filter(line => line && !line.startsWith('#') && /^https?:\/\//i.test(line));
+}
+
+module.exports = {
+  parseSitemap,
+  loadSitemaps,
+  rankEntries,
+  parseUrlList
+};
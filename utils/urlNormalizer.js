@@ -0,0 +1,62 @@
+// Query parameters that only track where a visitor came from
+const TRACKING_PARAMS = [
+  /^utm_/i,
+  /^(gclid|gclsrc|dclid|fbclid|msclkid|yclid|igshid|twclid|li_fat_id)$/i,
+  /^(mc_cid|mc_eid|_ga|_gl|_hsenc|_hsmi|mkt_tok|oly_anon_id|oly_enc_id|vero_id)$/i
+];
+
+/**
+ * Canonical form of a page URL so the same page is only crawled once:
+ * no fragment, no tracking parameters, remaining parameters sorted and no
+ * trailing slash except on the root path. With `hashRoutes`, fragments that
+ * are single-page-app routes ("#/path", "#!/path") are kept. Returns null
+ * for anything that is not an http(s) URL.
+ */
+function normalizeUrl(url, base, { hashRoutes = false } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url, base);
+  } catch (error) {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+
+  parsed.hash = hashRoutes && /^#!?\//.test(parsed.hash) ? parsed.hash : '';
+  for (const name of [...parsed.searchParams.keys()]) {
+    if (TRACKING_PARAMS.some(pattern => pattern.test(name))) parsed.searchParams.delete(name);
+  }
+  parsed.searchParams.sort();
+  if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+  }
+
+  // URL keeps a bare "?" when every parameter was removed
+  return parsed.toString().replace(/\?(#|$)/, '$1');
+}
+
+/**
+ * Compile include/exclude patterns. Strings are globs matched against the
+ * path, query and any hash route ("/blog/*", "*.php?*", "/#/admin*");
+ * RegExps are used as they are.
+ */
+function compilePatterns(patterns = []) {
+  return [].concat(patterns).filter(Boolean).map(pattern => {
+    if (pattern instanceof RegExp) return pattern;
+    const source = String(pattern).split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${source}$`, 'i');
+  });
+}
+
+// Whether the URL's path, query and hash match any compiled pattern
+function matchesAny(url, patterns) {
+  const { pathname, search, hash } = new URL(url);
+  return patterns.some(pattern => pattern.test(pathname + search + hash));
+}
+
+module.exports = {
+  normalizeUrl,
+  compilePatterns,
+  matchesAny
+};